@@ -0,0 +1,79 @@
+/**
+ * Command line options module
+ * Argument parsing and credential loading shared by the command line tools
+ */
+
+import { readFile } from 'node:fs/promises';
+
+const DEFAULT_CONFIG_FILE = 'spotify-scraper.config.json';
+
+/**
+ * Parse command line arguments
+ * Option names are camel-cased, so --row-mode is returned as rowMode.
+ * @param {Array<string>} args - Arguments after the script name
+ * @param {Object} spec - Option kinds
+ * @param {Array<string>} spec.repeatable - Options that can be given several times, collected in arrays
+ * @param {Array<string>} spec.flags - Options that take no value
+ * @returns {Object} { positionals, options }
+ */
+export function parseArgs(args, { repeatable = [], flags = [] } = {}) {
+    const options = Object.fromEntries(repeatable.map(key => [key, []]));
+    const positionals = [];
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            continue;
+        }
+
+        const key = arg.slice(2).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+        if (flags.includes(key)) {
+            options[key] = true;
+            continue;
+        }
+
+        const value = args[++i];
+        if (value === undefined) throw new Error(`Missing value for ${arg}`);
+        if (repeatable.includes(key)) {
+            options[key].push(value);
+        } else {
+            options[key] = value;
+        }
+    }
+
+    return { positionals, options };
+}
+
+/**
+ * Load the config file: the one given, or the default one if it exists
+ * @param {string|null} path - Config file path from --config
+ * @returns {Promise<Object>} Config values, empty without a file
+ */
+export async function loadConfig(path = null) {
+    const configPath = path || DEFAULT_CONFIG_FILE;
+
+    try {
+        return JSON.parse(await readFile(configPath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT' && !path) {
+            return {};
+        }
+        throw new Error(`Could not read ${configPath}: ${error.message}`);
+    }
+}
+
+/**
+ * Get the Spotify credentials, from the environment first, then from the config file
+ * @param {Object} config - Config values
+ * @returns {Object} { clientId, clientSecret }
+ */
+export function getCredentials(config = {}) {
+    const clientId = process.env.SPOTIFY_CLIENT_ID || config.clientId;
+    const clientSecret = process.env.SPOTIFY_CLIENT_SECRET || config.clientSecret;
+
+    if (!clientId || !clientSecret) {
+        throw new Error(`Set SPOTIFY_CLIENT_ID and SPOTIFY_CLIENT_SECRET, or clientId and clientSecret in ${DEFAULT_CONFIG_FILE}`);
+    }
+    return { clientId, clientSecret };
+}
@@ -0,0 +1,130 @@
+/**
+ * Console reporter module
+ * Prints the progress and messages of headless runs to the terminal
+ */
+
+import { CORE_EVENTS } from '../modules/core-events.js';
+
+const REPEAT_INTERVAL_MS = 10000; // counters and countdowns are printed at most this often when not on a terminal
+
+export class ConsoleReporter {
+    /**
+     * @param {Object} options - Reporter options
+     * @param {Object} options.stream - Writable stream, stderr by default so stdout stays clean for results
+     * @param {boolean} options.quiet - Only print errors
+     */
+    constructor({ stream = process.stderr, quiet = false } = {}) {
+        this.stream = stream;
+        this.quiet = quiet;
+        this.live = Boolean(stream.isTTY); // redraw the progress line in place
+        this.lineOpen = false;
+        this.lastProgressAt = 0;
+        this.lastStatus = { key: '', at: 0 };
+        this.errorCount = 0;
+    }
+
+    /**
+     * Print the events of the core modules
+     * @param {Object} events - Core event emitter
+     * @returns {Function} Unsubscribes the reporter
+     */
+    subscribe(events) {
+        const unsubscribers = [
+            events.on(CORE_EVENTS.LOADING, ({ text }) => this.status(text)),
+            events.on(CORE_EVENTS.PROGRESS, ({ processed, total, emailsFound, suppressed }) => {
+                this.progress(processed, total, emailsFound, suppressed);
+            }),
+            events.on(CORE_EVENTS.STATUS, ({ text }) => this.status(text)),
+            events.on(CORE_EVENTS.ERROR, ({ message }) => this.error(message)),
+            events.on(CORE_EVENTS.EXPORT_STOPPED, ({ position, found, label }) => {
+                this.status(found > 0
+                    ? `Export stopped at ${position}. ${found} playlists with ${label} were found.`
+                    : `Export stopped at ${position}. No playlists with ${label} found yet.`);
+            }),
+            events.on(CORE_EVENTS.DONE, ({ text, summary }) => this.status(summary || text))
+        ];
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    /**
+     * Report processing progress
+     * @param {number} processed - Number of items processed
+     * @param {number} total - Total number of items
+     * @param {number} emailsFound - Number of emails found
+     * @param {number} suppressed - Number of emails left out by the suppression list
+     */
+    progress(processed, total, emailsFound, suppressed = 0) {
+        if (this.quiet || total <= 0 || processed === 0) return;
+
+        const now = Date.now();
+        const done = processed >= total;
+        if (!this.live && !done && now - this.lastProgressAt < REPEAT_INTERVAL_MS) return;
+        this.lastProgressAt = now;
+
+        const percentage = Math.floor((processed / total) * 100);
+        const line = `Processed ${processed.toLocaleString()} / ${total.toLocaleString()} (${percentage}%), ` +
+            `${emailsFound.toLocaleString()} emails found` +
+            (suppressed > 0 ? `, ${suppressed.toLocaleString()} suppressed` : '');
+
+        if (this.live) {
+            this.stream.write(`\r\x1b[2K${line}`);
+            this.lineOpen = true;
+        } else {
+            this.stream.write(`${line}\n`);
+        }
+    }
+
+    /**
+     * Report a status message
+     * Messages that only differ by their numbers (rate limit countdowns) are not repeated too often.
+     * @param {string} message - Status message
+     */
+    status(message) {
+        if (this.quiet) return;
+
+        const key = message.replace(/\d+/g, '#');
+        const now = Date.now();
+        if (key === this.lastStatus.key && now - this.lastStatus.at < REPEAT_INTERVAL_MS) return;
+        this.lastStatus = { key, at: now };
+
+        this.writeLine(message);
+    }
+
+    /**
+     * Report an error
+     * @param {string} message - Error message
+     */
+    error(message) {
+        this.errorCount++;
+        this.writeLine(`Error: ${message}`);
+    }
+
+    /**
+     * Report a success
+     * @param {string} message - Success message
+     */
+    success(message) {
+        if (this.quiet) return;
+        this.writeLine(message);
+    }
+
+    /**
+     * Close the progress line, before the process prints anything else
+     */
+    finish() {
+        if (this.lineOpen) {
+            this.stream.write('\n');
+            this.lineOpen = false;
+        }
+    }
+
+    /**
+     * Write a message on its own line, below the progress line
+     * @param {string} message - Message
+     * @private
+     */
+    writeLine(message) {
+        this.finish();
+        this.stream.write(`${message}\n`);
+    }
+}
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/**
+ * Mock Spotify API server
+ * Serves /api/token, /v1/search?type=playlist and /v1/playlists/{id} from fixture files, for offline
+ * development and tests, and simulates expired tokens, rate limits, server errors, timeouts and null items
+ *
+ * Usage:
+ *   node src/cli/mock-server.js [--port <n>] [--host <address>] [--fixtures <file>] [--generate <n>]
+ *
+ * Failures, counted over /v1 requests ("every 5" fails the 5th, 10th... request):
+ *   --token-ttl <seconds>           tokens expire after this long (default: 3600)
+ *   --token-requests <n>            tokens expire after n requests, answered with 401
+ *   --rate-limit-every <n>          answer with 429
+ *   --retry-after <seconds>|none    Retry-After sent with 429 responses (default: 1), none to leave it out
+ *   --server-error-every <n>        answer with 500, 502 or 503
+ *   --timeout-every <n>             never answer
+ *   --null-items-every <n>          replace search results with null
+ *   --latency <ms>                  wait before each response
+ *
+ * Point the app at it with --api-base-url on the scraper command line, "apiBaseUrl" in the config file,
+ * or ?apiBaseUrl= in the page address.
+ */
+
+import { parseArgs } from './cli-options.js';
+import { MockSpotifyServer, DEFAULT_FIXTURES_FILE } from './mock-spotify.js';
+
+const DEFAULT_PORT = 8888;
+const COUNT_OPTIONS = ['generate', 'tokenTtl', 'tokenRequests', 'rateLimitEvery', 'serverErrorEvery', 'timeoutEvery', 'nullItemsEvery', 'latency'];
+
+/**
+ * Parse a non-negative whole number option
+ * @param {string|undefined} value - Option value
+ * @param {string} name - Option name, for errors
+ * @returns {number|undefined} Number, undefined when not given
+ */
+function parseCount(value, name) {
+    if (value === undefined) return undefined;
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`--${name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)} takes a whole number, got "${value}"`);
+    }
+    return parseInt(value, 10);
+}
+
+/**
+ * Start the server and keep it running until interrupted
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Promise<void>}
+ */
+async function main(args) {
+    const { positionals, options } = parseArgs(args);
+    if (positionals.length > 0) throw new Error(`Unexpected argument "${positionals[0]}"`);
+
+    const serverOptions = {};
+    COUNT_OPTIONS.forEach(name => {
+        const value = parseCount(options[name], name);
+        if (value !== undefined) serverOptions[name] = value;
+    });
+    if (options.retryAfter !== undefined) {
+        serverOptions.retryAfter = options.retryAfter === 'none' ? null : parseCount(options.retryAfter, 'retryAfter');
+    }
+
+    const server = await MockSpotifyServer.fromFile(options.fixtures || DEFAULT_FIXTURES_FILE, serverOptions);
+    const baseUrl = await server.listen(parseCount(options.port, 'port') ?? DEFAULT_PORT, options.host || '127.0.0.1');
+    console.log(`Mock Spotify API listening on ${baseUrl} with ${server.playlists.length} playlists`);
+    console.log(`Try: node src/cli/scraper.js search indie --api-base-url ${baseUrl}`);
+
+    const stop = async () => {
+        await server.close();
+        const { tokens, requests, expired, rateLimited, serverErrors, timeouts } = server.stats;
+        console.log(`Served ${tokens} tokens and ${requests} API requests: ${expired} expired tokens, ` +
+            `${rateLimited} rate limited, ${serverErrors} server errors, ${timeouts} timeouts`);
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,499 @@
+/**
+ * Mock Spotify API module
+ * Local stand-in for the Spotify endpoints the app uses, serving fixture playlists
+ * and simulating the failures the API client has to handle
+ */
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { randomBytes } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+export const DEFAULT_FIXTURES_FILE = fileURLToPath(new URL('../data/mock-spotify/playlists.json', import.meta.url));
+
+const SEARCH_OFFSET_LIMIT = 1000; // Spotify rejects search offsets past this
+const MAX_SEARCH_LIMIT = 50;
+const MAX_TRACKS_LIMIT = 100;
+const SERVER_ERROR_STATUSES = [500, 502, 503];
+
+export class MockSpotifyServer {
+    /**
+     * @param {Object} options - Server options
+     * @param {Array<Object>} options.playlists - Fixture playlists ({ id, name, description, owner, followers, snapshot_id, images, tracks })
+     * @param {number} options.generate - Filler playlists added to the fixtures, matching every search, for paging
+     * @param {number} options.tokenTtl - Seconds a token is valid for
+     * @param {number} options.tokenRequests - API requests a token is valid for before answering 401, 0 for no limit
+     * @param {number} options.rateLimitEvery - Answer every nth API request with 429, 0 for never
+     * @param {number|null} options.retryAfter - Retry-After seconds sent with 429 responses, null to leave the header out
+     * @param {number} options.serverErrorEvery - Answer every nth API request with 500, 502 or 503, 0 for never
+     * @param {number} options.timeoutEvery - Never answer every nth API request, 0 for never
+     * @param {number} options.nullItemsEvery - Replace every nth search result with null, 0 for never
+     * @param {number} options.latency - Milliseconds to wait before each response
+     */
+    constructor({
+        playlists = [],
+        generate = 0,
+        tokenTtl = 3600,
+        tokenRequests = 0,
+        rateLimitEvery = 0,
+        retryAfter = 1,
+        serverErrorEvery = 0,
+        timeoutEvery = 0,
+        nullItemsEvery = 0,
+        latency = 0
+    } = {}) {
+        this.playlists = [...playlists, ...this.generatePlaylists(generate)];
+        this.playlistsById = new Map(this.playlists.map(playlist => [playlist.id, playlist]));
+        this.options = { tokenTtl, tokenRequests, rateLimitEvery, retryAfter, serverErrorEvery, timeoutEvery, nullItemsEvery, latency };
+        this.tokens = new Map(); // access token -> { expiresAt, requests }
+        this.apiRequestCount = 0;
+        this.stats = { tokens: 0, requests: 0, expired: 0, rateLimited: 0, serverErrors: 0, timeouts: 0 };
+        this.server = null;
+        this.baseUrl = '';
+    }
+
+    /**
+     * Create a server serving the playlists of a fixture file
+     * @param {string} path - Fixture file ({ playlists: [...] })
+     * @param {Object} options - Server options, see the constructor
+     * @returns {Promise<MockSpotifyServer>} Server, not listening yet
+     */
+    static async fromFile(path = DEFAULT_FIXTURES_FILE, options = {}) {
+        let fixtures;
+        try {
+            fixtures = JSON.parse(await readFile(path, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read ${path}: ${error.message}`);
+        }
+
+        const playlists = Array.isArray(fixtures) ? fixtures : fixtures.playlists;
+        if (!Array.isArray(playlists) || playlists.some(playlist => !playlist?.id || !playlist.name)) {
+            throw new Error(`${path} must hold a "playlists" array of objects with an id and a name`);
+        }
+        return new MockSpotifyServer({ ...options, playlists });
+    }
+
+    /**
+     * Start listening
+     * @param {number} port - Port, 0 for any free one
+     * @param {string} host - Interface to listen on
+     * @returns {Promise<string>} Base URL to give SpotifyAPI.setBaseUrl
+     */
+    listen(port = 0, host = '127.0.0.1') {
+        this.server = createServer((request, response) => {
+            this.handle(request, response).catch(error => {
+                this.sendJson(response, 500, { error: { status: 500, message: error.message } });
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                const address = this.server.address();
+                this.baseUrl = `http://${address.family === 'IPv6' ? `[${address.address}]` : address.address}:${address.port}`;
+                resolve(this.baseUrl);
+            });
+        });
+    }
+
+    /**
+     * Stop listening, dropping the requests left hanging by simulated timeouts
+     * @returns {Promise<void>}
+     */
+    close() {
+        if (!this.server) return Promise.resolve();
+
+        return new Promise(resolve => {
+            this.server.close(() => resolve());
+            this.server.closeAllConnections();
+            this.server = null;
+        });
+    }
+
+    /**
+     * Route a request
+     * @param {http.IncomingMessage} request - Request
+     * @param {http.ServerResponse} response - Response
+     * @returns {Promise<void>}
+     * @private
+     */
+    async handle(request, response) {
+        if (request.method === 'OPTIONS') {
+            this.send(response, 204, '');
+            return;
+        }
+
+        const url = new URL(request.url, this.baseUrl || 'http://localhost');
+        if (this.options.latency > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.options.latency));
+        }
+
+        if (url.pathname === '/api/token' && request.method === 'POST') {
+            this.handleToken(request, response, await this.readBody(request));
+            return;
+        }
+        if (!url.pathname.startsWith('/v1/') || request.method !== 'GET') {
+            this.sendError(response, 404, 'Service not found');
+            return;
+        }
+
+        if (this.injectFault(response)) return;
+        if (!this.authorize(request, response)) return;
+
+        const playlistMatch = url.pathname.match(/^\/v1\/playlists\/([^/]+)(\/tracks)?$/);
+        if (url.pathname === '/v1/search') {
+            this.handleSearch(url, response);
+        } else if (url.pathname === '/v1/artists') {
+            this.handleArtists(url, response);
+        } else if (playlistMatch) {
+            this.handlePlaylist(decodeURIComponent(playlistMatch[1]), Boolean(playlistMatch[2]), url, response);
+        } else {
+            this.sendError(response, 404, 'Service not found');
+        }
+    }
+
+    /**
+     * Issue a token for the Client Credentials flow
+     * Any non-empty client ID and secret are accepted.
+     * @param {http.IncomingMessage} request - Request
+     * @param {http.ServerResponse} response - Response
+     * @param {string} body - Form encoded body
+     * @private
+     */
+    handleToken(request, response, body) {
+        const [scheme, encoded] = (request.headers.authorization || '').split(' ');
+        const [clientId, clientSecret] = scheme === 'Basic'
+            ? Buffer.from(encoded || '', 'base64').toString().split(':')
+            : [];
+
+        if (!clientId || !clientSecret) {
+            this.sendJson(response, 400, { error: 'invalid_client', error_description: 'Invalid client' });
+            return;
+        }
+        if (new URLSearchParams(body).get('grant_type') !== 'client_credentials') {
+            this.sendJson(response, 400, { error: 'unsupported_grant_type', error_description: 'grant_type parameter is missing' });
+            return;
+        }
+
+        const accessToken = randomBytes(24).toString('base64url');
+        this.tokens.set(accessToken, { expiresAt: Date.now() + this.options.tokenTtl * 1000, requests: 0 });
+        this.stats.tokens++;
+        this.sendJson(response, 200, { access_token: accessToken, token_type: 'Bearer', expires_in: this.options.tokenTtl });
+    }
+
+    /**
+     * Answer the configured share of API requests with a failure
+     * @param {http.ServerResponse} response - Response
+     * @returns {boolean} True if the request was answered (or left hanging)
+     * @private
+     */
+    injectFault(response) {
+        const count = ++this.apiRequestCount;
+        this.stats.requests++;
+        const { rateLimitEvery, retryAfter, serverErrorEvery, timeoutEvery } = this.options;
+
+        if (rateLimitEvery > 0 && count % rateLimitEvery === 0) {
+            this.stats.rateLimited++;
+            const headers = retryAfter !== null ? { 'Retry-After': String(retryAfter) } : {};
+            this.sendJson(response, 429, { error: { status: 429, message: 'API rate limit exceeded' } }, headers);
+            return true;
+        }
+        if (serverErrorEvery > 0 && count % serverErrorEvery === 0) {
+            this.stats.serverErrors++;
+            const status = SERVER_ERROR_STATUSES[(count / serverErrorEvery - 1) % SERVER_ERROR_STATUSES.length];
+            this.sendError(response, status, 'Server error');
+            return true;
+        }
+        if (timeoutEvery > 0 && count % timeoutEvery === 0) {
+            // Never answered: the client gives up on its own timeout, close() drops the connection
+            this.stats.timeouts++;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Check the bearer token of an API request, answering 401 when it is unknown or expired
+     * @param {http.IncomingMessage} request - Request
+     * @param {http.ServerResponse} response - Response
+     * @returns {boolean} True if the request may go on
+     * @private
+     */
+    authorize(request, response) {
+        const [scheme, accessToken] = (request.headers.authorization || '').split(' ');
+        const token = scheme === 'Bearer' ? this.tokens.get(accessToken) : null;
+        if (!token) {
+            this.sendError(response, 401, 'Invalid access token');
+            return false;
+        }
+
+        token.requests++;
+        const { tokenRequests } = this.options;
+        if (Date.now() >= token.expiresAt || (tokenRequests > 0 && token.requests > tokenRequests)) {
+            this.stats.expired++;
+            this.sendError(response, 401, 'The access token expired');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Search fixture playlists: every word of the query must appear in the name, description or owner
+     * Field filters (year:, genre:...) are ignored, generated playlists match every query.
+     * @param {URL} url - Request URL
+     * @param {http.ServerResponse} response - Response
+     * @private
+     */
+    handleSearch(url, response) {
+        const query = url.searchParams.get('q') || '';
+        const types = (url.searchParams.get('type') || '').split(',');
+        const limit = parseInt(url.searchParams.get('limit') ?? '20', 10);
+        const offset = parseInt(url.searchParams.get('offset') ?? '0', 10);
+
+        if (!query.trim()) {
+            this.sendError(response, 400, 'No search query');
+            return;
+        }
+        if (!types.includes('playlist')) {
+            this.sendError(response, 400, 'Only playlist searches are served by the mock server');
+            return;
+        }
+        if (!(limit >= 1 && limit <= MAX_SEARCH_LIMIT) || !(offset >= 0 && offset <= SEARCH_OFFSET_LIMIT)) {
+            this.sendError(response, 400, 'Invalid limit or offset');
+            return;
+        }
+
+        const words = query.toLowerCase()
+            .replace(/\b\w+:\S+/g, ' ')
+            .replace(/["()]/g, ' ')
+            .split(/\s+/)
+            .filter(word => word && !['and', 'or', 'not'].includes(word));
+        const matches = this.playlists.filter(playlist => {
+            if (playlist.generated) return true;
+            const text = `${playlist.name} ${playlist.description || ''} ${playlist.owner?.display_name || playlist.owner?.id || ''}`.toLowerCase();
+            return words.every(word => text.includes(word));
+        });
+
+        const { nullItemsEvery } = this.options;
+        const items = matches.slice(offset, offset + limit).map((playlist, i) => {
+            return nullItemsEvery > 0 && (offset + i + 1) % nullItemsEvery === 0 ? null : this.toSimplifiedPlaylist(playlist);
+        });
+
+        const pageUrl = (pageOffset) => {
+            const page = new URL(url);
+            page.searchParams.set('offset', pageOffset);
+            page.searchParams.set('limit', limit);
+            return `${this.baseUrl}${page.pathname}${page.search}`;
+        };
+        this.sendJson(response, 200, {
+            playlists: {
+                href: pageUrl(offset),
+                items,
+                limit,
+                next: offset + limit < matches.length ? pageUrl(offset + limit) : null,
+                offset,
+                previous: offset > 0 ? pageUrl(Math.max(offset - limit, 0)) : null,
+                total: matches.length
+            }
+        });
+    }
+
+    /**
+     * Serve a playlist, or a page of its tracks
+     * @param {string} playlistId - Playlist ID
+     * @param {boolean} tracksOnly - Whether the tracks endpoint was requested
+     * @param {URL} url - Request URL
+     * @param {http.ServerResponse} response - Response
+     * @private
+     */
+    handlePlaylist(playlistId, tracksOnly, url, response) {
+        const playlist = this.playlistsById.get(playlistId);
+        if (!playlist) {
+            this.sendError(response, 404, 'Resource not found');
+            return;
+        }
+
+        const limit = parseInt(url.searchParams.get('limit') ?? String(MAX_TRACKS_LIMIT), 10);
+        const offset = parseInt(url.searchParams.get('offset') ?? '0', 10);
+        if (!(limit >= 1 && limit <= MAX_TRACKS_LIMIT) || !(offset >= 0)) {
+            this.sendError(response, 400, 'Invalid limit or offset');
+            return;
+        }
+
+        const body = tracksOnly
+            ? this.toTracksPage(playlist, offset, limit)
+            : { ...this.toSimplifiedPlaylist(playlist), followers: { href: null, total: playlist.followers || 0 }, tracks: this.toTracksPage(playlist, 0, MAX_TRACKS_LIMIT) };
+        this.sendJson(response, 200, this.pickFields(body, url.searchParams.get('fields')));
+    }
+
+    /**
+     * Serve the artists found in fixture tracks
+     * @param {URL} url - Request URL
+     * @param {http.ServerResponse} response - Response
+     * @private
+     */
+    handleArtists(url, response) {
+        const ids = (url.searchParams.get('ids') || '').split(',').filter(id => id);
+        if (ids.length === 0 || ids.length > 50) {
+            this.sendError(response, 400, 'Give between 1 and 50 artist IDs');
+            return;
+        }
+
+        const artists = new Map();
+        this.playlists.forEach(playlist => (playlist.tracks || []).forEach(track => {
+            (track.artists || []).forEach(artist => artists.set(artist.id, artist));
+        }));
+        this.sendJson(response, 200, {
+            artists: ids.map(id => artists.has(id) ? { id, name: artists.get(id).name, genres: artists.get(id).genres || [], type: 'artist' } : null)
+        });
+    }
+
+    /**
+     * Convert a fixture playlist to the simplified object search results hold
+     * @param {Object} playlist - Fixture playlist
+     * @returns {Object} Simplified playlist
+     * @private
+     */
+    toSimplifiedPlaylist(playlist) {
+        const ownerId = playlist.owner?.id || 'mockcurator';
+        return {
+            id: playlist.id,
+            name: playlist.name,
+            description: playlist.description || '',
+            collaborative: false,
+            public: true,
+            owner: {
+                id: ownerId,
+                display_name: playlist.owner?.display_name ?? null,
+                external_urls: { spotify: `https://open.spotify.com/user/${ownerId}` },
+                type: 'user'
+            },
+            images: playlist.images || [],
+            snapshot_id: playlist.snapshot_id || 'mock-snapshot',
+            external_urls: { spotify: `https://open.spotify.com/playlist/${playlist.id}` },
+            href: `${this.baseUrl}/v1/playlists/${playlist.id}`,
+            tracks: { href: `${this.baseUrl}/v1/playlists/${playlist.id}/tracks`, total: (playlist.tracks || []).length },
+            type: 'playlist',
+            uri: `spotify:playlist:${playlist.id}`
+        };
+    }
+
+    /**
+     * Build a page of playlist tracks
+     * @param {Object} playlist - Fixture playlist
+     * @param {number} offset - First track
+     * @param {number} limit - Page size
+     * @returns {Object} Paging object
+     * @private
+     */
+    toTracksPage(playlist, offset, limit) {
+        const tracks = playlist.tracks || [];
+        const href = `${this.baseUrl}/v1/playlists/${playlist.id}/tracks`;
+        return {
+            href: `${href}?offset=${offset}&limit=${limit}`,
+            items: tracks.slice(offset, offset + limit).map((track, i) => ({
+                added_at: track.added_at || null,
+                track: {
+                    id: track.id || `${playlist.id}t${offset + i}`,
+                    name: track.name || `Track ${offset + i + 1}`,
+                    type: 'track',
+                    artists: (track.artists || []).map(artist => ({ id: artist.id, name: artist.name, type: 'artist' }))
+                }
+            })),
+            limit,
+            next: offset + limit < tracks.length ? `${href}?offset=${offset + limit}&limit=${limit}` : null,
+            offset,
+            previous: offset > 0 ? `${href}?offset=${Math.max(offset - limit, 0)}&limit=${limit}` : null,
+            total: tracks.length
+        };
+    }
+
+    /**
+     * Keep the top-level fields listed in a fields parameter, e.g. "snapshot_id" or "items(added_at),next"
+     * @param {Object} body - Response body
+     * @param {string|null} fields - fields parameter
+     * @returns {Object} Filtered body
+     * @private
+     */
+    pickFields(body, fields) {
+        if (!fields) return body;
+
+        const names = fields.replace(/\([^()]*(\([^()]*\))*[^()]*\)/g, '').split(',').map(name => name.trim());
+        return Object.fromEntries(Object.entries(body).filter(([name]) => names.includes(name)));
+    }
+
+    /**
+     * Create filler playlists, every third one with an email
+     * @param {number} count - Number of playlists
+     * @returns {Array<Object>} Fixture playlists
+     * @private
+     */
+    generatePlaylists(count) {
+        return Array.from({ length: count }, (_, i) => ({
+            id: `mockGenerated${String(i + 1).padStart(9, '0')}`,
+            name: `Generated Playlist ${i + 1}`,
+            description: i % 3 === 0 ? `Submissions to curator${i + 1}@gmail.com` : 'Generated filler playlist',
+            owner: { id: `generated${i % 25}`, display_name: `Generated Curator ${i % 25}` },
+            followers: (i * 37) % 5000,
+            generated: true
+        }));
+    }
+
+    /**
+     * Read a request body
+     * @param {http.IncomingMessage} request - Request
+     * @returns {Promise<string>} Body
+     * @private
+     */
+    async readBody(request) {
+        let body = '';
+        for await (const chunk of request) {
+            body += chunk;
+        }
+        return body;
+    }
+
+    /**
+     * Send a Web API error ({ error: { status, message } })
+     * @param {http.ServerResponse} response - Response
+     * @param {number} status - HTTP status
+     * @param {string} message - Error message
+     * @private
+     */
+    sendError(response, status, message) {
+        this.sendJson(response, status, { error: { status, message } });
+    }
+
+    /**
+     * Send a JSON response
+     * @param {http.ServerResponse} response - Response
+     * @param {number} status - HTTP status
+     * @param {Object} body - Response body
+     * @param {Object} headers - Extra headers
+     * @private
+     */
+    sendJson(response, status, body, headers = {}) {
+        this.send(response, status, JSON.stringify(body), { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+    }
+
+    /**
+     * Send a response the page can read from another origin
+     * @param {http.ServerResponse} response - Response
+     * @param {number} status - HTTP status
+     * @param {string} body - Response body
+     * @param {Object} headers - Extra headers
+     * @private
+     */
+    send(response, status, body, headers = {}) {
+        if (response.headersSent) return;
+
+        response.writeHead(status, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Expose-Headers': 'Retry-After',
+            ...headers
+        });
+        response.end(body);
+    }
+}
@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+/**
+ * Scraper command line
+ * Searches and exports playlists without a browser, reusing the app modules, and writes the files to disk
+ *
+ * Usage:
+ *   node src/cli/scraper.js search <query> [--page <n>] [--emails-only] [--out <file>]
+ *   node src/cli/scraper.js export <query>... [--queries <file>] [--out-dir <dir>] [--no-shard]
+ *   node src/cli/scraper.js playlist <id or link>... [--out <file>]
+ *
+ * Options shared by every command:
+ *   --config <file>                 JSON config (default: spotify-scraper.config.json if present) holding
+ *                                   clientId, clientSecret and defaults for the options below, e.g. "rowMode"
+ *   --format json|csv|xlsx          --row-mode playlist|email       --template <name>
+ *   --min-score <0-100>             --domain-filter all|hide_invalid|valid_only
+ *   --exclude-contacts none|blocked|contacted|known
+ *   --contact-types email,social,url,phone
+ *   --rules <file>                  --match all|any
+ *   --market <code>                 --concurrency <1-8>             --deep    --verify-domains    --quiet
+ *   --api-base-url <url>            send requests to another server, e.g. the mock server (src/cli/mock-server.js)
+ *
+ * Credentials are read from SPOTIFY_CLIENT_ID and SPOTIFY_CLIENT_SECRET, or from the config file.
+ * Progress goes to stderr; search and playlist results go to stdout unless --out is given.
+ */
+
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { basename, dirname, extname, join } from 'node:path';
+import { spotifyAPI } from '../modules/spotify-api.js';
+import { searchManager } from '../modules/search-manager.js';
+import { exportManager } from '../modules/export-manager.js';
+import { storageManager } from '../modules/storage-manager.js';
+import { coreEvents, CORE_EVENTS } from '../modules/core-events.js';
+import { workerPool } from '../modules/worker-pool.js';
+import { ruleEngine } from '../modules/rule-engine.js';
+import { queryBuilder } from '../modules/query-builder.js';
+import { exportFormats } from '../modules/export-formats.js';
+import { domainVerifier, DnsDomainResolver } from '../modules/domain-verifier.js';
+import { watchlistManager } from '../modules/watchlist-manager.js';
+import { parseArgs, loadConfig, getCredentials } from './cli-options.js';
+import { ConsoleReporter } from './console-reporter.js';
+
+const FLAG_OPTIONS = ['emailsOnly', 'noShard', 'deep', 'verifyDomains', 'quiet'];
+const EXIT_STOPPED = 130; // interrupted with Ctrl+C
+
+/**
+ * Apply settings to the modules, through the same storage the configuration panel writes to
+ * @param {Object} settings - Config file values overridden by command line options
+ * @returns {Promise<void>}
+ */
+async function applySettings(settings) {
+    if (settings.apiBaseUrl) {
+        spotifyAPI.setBaseUrl(settings.apiBaseUrl);
+    }
+    if (settings.market !== undefined) {
+        spotifyAPI.setMarket(queryBuilder.normalizeMarket(settings.market));
+    }
+    if (settings.concurrency !== undefined) {
+        workerPool.setConcurrency(settings.concurrency);
+    }
+    spotifyAPI.setDeepMode(Boolean(settings.deep));
+
+    if (settings.verifyDomains) {
+        domainVerifier.setResolver(new DnsDomainResolver());
+        domainVerifier.setEnabled(true);
+    }
+
+    storageManager.saveShardQueries(!settings.noShard);
+    if (settings.contactTypes) {
+        const types = Array.isArray(settings.contactTypes) ? settings.contactTypes : settings.contactTypes.split(',');
+        storageManager.saveExportContactTypes(types.map(type => type.trim()).filter(type => type));
+    }
+
+    // The output file extension picks the format when none is given
+    const extension = settings.out ? extname(settings.out).slice(1).toLowerCase() : '';
+    const format = settings.format || (exportFormats.getFormats().includes(extension) ? extension : undefined);
+    if (format && !exportFormats.getFormats().includes(format)) {
+        throw new Error(`Unknown format "${format}": use ${exportFormats.getFormats().join(', ')}`);
+    }
+    if (settings.rowMode && !exportFormats.getRowModes().includes(settings.rowMode)) {
+        throw new Error(`Unknown row mode "${settings.rowMode}": use ${exportFormats.getRowModes().join(', ')}`);
+    }
+    if (settings.domainFilter && !domainVerifier.getFilters().includes(settings.domainFilter)) {
+        throw new Error(`Unknown domain filter "${settings.domainFilter}": use ${domainVerifier.getFilters().join(', ')}`);
+    }
+
+    const filterMatch = settings.match || 'all';
+    const filterRules = settings.rules ? await readFile(settings.rules, 'utf8') : '';
+    ruleEngine.setRules(filterRules, filterMatch);
+
+    storageManager.saveExportOptions({
+        format,
+        rowMode: settings.rowMode,
+        template: settings.template,
+        minEmailScore: settings.minScore !== undefined ? parseInt(settings.minScore, 10) || 0 : undefined,
+        domainFilter: settings.domainFilter,
+        excludeContacts: settings.excludeContacts,
+        filterRules,
+        filterMatch
+    });
+}
+
+/**
+ * Write exported files to a directory
+ * @param {string} directory - Output directory
+ * @param {ConsoleReporter} reporter - Reporter told about written files
+ */
+function writeFilesTo(directory, reporter) {
+    mkdirSync(directory, { recursive: true });
+    coreEvents.on(CORE_EVENTS.FILE, ({ content, filename }) => {
+        const path = join(directory, filename);
+        writeFileSync(path, content);
+        reporter.success(`Wrote ${path}`);
+    });
+}
+
+/**
+ * Write records to the --out file through the export pipeline (format, template, suppression)
+ * @param {Array<Object>} records - Playlist records
+ * @param {string} out - Output file path
+ * @param {ConsoleReporter} reporter - Reporter
+ */
+function writeRecords(records, out, reporter) {
+    writeFilesTo(dirname(out), reporter);
+    storageManager.exportData(records, basename(out));
+}
+
+/**
+ * Print playlists one per line: name, owner, followers, emails and link, tab-separated
+ * @param {Array<Object>} playlists - Playlist records
+ */
+function printPlaylists(playlists) {
+    playlists.forEach(playlist => {
+        console.log([
+            playlist.name,
+            playlist.owner,
+            playlist.followers,
+            playlist.emails.join(', ') || '-',
+            playlist.url
+        ].join('\t'));
+    });
+}
+
+/**
+ * Search one page of results, fetching every playlist's details
+ * @param {Array<string>} words - Query words
+ * @param {Object} settings - Settings
+ * @param {ConsoleReporter} reporter - Reporter
+ * @returns {Promise<number>} Exit code
+ */
+async function runSearch(words, settings, reporter) {
+    const query = words.join(' ').trim();
+    const problem = queryBuilder.validate(query);
+    if (problem) throw new Error(problem);
+
+    const { clientId, clientSecret } = getCredentials(settings);
+    const page = Math.max(parseInt(settings.page, 10) || 1, 1) - 1;
+    await searchManager.performSearch(query, clientId, clientSecret, page);
+
+    const stats = searchManager.getSearchStats();
+    const playlists = searchManager.getCurrentPagePlaylists()
+        .filter(playlist => ruleEngine.matches(playlist))
+        .filter(playlist => !settings.emailsOnly || playlist.emails.length > 0);
+    reporter.success(`Page ${stats.currentPage + 1} of ${stats.totalPages} (${stats.totalResults.toLocaleString()} results): ` +
+        `${playlists.length} playlists, ${stats.totalEmailsFound} emails` +
+        (stats.failedPlaylistCount > 0 ? `, ${stats.failedPlaylistCount} playlists could not be read` : ''));
+
+    if (settings.out) {
+        writeRecords(playlists, settings.out, reporter);
+    } else {
+        reporter.finish();
+        printPlaylists(playlists);
+    }
+    return reporter.errorCount > 0 ? 1 : 0;
+}
+
+/**
+ * Export every result of one or more queries, like "Export all" and "Batch export"
+ * @param {Array<string>} queries - Queries given as arguments
+ * @param {Object} settings - Settings
+ * @param {ConsoleReporter} reporter - Reporter
+ * @returns {Promise<number>} Exit code
+ */
+async function runExport(queries, settings, reporter) {
+    if (settings.queries) {
+        const text = await readFile(settings.queries, 'utf8');
+        queries = [...queries, ...text.split('\n')];
+    }
+    queries = queries.map(query => query.trim()).filter(query => query);
+    if (queries.length === 0) throw new Error('Give at least one query to export');
+
+    const { clientId, clientSecret } = getCredentials(settings);
+    writeFilesTo(settings.outDir || '.', reporter);
+
+    // Ctrl+C stops the export like the Stop button, keeping what was found so far
+    let stopped = false;
+    const stop = () => {
+        stopped = true;
+        exportManager.stopExport();
+    };
+    process.once('SIGINT', stop);
+
+    try {
+        if (queries.length === 1) {
+            await exportManager.exportAll(queries[0], clientId, clientSecret);
+        } else {
+            await exportManager.exportBatch(queries, clientId, clientSecret);
+        }
+    } finally {
+        process.removeListener('SIGINT', stop);
+    }
+
+    if (stopped) {
+        exportManager.exportPartialData();
+        return EXIT_STOPPED;
+    }
+    return reporter.errorCount > 0 ? 1 : 0;
+}
+
+/**
+ * Fetch playlists by ID or link
+ * @param {Array<string>} args - Playlist IDs, links or URIs
+ * @param {Object} settings - Settings
+ * @param {ConsoleReporter} reporter - Reporter
+ * @returns {Promise<number>} Exit code
+ */
+async function runPlaylist(args, settings, reporter) {
+    const playlistIds = watchlistManager.parsePlaylistIds(args.join('\n'));
+    if (playlistIds.length === 0) throw new Error('Give at least one playlist ID or link');
+
+    const { clientId, clientSecret } = getCredentials(settings);
+    const token = await spotifyAPI.ensureValidToken(clientId, clientSecret);
+    if (!token) return 1;
+
+    const records = [];
+    await workerPool.run(playlistIds, async (playlistId) => {
+        return await spotifyAPI.getDetailedPlaylist(playlistId);
+    }, {
+        onResult: (playlistData, i, playlistId) => {
+            if (playlistData) {
+                records.push(playlistData);
+            } else {
+                reporter.error(`Could not fetch playlist ${playlistId}`);
+            }
+        }
+    });
+
+    if (settings.out) {
+        writeRecords(records, settings.out, reporter);
+    } else {
+        reporter.finish();
+        console.log(JSON.stringify(records.length === 1 ? records[0] : records, null, 2));
+    }
+    return records.length === playlistIds.length ? 0 : 1;
+}
+
+/**
+ * Run a command
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+    const { positionals, options } = parseArgs(args, { flags: FLAG_OPTIONS });
+    const [command, ...rest] = positionals;
+    const settings = { ...await loadConfig(options.config), ...options };
+
+    const reporter = new ConsoleReporter({ quiet: Boolean(settings.quiet) });
+    reporter.subscribe(coreEvents);
+    spotifyAPI.setCredentialsProvider(() => getCredentials(settings));
+
+    try {
+        await applySettings(settings);
+
+        switch (command) {
+            case 'search':
+                return await runSearch(rest, settings, reporter);
+            case 'export':
+                return await runExport(rest, settings, reporter);
+            case 'playlist':
+                return await runPlaylist(rest, settings, reporter);
+            default:
+                throw new Error(command ? `Unknown command "${command}"` : 'Missing command: search, export or playlist');
+        }
+    } finally {
+        reporter.finish();
+    }
+}
+
+main(process.argv.slice(2))
+    .then(exitCode => {
+        process.exitCode = exitCode;
+    })
+    .catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+/**
+ * Watchlist command line
+ * Manages watchlists kept in a JSON state file and re-scans the due ones, for use from cron
+ *
+ * Usage:
+ *   node src/cli/watch.js add --name <name> [--query <query>]... [--playlist <id or link>]... [--interval <minutes>] [--market <code>]
+ *   node src/cli/watch.js remove --name <name>
+ *   node src/cli/watch.js list
+ *   node src/cli/watch.js scan [--name <name> | --all] [--webhook <url>]
+ *
+ * Options shared by every command: --state <file> (default: watchlists.json), --config <file>
+ * Scans also take --api-base-url <url> (or "apiBaseUrl" in the config file) to use another server, e.g. the mock server.
+ * Scans read the Spotify credentials from SPOTIFY_CLIENT_ID and SPOTIFY_CLIENT_SECRET, or from the
+ * config file shared with the scraper command line (default: spotify-scraper.config.json).
+ */
+
+import { readFile, writeFile, rename } from 'node:fs/promises';
+import { spotifyAPI } from '../modules/spotify-api.js';
+import { watchlistManager } from '../modules/watchlist-manager.js';
+import { coreEvents } from '../modules/core-events.js';
+import { parseArgs, loadConfig, getCredentials } from './cli-options.js';
+import { ConsoleReporter } from './console-reporter.js';
+
+const DEFAULT_STATE_FILE = 'watchlists.json';
+const REPEATABLE_OPTIONS = ['query', 'playlist'];
+const FLAG_OPTIONS = ['all'];
+
+/**
+ * Load watchlists from the state file
+ * @param {string} path - State file path
+ * @returns {Promise<void>}
+ */
+async function loadState(path) {
+    try {
+        const state = JSON.parse(await readFile(path, 'utf8'));
+        watchlistManager.setWatchlists(state.watchlists || []);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw new Error(`Could not read ${path}: ${error.message}`);
+        }
+        watchlistManager.setWatchlists([]);
+    }
+}
+
+/**
+ * Write watchlists to the state file, replacing it only once fully written
+ * @param {string} path - State file path
+ * @returns {Promise<void>}
+ */
+async function saveState(path) {
+    const temporaryPath = `${path}.tmp`;
+    const state = { watchlists: watchlistManager.getWatchlists() };
+    await writeFile(temporaryPath, JSON.stringify(state, null, 2) + '\n');
+    await rename(temporaryPath, path);
+}
+
+/**
+ * Describe a watchlist on one line
+ * @param {Object} watchlist - Watchlist
+ * @returns {string} Summary
+ */
+function describeWatchlist(watchlist) {
+    const parts = [
+        `${watchlist.queries.length} queries`,
+        `${watchlist.playlistIds.length} playlists`,
+        `every ${watchlist.intervalMinutes} min`,
+        watchlist.lastScanAt ? `last scan ${new Date(watchlist.lastScanAt).toISOString()}` : 'never scanned'
+    ];
+    if (watchlist.market) parts.push(`market ${watchlist.market}`);
+    if (watchlistManager.isDue(watchlist)) parts.push('due');
+    return `${watchlist.name}: ${parts.join(', ')}`;
+}
+
+/**
+ * Send new emails to a webhook as JSON
+ * @param {string} url - Webhook URL
+ * @param {Object} result - Scan result
+ * @returns {Promise<void>}
+ */
+async function postWebhook(url, result) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            watchlist: result.name,
+            scannedAt: new Date(result.startedAt).toISOString(),
+            newEmails: result.newEmails
+        })
+    });
+
+    if (!response.ok) {
+        throw new Error(`Webhook responded with HTTP ${response.status}`);
+    }
+}
+
+/**
+ * Scan the selected watchlists, saving the state after each one
+ * @param {Object} options - Parsed options
+ * @param {string} statePath - State file path
+ * @returns {Promise<number>} Exit code
+ */
+async function runScan(options, statePath) {
+    const config = await loadConfig(options.config);
+    const { clientId, clientSecret } = getCredentials(config);
+    new ConsoleReporter().subscribe(coreEvents);
+
+    const apiBaseUrl = options.apiBaseUrl || config.apiBaseUrl;
+    if (apiBaseUrl) {
+        spotifyAPI.setBaseUrl(apiBaseUrl);
+    }
+
+    let watchlists;
+    if (options.name) {
+        const watchlist = watchlistManager.getWatchlist(options.name);
+        if (!watchlist) throw new Error(`No watchlist named "${options.name}"`);
+        watchlists = [watchlist];
+    } else {
+        watchlists = options.all ? watchlistManager.getWatchlists() : watchlistManager.getDueWatchlists();
+    }
+
+    if (watchlists.length === 0) {
+        console.log('No watchlist is due');
+        return 0;
+    }
+
+    spotifyAPI.setCredentialsProvider(() => ({ clientId, clientSecret }));
+    const token = await spotifyAPI.ensureValidToken(clientId, clientSecret);
+    if (!token) {
+        throw new Error('Could not get a Spotify access token, check the credentials');
+    }
+
+    let exitCode = 0;
+    for (const watchlist of watchlists) {
+        spotifyAPI.setMarket(watchlist.market);
+        const result = await watchlistManager.scan(watchlist, {
+            onProgress: (message) => console.error(`[${watchlist.name}] ${message}`)
+        });
+        await saveState(statePath);
+
+        const outcome = result.baseline
+            ? 'baseline recorded'
+            : `${result.newEmails.length} new emails`;
+        console.log(`${result.name}: ${result.checked} checked, ${result.changed} changed, ${result.failed} failed, ${outcome}`);
+        result.newEmails.forEach(entry => {
+            console.log(`  ${entry.email}\t${entry.name}\t${entry.url}`);
+        });
+        if (result.failed > 0 || result.failedQueries.length > 0) exitCode = 1;
+
+        if (options.webhook && result.newEmails.length > 0) {
+            try {
+                await postWebhook(options.webhook, result);
+            } catch (error) {
+                console.error(`Webhook failed for "${result.name}": ${error.message}`);
+                exitCode = 1;
+            }
+        }
+    }
+
+    return exitCode;
+}
+
+/**
+ * Run a command
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+    const { positionals: [command, ...rest], options } = parseArgs(args, {
+        repeatable: REPEATABLE_OPTIONS,
+        flags: FLAG_OPTIONS
+    });
+    if (rest.length > 0) throw new Error(`Unexpected argument "${rest[0]}"`);
+    const statePath = options.state || DEFAULT_STATE_FILE;
+    await loadState(statePath);
+
+    switch (command) {
+        case 'add': {
+            const watchlist = watchlistManager.addWatchlist({
+                name: options.name,
+                queries: options.query,
+                playlistIds: options.playlist,
+                intervalMinutes: options.interval,
+                market: options.market
+            });
+            await saveState(statePath);
+            console.log(`Saved ${describeWatchlist(watchlist)}`);
+            return 0;
+        }
+        case 'remove':
+            if (!watchlistManager.removeWatchlist(options.name)) {
+                throw new Error(`No watchlist named "${options.name}"`);
+            }
+            await saveState(statePath);
+            console.log(`Removed ${options.name}`);
+            return 0;
+        case 'list': {
+            const watchlists = watchlistManager.getWatchlists();
+            if (watchlists.length === 0) console.log('No watchlists');
+            watchlists.forEach(watchlist => console.log(describeWatchlist(watchlist)));
+            return 0;
+        }
+        case 'scan':
+            return await runScan(options, statePath);
+        default:
+            throw new Error(command ? `Unknown command "${command}"` : 'Missing command: add, remove, list or scan');
+    }
+}
+
+main(process.argv.slice(2))
+    .then(exitCode => {
+        process.exitCode = exitCode;
+    })
+    .catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
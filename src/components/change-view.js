@@ -0,0 +1,224 @@
+/**
+ * Change view component
+ * Displays what changed between the last two export runs of a query
+ */
+
+import { playlistSnapshots } from '../modules/playlist-snapshots.js';
+import { exportManager } from '../modules/export-manager.js';
+import { storageManager } from '../modules/storage-manager.js';
+import { uiManager } from '../modules/ui-manager.js';
+
+// Labels of the change report rows
+const CHANGE_LABELS = {
+    new: 'New',
+    removed: 'Removed',
+    not_returned: 'Not returned (incomplete run)',
+    followers: 'Followers',
+    description: 'Description',
+    emails_added: 'Emails added',
+    emails_removed: 'Emails removed',
+    tracks: 'Tracks'
+};
+
+class ChangeView {
+    constructor() {
+        this.container = null;
+        this.resultsContainer = null;
+        this.viewSelect = null;
+        this.exportButton = null;
+        this.currentDiff = null;
+        this.currentQuery = '';
+        this.isVisible = false;
+        this.initialized = false;
+    }
+
+    /**
+     * Initialize the change view
+     */
+    initialize() {
+        if (this.initialized) return;
+
+        this.container = document.getElementById('changeContainer');
+        this.resultsContainer = document.getElementById('resultsContainer');
+        this.viewSelect = document.getElementById('resultsView');
+        this.exportButton = document.getElementById('exportChangesBtn');
+
+        if (!this.container || !this.viewSelect) {
+            console.error('Change view elements not found');
+            return;
+        }
+
+        this.setupEventListeners();
+        this.hide();
+        this.initialized = true;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        uiManager.addEventListener(this.viewSelect, 'change', (e) => {
+            if (e.target.value === 'changes') {
+                this.show();
+            } else {
+                this.hide();
+            }
+        });
+
+        if (this.exportButton) {
+            uiManager.addEventListener(this.exportButton, 'click', () => {
+                this.exportChanges();
+            });
+        }
+
+        // Query picker, rendered with the view
+        uiManager.addEventListener(this.container, 'change', (e) => {
+            if (e.target.id === 'changeQuery') {
+                this.currentQuery = e.target.value;
+                this.render();
+            }
+        });
+    }
+
+    /**
+     * Show the change view in place of the playlist table
+     */
+    show() {
+        this.render();
+        this.container.style.display = 'block';
+        if (this.resultsContainer) this.resultsContainer.style.display = 'none';
+        if (this.exportButton) this.exportButton.style.display = 'inline-block';
+        this.isVisible = true;
+    }
+
+    /**
+     * Hide the change view, restoring the playlist table unless another view replaced it
+     */
+    hide() {
+        if (this.container) this.container.style.display = 'none';
+        if (this.resultsContainer && this.viewSelect?.value === 'playlists') {
+            this.resultsContainer.style.display = 'block';
+        }
+        if (this.exportButton) this.exportButton.style.display = 'none';
+        this.isVisible = false;
+    }
+
+    /**
+     * Pick the query to compare: the one already shown, else the last searched one, else the latest exported
+     * @param {Array<string>} queries - Queries with at least two runs
+     * @returns {string} Query, empty if none can be compared
+     * @private
+     */
+    pickQuery(queries) {
+        const lastSearch = storageManager.loadLastSearchQuery();
+        if (queries.includes(this.currentQuery)) return this.currentQuery;
+        if (queries.includes(lastSearch)) return lastSearch;
+        return queries[0] || '';
+    }
+
+    /**
+     * Render the diff of the selected query
+     */
+    render() {
+        const queries = playlistSnapshots.getComparableQueries();
+        this.currentQuery = this.pickQuery(queries);
+        this.currentDiff = this.currentQuery ? playlistSnapshots.diffQuery(this.currentQuery) : null;
+
+        if (!this.currentDiff) {
+            this.container.innerHTML = '<p class="placeholder-text">No changes to show yet. Export the same query twice to compare runs.</p>';
+            return;
+        }
+
+        const options = queries.map(query =>
+            `<option value="${uiManager.escapeAttribute(query)}"${query === this.currentQuery ? ' selected' : ''}>${uiManager.escapeHtml(query)}</option>`
+        ).join('');
+        const summary = playlistSnapshots.summarize(this.currentDiff);
+        const rows = playlistSnapshots.toReport(this.currentDiff).map(row => `
+            <tr>
+                <td><span class="change-type change-${row.change}">${CHANGE_LABELS[row.change]}</span></td>
+                <td class="playlist-name">
+                    <a href="${uiManager.escapeAttribute(row.url)}" target="_blank" rel="noopener noreferrer">${uiManager.escapeHtml(row.name)}</a>
+                </td>
+                <td>${uiManager.escapeHtml(row.owner || '-')}</td>
+                <td class="description-preview" title="${uiManager.escapeAttribute(String(row.before))}">${uiManager.escapeHtml(this.formatValue(row.before))}</td>
+                <td class="description-preview" title="${uiManager.escapeAttribute(String(row.after))}">${uiManager.escapeHtml(this.formatValue(row.after))}</td>
+                <td>${this.formatDelta(row.delta)}</td>
+            </tr>
+        `).join('');
+
+        this.container.innerHTML = `
+            <p class="curator-summary">
+                <select id="changeQuery" title="Query to compare">${options}</select>
+                ${uiManager.escapeHtml(this.formatDate(this.currentDiff.from))} → ${uiManager.escapeHtml(this.formatDate(this.currentDiff.to))}:
+                ${summary.added} new, ${summary.removed} removed, ${summary.changed} changed, ${summary.unchanged} unchanged${summary.notReturned > 0 ? `, ${summary.notReturned} not returned by an incomplete run` : ''}
+            </p>
+            ${rows ? `
+            <table class="results-table">
+                <thead>
+                    <tr>
+                        <th>Change</th>
+                        <th>Playlist</th>
+                        <th>Owner</th>
+                        <th>Before</th>
+                        <th>After</th>
+                        <th>Delta</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>` : '<p class="placeholder-text">Nothing changed between these runs.</p>'}
+        `;
+    }
+
+    /**
+     * Format a before or after value
+     * @param {*} value - Report value
+     * @returns {string} Display text
+     * @private
+     */
+    formatValue(value) {
+        if (value === '' || value === null || value === undefined) return '-';
+        return typeof value === 'number' ? value.toLocaleString() : String(value);
+    }
+
+    /**
+     * Format a numeric change
+     * @param {*} delta - Report delta
+     * @returns {string} Display HTML
+     * @private
+     */
+    formatDelta(delta) {
+        if (typeof delta !== 'number' || delta === 0) return '-';
+        const className = delta > 0 ? 'delta-up' : 'delta-down';
+        return `<span class="${className}">${delta > 0 ? '+' : ''}${delta.toLocaleString()}</span>`;
+    }
+
+    /**
+     * Format a run date
+     * @param {number} timestamp - Run timestamp
+     * @returns {string} Localized date and time
+     * @private
+     */
+    formatDate(timestamp) {
+        return new Date(timestamp).toLocaleString();
+    }
+
+    /**
+     * Export the change report of the displayed query
+     */
+    exportChanges() {
+        if (!this.isVisible) {
+            this.render();
+        }
+        exportManager.exportChangeReport(playlistSnapshots.toReport(this.currentDiff), this.currentQuery);
+    }
+
+    /**
+     * Reset view to initial state
+     */
+    reset() {
+        this.currentDiff = null;
+        this.hide();
+    }
+}
+
+export const changeView = new ChangeView();
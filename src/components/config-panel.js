@@ -5,11 +5,29 @@
 
 import { storageManager } from '../modules/storage-manager.js';
 import { uiManager } from '../modules/ui-manager.js';
+import { workerPool } from '../modules/worker-pool.js';
+import { spotifyAPI } from '../modules/spotify-api.js';
+import { playlistCache } from '../modules/playlist-cache.js';
+import { domainVerifier } from '../modules/domain-verifier.js';
+import { suppressionList } from '../modules/suppression-list.js';
 
 class ConfigPanel {
     constructor() {
         this.clientIdInput = null;
         this.clientSecretInput = null;
+        this.concurrencyInput = null;
+        this.cacheTtlInput = null;
+        this.deepModeCheckbox = null;
+        this.verifyDomainsCheckbox = null;
+        this.shardQueriesCheckbox = null;
+        this.exportFormatSelect = null;
+        this.exportRowModeSelect = null;
+        this.minEmailScoreInput = null;
+        this.excludeContactsSelect = null;
+        this.suppressionFileInput = null;
+        this.clearSuppressionButton = null;
+        this.suppressionStatus = null;
+        this.contactTypeCheckboxes = [];
         this.initialized = false;
     }
 
@@ -21,6 +39,19 @@ class ConfigPanel {
 
         this.clientIdInput = document.getElementById('clientId');
         this.clientSecretInput = document.getElementById('clientSecret');
+        this.concurrencyInput = document.getElementById('concurrency');
+        this.cacheTtlInput = document.getElementById('cacheTtl');
+        this.deepModeCheckbox = document.getElementById('deepMode');
+        this.verifyDomainsCheckbox = document.getElementById('verifyDomains');
+        this.shardQueriesCheckbox = document.getElementById('shardQueries');
+        this.exportFormatSelect = document.getElementById('exportFormat');
+        this.exportRowModeSelect = document.getElementById('exportRowMode');
+        this.minEmailScoreInput = document.getElementById('minEmailScore');
+        this.excludeContactsSelect = document.getElementById('excludeContacts');
+        this.suppressionFileInput = document.getElementById('suppressionFile');
+        this.clearSuppressionButton = document.getElementById('clearSuppressionBtn');
+        this.suppressionStatus = document.getElementById('suppressionStatus');
+        this.contactTypeCheckboxes = [...document.querySelectorAll('#exportContactTypes input[type="checkbox"]')];
 
         if (!this.clientIdInput || !this.clientSecretInput) {
             console.error('Config panel inputs not found');
@@ -29,6 +60,14 @@ class ConfigPanel {
 
         this.setupEventListeners();
         this.loadSavedCredentials();
+        this.loadSavedConcurrency();
+        this.loadSavedCacheTtl();
+        this.loadSavedDeepMode();
+        this.loadSavedVerifyDomains();
+        this.loadSavedShardQueries();
+        this.loadSavedExportOptions();
+        this.loadSavedContactTypes();
+        this.updateSuppressionStatus();
         this.initialized = true;
     }
 
@@ -47,6 +86,71 @@ class ConfigPanel {
             this.validateCredentials();
         });
 
+        // Apply parallel request setting
+        if (this.concurrencyInput) {
+            uiManager.addEventListener(this.concurrencyInput, 'change', () => {
+                this.applyConcurrency();
+            });
+        }
+
+        // Apply cache time-to-live setting
+        if (this.cacheTtlInput) {
+            uiManager.addEventListener(this.cacheTtlInput, 'change', () => {
+                this.applyCacheTtl();
+            });
+        }
+
+        // Apply deep mode setting
+        if (this.deepModeCheckbox) {
+            uiManager.addEventListener(this.deepModeCheckbox, 'change', () => {
+                this.applyDeepMode();
+            });
+        }
+
+        // Apply email domain verification setting
+        if (this.verifyDomainsCheckbox) {
+            uiManager.addEventListener(this.verifyDomainsCheckbox, 'change', () => {
+                this.applyVerifyDomains();
+            });
+        }
+
+        // Save query sharding setting
+        if (this.shardQueriesCheckbox) {
+            uiManager.addEventListener(this.shardQueriesCheckbox, 'change', () => {
+                this.applyShardQueries();
+            });
+        }
+
+        // Save export format options
+        [this.exportFormatSelect, this.exportRowModeSelect, this.minEmailScoreInput, this.excludeContactsSelect].forEach(select => {
+            if (select) {
+                uiManager.addEventListener(select, 'change', () => {
+                    this.saveExportOptions();
+                });
+            }
+        });
+
+        // Import and clear the suppression list
+        if (this.suppressionFileInput) {
+            uiManager.addEventListener(this.suppressionFileInput, 'change', (e) => {
+                const file = e.target.files?.[0];
+                if (file) this.importSuppressionFile(file);
+            });
+        }
+
+        if (this.clearSuppressionButton) {
+            uiManager.addEventListener(this.clearSuppressionButton, 'click', () => {
+                this.clearSuppressionList();
+            });
+        }
+
+        // Save contact types kept by full exports
+        this.contactTypeCheckboxes.forEach(checkbox => {
+            uiManager.addEventListener(checkbox, 'change', () => {
+                this.saveContactTypes();
+            });
+        });
+
         // Clear button functionality (if we add one)
         uiManager.addEventListener(document, 'click', (e) => {
             if (e.target.id === 'clearCredentials') {
@@ -79,6 +183,232 @@ class ConfigPanel {
         this.validateCredentials();
     }
 
+    /**
+     * Load saved parallel request setting and apply it
+     */
+    loadSavedConcurrency() {
+        const concurrency = storageManager.loadConcurrency();
+        if (concurrency && this.concurrencyInput) {
+            this.concurrencyInput.value = concurrency;
+        }
+        this.applyConcurrency();
+    }
+
+    /**
+     * Apply the parallel request setting to the worker pool
+     * @returns {number} Applied concurrency
+     */
+    applyConcurrency() {
+        if (!this.concurrencyInput) return workerPool.concurrency;
+
+        const concurrency = workerPool.setConcurrency(this.concurrencyInput.value);
+        this.concurrencyInput.value = concurrency;
+        storageManager.saveConcurrency(concurrency);
+        return concurrency;
+    }
+
+    /**
+     * Load saved cache time-to-live and apply it
+     */
+    loadSavedCacheTtl() {
+        const hours = storageManager.loadCacheTtlHours();
+        if (hours !== null && this.cacheTtlInput) {
+            this.cacheTtlInput.value = hours;
+        }
+        this.applyCacheTtl();
+    }
+
+    /**
+     * Apply the cache time-to-live to the playlist cache
+     * @returns {number} Applied TTL in hours
+     */
+    applyCacheTtl() {
+        if (!this.cacheTtlInput) return playlistCache.ttlMs / 3600000;
+
+        const parsed = parseFloat(this.cacheTtlInput.value);
+        const hours = Number.isNaN(parsed) || parsed < 0 ? 24 : parsed;
+        this.cacheTtlInput.value = hours;
+        playlistCache.configure({ ttlMs: hours * 3600000 });
+        storageManager.saveCacheTtlHours(hours);
+        return hours;
+    }
+
+    /**
+     * Load saved deep mode setting and apply it
+     */
+    loadSavedDeepMode() {
+        if (this.deepModeCheckbox) {
+            this.deepModeCheckbox.checked = storageManager.loadDeepMode();
+        }
+        this.applyDeepMode();
+    }
+
+    /**
+     * Apply the deep mode setting to the API client
+     */
+    applyDeepMode() {
+        const enabled = this.deepModeCheckbox?.checked || false;
+        spotifyAPI.setDeepMode(enabled);
+        storageManager.saveDeepMode(enabled);
+    }
+
+    /**
+     * Load saved query sharding setting
+     */
+    loadSavedShardQueries() {
+        if (this.shardQueriesCheckbox) {
+            this.shardQueriesCheckbox.checked = storageManager.loadShardQueries();
+        }
+    }
+
+    /**
+     * Save the query sharding setting, read by exports when they start
+     */
+    applyShardQueries() {
+        storageManager.saveShardQueries(this.shardQueriesCheckbox?.checked ?? true);
+    }
+
+    /**
+     * Load saved email domain verification setting and apply it
+     */
+    loadSavedVerifyDomains() {
+        if (this.verifyDomainsCheckbox) {
+            this.verifyDomainsCheckbox.checked = storageManager.loadVerifyDomains();
+        }
+        this.applyVerifyDomains();
+    }
+
+    /**
+     * Apply the email domain verification setting to the verifier
+     */
+    applyVerifyDomains() {
+        const enabled = this.verifyDomainsCheckbox?.checked || false;
+        domainVerifier.setEnabled(enabled);
+        storageManager.saveVerifyDomains(enabled);
+    }
+
+    /**
+     * Load saved export format options into the selects
+     */
+    loadSavedExportOptions() {
+        const { format, rowMode, minEmailScore, excludeContacts } = storageManager.loadExportOptions();
+        if (this.exportFormatSelect) this.exportFormatSelect.value = format;
+        if (this.exportRowModeSelect) this.exportRowModeSelect.value = rowMode;
+        if (this.minEmailScoreInput) this.minEmailScoreInput.value = minEmailScore;
+        if (this.excludeContactsSelect) this.excludeContactsSelect.value = excludeContacts;
+        this.updateRowModeState();
+    }
+
+    /**
+     * Save the selected export format options
+     */
+    saveExportOptions() {
+        const options = {
+            format: this.exportFormatSelect?.value,
+            rowMode: this.exportRowModeSelect?.value,
+            excludeContacts: this.excludeContactsSelect?.value
+        };
+
+        if (this.minEmailScoreInput) {
+            const minEmailScore = Math.min(100, Math.max(0, parseInt(this.minEmailScoreInput.value, 10) || 0));
+            this.minEmailScoreInput.value = minEmailScore;
+            options.minEmailScore = minEmailScore;
+        }
+
+        storageManager.saveExportOptions(options);
+        this.updateRowModeState();
+    }
+
+    /**
+     * Row mode only applies to tabular formats
+     */
+    updateRowModeState() {
+        if (this.exportRowModeSelect) {
+            this.exportRowModeSelect.disabled = this.exportFormatSelect?.value === 'json';
+        }
+    }
+
+    /**
+     * Import a suppression file into the local list
+     * @param {File} file - CSV or TXT file of emails and domains
+     */
+    async importSuppressionFile(file) {
+        try {
+            const result = await suppressionList.import(await file.text(), file.name);
+            uiManager.clearError();
+            uiManager.showSuccessMessage(
+                `Suppression list: ${result.emails} emails and ${result.domains} domains added` +
+                (result.duplicates ? `, ${result.duplicates} already listed` : '') +
+                (result.skipped ? `, ${result.skipped} entries skipped` : '')
+            );
+        } catch (error) {
+            console.error('Failed to import suppression list:', error);
+            uiManager.showError(`Could not read ${file.name}`);
+        }
+
+        this.suppressionFileInput.value = '';
+        this.updateSuppressionStatus();
+    }
+
+    /**
+     * Remove every suppressed email and domain
+     */
+    async clearSuppressionList() {
+        if (suppressionList.size === 0) return;
+        if (!uiManager.confirm('Remove every email and domain from the suppression list?')) return;
+
+        await suppressionList.clear();
+        this.updateSuppressionStatus();
+    }
+
+    /**
+     * Show how many emails and domains are suppressed
+     */
+    updateSuppressionStatus() {
+        if (!this.suppressionStatus) return;
+
+        const { emails, domains } = suppressionList.getCounts();
+        this.suppressionStatus.textContent = emails + domains > 0
+            ? `${emails} emails and ${domains} domains suppressed`
+            : 'No suppression list imported';
+        if (this.clearSuppressionButton) {
+            this.clearSuppressionButton.disabled = emails + domains === 0;
+        }
+    }
+
+    /**
+     * Load saved contact types into the checkboxes
+     */
+    loadSavedContactTypes() {
+        const types = storageManager.loadExportContactTypes();
+        this.contactTypeCheckboxes.forEach(checkbox => {
+            checkbox.checked = types.includes(checkbox.value);
+        });
+    }
+
+    /**
+     * Save checked contact types, keeping at least one checked
+     */
+    saveContactTypes() {
+        const types = this.getContactTypes();
+        if (types.length === 0) {
+            // An export needs something to look for, fall back to emails
+            this.loadSavedContactTypes();
+            return;
+        }
+        storageManager.saveExportContactTypes(types);
+    }
+
+    /**
+     * Get checked contact types
+     * @returns {Array<string>} Contact types
+     */
+    getContactTypes() {
+        return this.contactTypeCheckboxes
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => checkbox.value);
+    }
+
     /**
      * Save current credentials to storage
      */
@@ -0,0 +1,201 @@
+/**
+ * Curator view component
+ * Displays scraped playlists grouped by owner
+ */
+
+import { coreEvents, CORE_EVENTS } from '../modules/core-events.js';
+import { curatorAggregator } from '../modules/curator-aggregator.js';
+import { emailExtractor } from '../modules/email-extractor.js';
+import { exportManager } from '../modules/export-manager.js';
+import { uiManager } from '../modules/ui-manager.js';
+
+class CuratorView {
+    constructor() {
+        this.container = null;
+        this.resultsContainer = null;
+        this.viewSelect = null;
+        this.exportButton = null;
+        this.showWithoutEmailsCheckbox = null;
+        this.runPlaylists = new Map(); // Playlists of the current search page or export, by ID
+        this.currentCurators = [];
+        this.isVisible = false;
+        this.initialized = false;
+    }
+
+    /**
+     * Initialize the curator view
+     */
+    initialize() {
+        if (this.initialized) return;
+
+        this.container = document.getElementById('curatorContainer');
+        this.resultsContainer = document.getElementById('resultsContainer');
+        this.viewSelect = document.getElementById('resultsView');
+        this.exportButton = document.getElementById('exportCuratorsBtn');
+        this.showWithoutEmailsCheckbox = document.getElementById('showWithoutEmails');
+
+        if (!this.container || !this.viewSelect) {
+            console.error('Curator view elements not found');
+            return;
+        }
+
+        this.setupEventListeners();
+        this.hide();
+        this.initialized = true;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        // Results of the current search page or export
+        coreEvents.on(CORE_EVENTS.LOADING, () => {
+            this.runPlaylists.clear();
+            if (this.isVisible) this.render();
+        });
+
+        coreEvents.on(CORE_EVENTS.RESULT, ({ playlist }) => {
+            this.runPlaylists.set(playlist.id, playlist);
+        });
+
+        [CORE_EVENTS.DONE, CORE_EVENTS.EXPORT_STOPPED].forEach(type => coreEvents.on(type, () => {
+            if (this.isVisible) this.render();
+        }));
+
+        uiManager.addEventListener(this.viewSelect, 'change', (e) => {
+            if (e.target.value === 'curators') {
+                this.show();
+            } else {
+                this.hide();
+            }
+        });
+
+        if (this.exportButton) {
+            uiManager.addEventListener(this.exportButton, 'click', () => {
+                this.exportCurators();
+            });
+        }
+
+        // Regroup when the email filter changes
+        if (this.showWithoutEmailsCheckbox) {
+            uiManager.addEventListener(this.showWithoutEmailsCheckbox, 'change', () => {
+                if (this.isVisible) this.render();
+            });
+        }
+    }
+
+    /**
+     * Show the curator view in place of the playlist table
+     */
+    show() {
+        this.render();
+        this.container.style.display = 'block';
+        if (this.resultsContainer) this.resultsContainer.style.display = 'none';
+        if (this.exportButton) this.exportButton.style.display = 'inline-block';
+        this.isVisible = true;
+    }
+
+    /**
+     * Hide the curator view, restoring the playlist table unless another view replaced it
+     */
+    hide() {
+        if (this.container) this.container.style.display = 'none';
+        if (this.resultsContainer && this.viewSelect?.value === 'playlists') {
+            this.resultsContainer.style.display = 'block';
+        }
+        if (this.exportButton) this.exportButton.style.display = 'none';
+        this.isVisible = false;
+    }
+
+    /**
+     * Get the playlists of the current run to group, honouring the email filter
+     * Suppressed emails are left out, the list may have changed since the playlists were fetched.
+     * @returns {Array} Array of playlist objects
+     */
+    getScrapedPlaylists() {
+        const showWithoutEmails = this.showWithoutEmailsCheckbox?.checked || false;
+        const playlists = emailExtractor.dropSuppressed(
+            [...this.runPlaylists.values()].map(playlist => emailExtractor.applySuppression(playlist))
+        );
+        return showWithoutEmails ? playlists : playlists.filter(playlist => playlist.emails.length > 0);
+    }
+
+    /**
+     * Render the curator table
+     */
+    render() {
+        this.currentCurators = curatorAggregator.groupByOwner(this.getScrapedPlaylists());
+
+        if (this.currentCurators.length === 0) {
+            this.container.innerHTML = '<p class="placeholder-text">No curators yet. Run a search or an export first.</p>';
+            return;
+        }
+
+        const stats = curatorAggregator.getCuratorStats(this.currentCurators);
+        const rows = this.currentCurators.map(curator => `
+            <tr>
+                <td class="playlist-name">
+                    ${curator.url ?
+                        `<a href="${uiManager.escapeAttribute(curator.url)}" target="_blank" rel="noopener noreferrer">${uiManager.escapeHtml(curator.name)}</a>` :
+                        uiManager.escapeHtml(curator.name)
+                    }
+                </td>
+                <td>${curator.playlistCount.toLocaleString()}</td>
+                <td>${curator.totalFollowers.toLocaleString()}</td>
+                <td class="emails">${uiManager.escapeHtml(curator.emails.join(', ')) || '-'}</td>
+                <td class="description-preview" title="${uiManager.escapeHtml(curator.playlists.map(p => p.name).join('\n'))}">
+                    ${uiManager.escapeHtml(curator.playlists.map(p => p.name).join(', '))}
+                </td>
+            </tr>
+        `).join('');
+
+        this.container.innerHTML = `
+            <p class="curator-summary">
+                ${stats.total.toLocaleString()} curators (${stats.withEmails.toLocaleString()} with emails)
+                across ${stats.totalPlaylists.toLocaleString()} playlists
+            </p>
+            <table class="results-table">
+                <thead>
+                    <tr>
+                        <th>Curator</th>
+                        <th>Playlists</th>
+                        <th>Total Followers</th>
+                        <th>Emails</th>
+                        <th>Playlist Names</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Export the currently grouped curators
+     */
+    exportCurators() {
+        if (!this.isVisible) {
+            this.render();
+        }
+        exportManager.exportCurators(this.currentCurators);
+    }
+
+    /**
+     * Get currently grouped curators
+     * @returns {Array} Array of curator objects
+     */
+    getCurrentCurators() {
+        return this.currentCurators;
+    }
+
+    /**
+     * Reset view to initial state
+     */
+    reset() {
+        this.runPlaylists.clear();
+        this.currentCurators = [];
+        if (this.viewSelect) this.viewSelect.value = 'playlists';
+        this.hide();
+    }
+}
+
+export const curatorView = new CuratorView();
@@ -4,6 +4,7 @@
  */
 
 import { uiManager } from '../modules/ui-manager.js';
+import { coreEvents, CORE_EVENTS } from '../modules/core-events.js';
 
 class ProgressBar {
     constructor() {
@@ -40,23 +41,35 @@ class ProgressBar {
      * Setup event listeners
      */
     setupEventListeners() {
-        // Listen for progress events
-        uiManager.addEventListener(document, 'progressUpdate', (e) => {
-            this.updateProgress(e.detail);
+        // Searches and exports starting and finishing
+        coreEvents.on(CORE_EVENTS.LOADING, ({ text }) => {
+            this.reset();
+            this.updateText(text);
+            this.show();
         });
 
-        // Listen for progress text updates
-        uiManager.addEventListener(document, 'progressTextUpdate', (e) => {
-            this.updateText(e.detail.text);
+        // A summary (export outcome, unreadable playlists) stays on screen until the next search or export
+        coreEvents.on(CORE_EVENTS.DONE, ({ text, summary }) => {
+            if (summary) {
+                this.updateText(summary);
+                this.show();
+            } else {
+                this.updateText(text);
+                this.hide();
+            }
         });
 
-        // Listen for progress show/hide events
-        uiManager.addEventListener(document, 'progressShow', () => {
-            this.show();
+        // Progress and progress messages
+        coreEvents.on(CORE_EVENTS.PROGRESS, (progress) => {
+            this.updateProgress(progress);
+        });
+
+        coreEvents.on(CORE_EVENTS.STATUS, ({ text }) => {
+            this.updateText(text);
         });
 
-        uiManager.addEventListener(document, 'progressHide', () => {
-            this.hide();
+        coreEvents.on(CORE_EVENTS.EXPORT_STOPPED, (stop) => {
+            this.showStoppedExport(stop);
         });
     }
 
@@ -86,9 +99,10 @@ class ProgressBar {
      * @param {number} progress.processed - Number of items processed
      * @param {number} progress.total - Total number of items
      * @param {number} progress.emailsFound - Number of emails found
+     * @param {number} progress.suppressed - Number of emails left out by the suppression list
      * @param {string} progress.text - Optional progress text
      */
-    updateProgress({ processed, total, emailsFound, text }) {
+    updateProgress({ processed, total, emailsFound, suppressed = 0, text }) {
         const percentage = total > 0 ? Math.min((processed / total) * 100, 100) : 0;
         
         // Update progress bar width
@@ -104,7 +118,7 @@ class ProgressBar {
         }
 
         // Update stats
-        this.updateStats(emailsFound);
+        this.updateStats(emailsFound, suppressed > 0 ? `${suppressed.toLocaleString()} suppressed` : '');
 
         // Show progress bar if not visible
         if (!this.isVisible) {
@@ -239,6 +253,30 @@ class ProgressBar {
         this.show();
     }
 
+    /**
+     * Show where an export stopped, with buttons to export what was found and to resume it
+     * @param {Object} stop - Stopped export ({ position, found, label })
+     */
+    showStoppedExport({ position, found, label }) {
+        const resumeButton =
+            `<button onclick="window.app.resumeExport(); return false;" style="margin-top: 10px; margin-left: 10px; padding: 8px 16px; background: #535353; color: white; border: none; border-radius: 4px; cursor: pointer;">` +
+            `Resume export</button>`;
+
+        if (found > 0) {
+            this.showCustomContent(
+                `Export stopped at ${uiManager.escapeHtml(position)}. ${found} playlists with ${label} were found.<br>` +
+                `<button onclick="window.app.exportPartialData(); return false;" style="margin-top: 10px; padding: 8px 16px; background: #1db954; color: white; border: none; border-radius: 4px; cursor: pointer;">` +
+                `Export ${found} playlists</button>` +
+                resumeButton
+            );
+        } else {
+            this.showCustomContent(
+                `Export stopped at ${uiManager.escapeHtml(position)}. No playlists with ${label} found yet.<br>` +
+                resumeButton
+            );
+        }
+    }
+
     /**
      * Add a cancel button to the progress bar
      * @param {Function} onCancel - Callback function when cancel is clicked
@@ -7,6 +7,10 @@ import { searchManager } from '../modules/search-manager.js';
 import { exportManager } from '../modules/export-manager.js';
 import { storageManager } from '../modules/storage-manager.js';
 import { uiManager } from '../modules/ui-manager.js';
+import { domainVerifier } from '../modules/domain-verifier.js';
+import { contactLedger } from '../modules/contact-ledger.js';
+import { ruleEngine } from '../modules/rule-engine.js';
+import { coreEvents, CORE_EVENTS } from '../modules/core-events.js';
 
 class ResultsTable {
     constructor() {
@@ -15,6 +19,7 @@ class ResultsTable {
         this.tbody = null;
         this.resultsCount = null;
         this.showWithoutEmailsCheckbox = null;
+        this.domainFilterSelect = null;
         this.paginationContainer = null;
         this.currentPlaylists = [];
         this.initialized = false;
@@ -29,6 +34,7 @@ class ResultsTable {
         this.tableContainer = document.getElementById('resultsContainer');
         this.resultsCount = document.getElementById('resultsCount');
         this.showWithoutEmailsCheckbox = document.getElementById('showWithoutEmails');
+        this.domainFilterSelect = document.getElementById('domainFilter');
         this.paginationContainer = document.getElementById('pagination');
 
         if (!this.tableContainer) {
@@ -45,6 +51,23 @@ class ResultsTable {
      * Setup event listeners
      */
     setupEventListeners() {
+        // Results of searches and exports
+        coreEvents.on(CORE_EVENTS.LOADING, () => {
+            this.currentPlaylists = [];
+            this.setupTable();
+            this.hidePagination();
+        });
+
+        coreEvents.on(CORE_EVENTS.RESULT, ({ playlist }) => {
+            this.currentPlaylists.push(playlist);
+            this.addPlaylist(playlist);
+            this.updateResultsCount();
+        });
+
+        coreEvents.on(CORE_EVENTS.PAGE, ({ page, totalPages }) => {
+            this.updatePagination(page + 1, totalPages, page > 0, page < totalPages - 1);
+        });
+
         // Filter checkbox change
         if (this.showWithoutEmailsCheckbox) {
             uiManager.addEventListener(this.showWithoutEmailsCheckbox, 'change', (e) => {
@@ -52,6 +75,21 @@ class ResultsTable {
             });
         }
 
+        // Domain verification filter, shared with exports
+        if (this.domainFilterSelect) {
+            uiManager.addEventListener(this.domainFilterSelect, 'change', (e) => {
+                storageManager.saveExportOptions({ domainFilter: e.target.value });
+                this.handleFilterChange(this.showWithoutEmailsCheckbox?.checked || false);
+            });
+        }
+
+        // Outreach status pickers, in both the search and export tables
+        uiManager.addEventListener(document, 'change', (e) => {
+            if (e.target.classList?.contains('contact-status')) {
+                this.handleContactStatusChange(e.target);
+            }
+        });
+
         // Pagination buttons
         uiManager.addEventListener('prevBtn', 'click', () => {
             this.goToPreviousPage();
@@ -80,6 +118,9 @@ class ResultsTable {
      * Setup initial state
      */
     setupInitialState() {
+        if (this.domainFilterSelect) {
+            this.domainFilterSelect.value = storageManager.loadExportOptions().domainFilter;
+        }
         this.showPlaceholder('Enter your API credentials and perform a search to see results.');
     }
 
@@ -103,7 +144,13 @@ class ResultsTable {
                     <th>Playlist Name</th>
                     <th>Owner</th>
                     <th>Emails</th>
+                    <th>Socials</th>
+                    <th>Links</th>
+                    <th>Phones</th>
                     <th>Followers</th>
+                    <th>Tracks</th>
+                    <th>Top Artists</th>
+                    <th>Last Added</th>
                     <th>Description</th>
                 </tr>
             </thead>
@@ -125,6 +172,11 @@ class ResultsTable {
             this.setupTable();
         }
 
+        if (!ruleEngine.matches(playlist)) {
+            return; // Left out by the filtering rules
+        }
+        playlist = domainVerifier.filterPlaylist(playlist, this.domainFilterSelect?.value || 'all');
+
         const showAll = this.showWithoutEmailsCheckbox?.checked || false;
         if (!showAll && playlist.emails.length === 0) {
             return; // Skip if it has no email and we are not showing all
@@ -143,9 +195,22 @@ class ResultsTable {
                     ${this.escapeHtml(playlist.name)}
                 </a>
             </td>
-            <td>${this.escapeHtml(playlist.owner)}</td>
-            <td class="emails">${this.formatEmails(playlist.emails)}</td>
+            <td>
+                ${playlist.ownerUrl ?
+                    `<a href="${uiManager.escapeAttribute(playlist.ownerUrl)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(playlist.owner)}</a>` :
+                    this.escapeHtml(playlist.owner)
+                }
+            </td>
+            <td class="emails">${this.formatEmails(playlist.emails, playlist.contacts)}</td>
+            <td class="contacts">${this.formatContacts(playlist.contacts, 'social')}</td>
+            <td class="contacts">${this.formatContacts(playlist.contacts, 'url')}</td>
+            <td class="contacts">${this.formatContacts(playlist.contacts, 'phone')}</td>
             <td>${playlist.followers.toLocaleString()}</td>
+            <td>${playlist.trackCount !== undefined ? playlist.trackCount.toLocaleString() : '-'}</td>
+            <td class="top-artists" title="${this.escapeHtml(this.formatGenres(playlist.genresByArtist))}">
+                ${this.escapeHtml(this.formatTopArtists(playlist.topArtists)) || '-'}
+            </td>
+            <td>${this.formatDate(playlist.lastAddedAt)}</td>
             <td class="description-preview" title="${this.escapeHtml(playlist.description)}">
                 ${this.escapeHtml(playlist.description)}
             </td>
@@ -187,21 +252,38 @@ class ResultsTable {
         // Clear and rebuild table with current filter
         this.setupTable();
         
-        let displayedCount = 0;
+        // addPlaylist applies the email, domain and rule filters
         this.currentPlaylists.forEach(playlist => {
-            if (showWithoutEmails || playlist.emails.length > 0) {
-                this.addPlaylist(playlist);
-                displayedCount++;
-            }
+            this.addPlaylist(playlist);
         });
+        const displayedCount = this.tbody.querySelectorAll('tr').length;
 
-        if (displayedCount === 0 && !showWithoutEmails) {
+        if (displayedCount === 0 && !this.currentPlaylists.some(playlist => ruleEngine.matches(playlist))) {
+            this.showPlaceholder('No playlists on this page pass the filter rules.');
+        } else if (displayedCount === 0 && !showWithoutEmails) {
             this.showPlaceholder('No playlists with emails on this page. Toggle the checkbox above to see all.');
         }
 
         this.updateResultsCount();
     }
 
+    /**
+     * Save an email's outreach status to the contact ledger
+     * @param {HTMLSelectElement} select - Status picker of the email
+     */
+    handleContactStatusChange(select) {
+        const entry = contactLedger.setStatus(select.dataset.email, select.value || null);
+        select.className = `contact-status${entry.status ? ` status-${entry.status}` : ''}`;
+
+        // The same email can appear in several rows
+        document.querySelectorAll('select.contact-status').forEach(other => {
+            if (other !== select && other.dataset.email === select.dataset.email) {
+                other.value = select.value;
+                other.className = select.className;
+            }
+        });
+    }
+
     /**
      * Update results count display
      */
@@ -308,13 +390,64 @@ class ResultsTable {
     /**
      * Format emails for display
      * @param {Array} emails - Array of email addresses
-     * @returns {string} Formatted email string
+     * @param {Array} contacts - Contacts extracted with the emails (optional)
+     * @returns {string} Formatted email HTML
+     */
+    formatEmails(emails, contacts = null) {
+        return uiManager.formatEmails(emails, contacts);
+    }
+
+    /**
+     * Format contacts of one type for display
+     * @param {Array} contacts - Contacts ({ type, platform, value, snippet })
+     * @param {string} type - Contact type ('social', 'url' or 'phone')
+     * @returns {string} Formatted contacts HTML
+     */
+    formatContacts(contacts, type) {
+        return uiManager.formatContacts(contacts, type);
+    }
+
+    /**
+     * Format top artists for display
+     * @param {Array} topArtists - Array of { name, trackCount } objects
+     * @param {number} limit - Number of artists to show
+     * @returns {string} Formatted artist string
      */
-    formatEmails(emails) {
-        if (!emails || emails.length === 0) {
+    formatTopArtists(topArtists, limit = 3) {
+        if (!Array.isArray(topArtists) || topArtists.length === 0) {
+            return '';
+        }
+        return topArtists
+            .slice(0, limit)
+            .map(artist => `${artist.name} (${artist.trackCount})`)
+            .join(', ');
+    }
+
+    /**
+     * Format genres by artist for a tooltip
+     * @param {Object} genresByArtist - Object with artist names as keys and genre arrays as values
+     * @returns {string} One line per artist with genres
+     */
+    formatGenres(genresByArtist) {
+        if (!genresByArtist) {
+            return '';
+        }
+        return Object.entries(genresByArtist)
+            .filter(([, genres]) => genres.length > 0)
+            .map(([artist, genres]) => `${artist}: ${genres.join(', ')}`)
+            .join('\n');
+    }
+
+    /**
+     * Format an ISO date for display
+     * @param {string} isoDate - ISO 8601 date string
+     * @returns {string} Localized date or '-'
+     */
+    formatDate(isoDate) {
+        if (!isoDate) {
             return '-';
         }
-        return emails.join(', ');
+        return new Date(isoDate).toLocaleDateString();
     }
 
     /**
@@ -375,6 +508,14 @@ class ResultsTable {
                     valueA = a.followers;
                     valueB = b.followers;
                     break;
+                case 'tracks':
+                    valueA = a.trackCount || 0;
+                    valueB = b.trackCount || 0;
+                    break;
+                case 'lastAdded':
+                    valueA = a.lastAddedAt || '';
+                    valueB = b.lastAddedAt || '';
+                    break;
                 default:
                     return 0;
             }
@@ -0,0 +1,143 @@
+/**
+ * Rule editor component
+ * Edits the filtering rules applied to the results tables and exports
+ */
+
+import { ruleEngine } from '../modules/rule-engine.js';
+import { storageManager } from '../modules/storage-manager.js';
+import { uiManager } from '../modules/ui-manager.js';
+import { resultsTable } from './results-table.js';
+
+class RuleEditor {
+    constructor() {
+        this.rulesInput = null;
+        this.matchSelect = null;
+        this.applyButton = null;
+        this.clearButton = null;
+        this.status = null;
+        this.initialized = false;
+    }
+
+    /**
+     * Initialize the rule editor
+     */
+    initialize() {
+        if (this.initialized) return;
+
+        this.rulesInput = document.getElementById('filterRules');
+        this.matchSelect = document.getElementById('filterMatch');
+        this.applyButton = document.getElementById('applyRulesBtn');
+        this.clearButton = document.getElementById('clearRulesBtn');
+        this.status = document.getElementById('rulesStatus');
+
+        if (!this.rulesInput) {
+            console.error('Rule editor elements not found');
+            return;
+        }
+
+        this.setupEventListeners();
+        this.loadSavedRules();
+        this.initialized = true;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        // Report problems while typing, rules only apply on demand
+        uiManager.addEventListener(this.rulesInput, 'input', () => {
+            this.updateStatus(ruleEngine.validate(this.rulesInput.value, this.getMatch()));
+        });
+
+        if (this.applyButton) {
+            uiManager.addEventListener(this.applyButton, 'click', () => {
+                this.applyRules();
+            });
+        }
+
+        if (this.clearButton) {
+            uiManager.addEventListener(this.clearButton, 'click', () => {
+                this.clearRules();
+            });
+        }
+    }
+
+    /**
+     * Get the selected way of combining rule lines
+     * @returns {string} 'all' or 'any'
+     */
+    getMatch() {
+        return this.matchSelect?.value || 'all';
+    }
+
+    /**
+     * Load the saved rules and make them active
+     */
+    loadSavedRules() {
+        const { filterRules, filterMatch } = storageManager.loadExportOptions();
+        this.rulesInput.value = filterRules;
+        if (this.matchSelect) this.matchSelect.value = filterMatch;
+
+        try {
+            ruleEngine.setRules(filterRules, filterMatch);
+            this.updateStatus(null);
+        } catch (error) {
+            this.updateStatus(error.message);
+        }
+    }
+
+    /**
+     * Validate the rules being edited, then apply them to the results and exports
+     * @returns {boolean} True if the rules were applied
+     */
+    applyRules() {
+        const text = this.rulesInput.value;
+        const match = this.getMatch();
+
+        try {
+            ruleEngine.setRules(text, match);
+        } catch (error) {
+            uiManager.showError(error.message);
+            this.updateStatus(error.message);
+            return false;
+        }
+
+        uiManager.clearError();
+        storageManager.saveExportOptions({ filterRules: text, filterMatch: match });
+        this.updateStatus(null);
+        this.refreshResults();
+        return true;
+    }
+
+    /**
+     * Remove every rule
+     */
+    clearRules() {
+        this.rulesInput.value = '';
+        this.applyRules();
+    }
+
+    /**
+     * Show whether the rules are valid and how many conditions are active
+     * @param {string|null} problem - Problem found in the rules being edited
+     */
+    updateStatus(problem) {
+        if (!this.status) return;
+
+        const count = ruleEngine.countConditions();
+        this.status.classList.toggle('invalid', Boolean(problem));
+        this.status.textContent = problem
+            || (count > 0 ? `${count} condition${count === 1 ? '' : 's'} active` : 'No rules: every playlist is kept');
+    }
+
+    /**
+     * Re-render the results table with the current rules
+     * @private
+     */
+    refreshResults() {
+        const showWithoutEmails = document.getElementById('showWithoutEmails')?.checked || false;
+        resultsTable.handleFilterChange(showWithoutEmails);
+    }
+}
+
+export const ruleEditor = new RuleEditor();
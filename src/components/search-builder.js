@@ -0,0 +1,280 @@
+/**
+ * Search builder component
+ * Composes search queries, sets the search market and manages named presets
+ */
+
+import { queryBuilder } from '../modules/query-builder.js';
+import { spotifyAPI } from '../modules/spotify-api.js';
+import { storageManager } from '../modules/storage-manager.js';
+import { uiManager } from '../modules/ui-manager.js';
+import { searchForm } from './search-form.js';
+
+class SearchBuilder {
+    constructor() {
+        this.container = null;
+        this.allWordsInput = null;
+        this.phrasesInput = null;
+        this.anyWordsInput = null;
+        this.excludeWordsInput = null;
+        this.marketInput = null;
+        this.preview = null;
+        this.applyButton = null;
+        this.presetSelect = null;
+        this.presetNameInput = null;
+        this.savePresetButton = null;
+        this.deletePresetButton = null;
+        this.initialized = false;
+    }
+
+    /**
+     * Initialize the search builder
+     */
+    async initialize() {
+        if (this.initialized) return;
+
+        this.container = document.getElementById('queryBuilder');
+        this.allWordsInput = document.getElementById('qbAllWords');
+        this.phrasesInput = document.getElementById('qbPhrases');
+        this.anyWordsInput = document.getElementById('qbAnyWords');
+        this.excludeWordsInput = document.getElementById('qbExcludeWords');
+        this.marketInput = document.getElementById('searchMarket');
+        this.preview = document.getElementById('qbPreview');
+        this.applyButton = document.getElementById('qbApplyBtn');
+        this.presetSelect = document.getElementById('searchPreset');
+        this.presetNameInput = document.getElementById('presetName');
+        this.savePresetButton = document.getElementById('savePresetBtn');
+        this.deletePresetButton = document.getElementById('deletePresetBtn');
+
+        if (!this.container || !this.allWordsInput || !this.presetSelect) {
+            console.error('Search builder elements not found');
+            return;
+        }
+
+        this.setupEventListeners();
+        this.loadSavedMarket();
+        this.initialized = true;
+
+        queryBuilder.setSavedPresets(await storageManager.loadSearchPresets());
+        this.renderPresetOptions();
+        this.updatePreview();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        [this.allWordsInput, this.phrasesInput, this.anyWordsInput, this.excludeWordsInput].forEach(input => {
+            if (input) {
+                uiManager.addEventListener(input, 'input', () => {
+                    this.updatePreview();
+                });
+            }
+        });
+
+        // Start from the query in the search box when the builder is opened
+        uiManager.addEventListener(this.container, 'toggle', () => {
+            if (this.container.open) {
+                this.loadQueryIntoBuilder(searchForm.getSearchQuery());
+            }
+        });
+
+        if (this.applyButton) {
+            uiManager.addEventListener(this.applyButton, 'click', () => {
+                this.applyQuery();
+            });
+        }
+
+        if (this.marketInput) {
+            uiManager.addEventListener(this.marketInput, 'change', () => {
+                this.applyMarket();
+            });
+        }
+
+        uiManager.addEventListener(this.presetSelect, 'change', (e) => {
+            this.usePreset(e.target.value);
+        });
+
+        if (this.savePresetButton) {
+            uiManager.addEventListener(this.savePresetButton, 'click', () => {
+                this.savePreset();
+            });
+        }
+
+        if (this.deletePresetButton) {
+            uiManager.addEventListener(this.deletePresetButton, 'click', () => {
+                this.deletePreset();
+            });
+        }
+    }
+
+    /**
+     * Read the builder fields
+     * @returns {Object} Query parts
+     */
+    getParts() {
+        return {
+            allWords: this.allWordsInput?.value || '',
+            phrases: (this.phrasesInput?.value || '').split(','),
+            anyWords: this.anyWordsInput?.value || '',
+            excludeWords: this.excludeWordsInput?.value || ''
+        };
+    }
+
+    /**
+     * Get the query composed by the builder
+     * @returns {string} Search query
+     */
+    getBuiltQuery() {
+        return queryBuilder.build(this.getParts());
+    }
+
+    /**
+     * Fill the builder fields from a query
+     * @param {string} query - Search query
+     */
+    loadQueryIntoBuilder(query) {
+        const parts = queryBuilder.parse(query);
+
+        this.allWordsInput.value = parts.allWords;
+        if (this.phrasesInput) this.phrasesInput.value = parts.phrases.join(', ');
+        if (this.anyWordsInput) this.anyWordsInput.value = parts.anyWords;
+        if (this.excludeWordsInput) this.excludeWordsInput.value = parts.excludeWords;
+        this.updatePreview();
+    }
+
+    /**
+     * Show the generated query and whether it can be sent
+     */
+    updatePreview() {
+        if (!this.preview) return;
+
+        const query = this.getBuiltQuery();
+        const problem = query ? queryBuilder.validate(query) : null;
+
+        this.preview.textContent = query || '(empty)';
+        this.preview.classList.toggle('invalid', Boolean(problem));
+        this.preview.title = problem || '';
+        if (this.applyButton) this.applyButton.disabled = !query || Boolean(problem);
+    }
+
+    /**
+     * Copy the generated query to the search box
+     */
+    applyQuery() {
+        const query = this.getBuiltQuery();
+        const problem = queryBuilder.validate(query);
+        if (problem) {
+            uiManager.showError(problem);
+            return;
+        }
+
+        searchForm.setSearchQuery(query);
+        uiManager.clearError();
+    }
+
+    /**
+     * Load the saved market and apply it
+     */
+    loadSavedMarket() {
+        if (this.marketInput) {
+            this.marketInput.value = storageManager.loadSearchMarket();
+        }
+        this.applyMarket();
+    }
+
+    /**
+     * Apply the market input to searches
+     * @returns {boolean} True if the market was valid
+     */
+    applyMarket() {
+        let market;
+        try {
+            market = queryBuilder.normalizeMarket(this.marketInput?.value);
+        } catch (error) {
+            uiManager.showError(error.message);
+            return false;
+        }
+
+        if (this.marketInput) this.marketInput.value = market;
+        spotifyAPI.setMarket(market);
+        storageManager.saveSearchMarket(market);
+        return true;
+    }
+
+    /**
+     * Render the preset select options
+     * @param {string} selectedName - Preset to select
+     */
+    renderPresetOptions(selectedName = '') {
+        const options = queryBuilder.getPresets().map(preset =>
+            `<option value="${uiManager.escapeAttribute(preset.name)}">` +
+            `${uiManager.escapeHtml(preset.name)}${preset.builtIn ? ' (built-in)' : ''}</option>`
+        );
+        this.presetSelect.innerHTML = '<option value="">Presets...</option>' + options.join('');
+        this.presetSelect.value = queryBuilder.getPreset(selectedName) ? selectedName : '';
+        this.updatePresetButtons();
+    }
+
+    /**
+     * Enable preset deletion for user presets only
+     */
+    updatePresetButtons() {
+        const preset = queryBuilder.getPreset(this.presetSelect.value);
+        if (this.deletePresetButton) this.deletePresetButton.disabled = !preset || preset.builtIn;
+    }
+
+    /**
+     * Use a preset: fill the search box, the builder and the market
+     * @param {string} name - Preset name
+     */
+    usePreset(name) {
+        const preset = queryBuilder.getPreset(name);
+        this.updatePresetButtons();
+        if (!preset) return;
+
+        searchForm.setSearchQuery(preset.query);
+        this.loadQueryIntoBuilder(preset.query);
+        if (this.presetNameInput) this.presetNameInput.value = preset.builtIn ? '' : preset.name;
+        if (this.marketInput && preset.market !== undefined) {
+            this.marketInput.value = preset.market;
+            this.applyMarket();
+        }
+    }
+
+    /**
+     * Save the query in the search box, with the market, as a named preset
+     */
+    async savePreset() {
+        let preset;
+        try {
+            preset = queryBuilder.addPreset({
+                name: this.presetNameInput?.value,
+                query: searchForm.getSearchQuery(),
+                market: this.marketInput?.value
+            });
+        } catch (error) {
+            uiManager.showError(error.message);
+            return;
+        }
+
+        uiManager.clearError();
+        await storageManager.saveSearchPreset(preset);
+        this.renderPresetOptions(preset.name);
+        uiManager.showSuccessMessage(`Preset "${preset.name}" saved`);
+    }
+
+    /**
+     * Delete the selected user preset
+     */
+    async deletePreset() {
+        const name = this.presetSelect.value;
+        if (!queryBuilder.removePreset(name)) return;
+
+        await storageManager.deleteSearchPreset(name);
+        this.renderPresetOptions();
+        if (this.presetNameInput) this.presetNameInput.value = '';
+        uiManager.showSuccessMessage(`Preset "${name}" deleted`);
+    }
+}
+
+export const searchBuilder = new SearchBuilder();
@@ -7,6 +7,7 @@ import { searchManager } from '../modules/search-manager.js';
 import { exportManager } from '../modules/export-manager.js';
 import { storageManager } from '../modules/storage-manager.js';
 import { uiManager } from '../modules/ui-manager.js';
+import { queryBuilder } from '../modules/query-builder.js';
 import { configPanel } from './config-panel.js';
 
 class SearchForm {
@@ -15,6 +16,8 @@ class SearchForm {
         this.searchBtn = null;
         this.exportAllBtn = null;
         this.stopBtn = null;
+        this.batchInput = null;
+        this.exportBatchBtn = null;
         this.initialized = false;
     }
 
@@ -28,6 +31,8 @@ class SearchForm {
         this.searchBtn = document.getElementById('searchBtn');
         this.exportAllBtn = document.getElementById('exportAllBtn');
         this.stopBtn = document.getElementById('stopBtn');
+        this.batchInput = document.getElementById('batchQueries');
+        this.exportBatchBtn = document.getElementById('exportBatchBtn');
 
         if (!this.searchInput || !this.searchBtn || !this.exportAllBtn) {
             console.error('Search form elements not found');
@@ -36,6 +41,7 @@ class SearchForm {
 
         this.setupEventListeners();
         this.loadSavedQuery();
+        this.loadSavedBatchQueries();
         this.initialized = true;
     }
 
@@ -53,6 +59,17 @@ class SearchForm {
             this.performExportAll();
         });
 
+        // Batch export
+        if (this.exportBatchBtn && this.batchInput) {
+            uiManager.addEventListener(this.exportBatchBtn, 'click', () => {
+                this.performBatchExport();
+            });
+
+            uiManager.addEventListener(this.batchInput, 'input', () => {
+                storageManager.saveBatchQueries(this.batchInput.value);
+            });
+        }
+
         // Stop button click
         uiManager.addEventListener(this.stopBtn, 'click', () => {
             this.stopCurrentOperation();
@@ -74,11 +91,6 @@ class SearchForm {
         uiManager.addEventListener(this.searchInput, 'blur', () => {
             this.validateSearchQuery();
         });
-
-        // Global filter change event
-        uiManager.addEventListener(document, 'filterResults', (e) => {
-            this.handleFilterChange(e.detail.showWithoutEmails);
-        });
     }
 
     /**
@@ -135,6 +147,71 @@ class SearchForm {
         }
     }
 
+    /**
+     * Perform batch export over every query in the batch input
+     */
+    async performBatchExport() {
+        const queries = this.getBatchQueries();
+        if (queries.length === 0) {
+            uiManager.showError('Please enter at least one query, one per line');
+            return;
+        }
+
+        for (const query of queries) {
+            const problem = queryBuilder.validate(query);
+            if (problem) {
+                uiManager.showError(`${problem}: "${query}"`);
+                return;
+            }
+        }
+
+        if (!configPanel.hasCredentials()) {
+            configPanel.showValidationError('Please enter both Client ID and Client Secret before exporting');
+            return;
+        }
+
+        const credentials = configPanel.getCredentials();
+
+        try {
+            await exportManager.exportBatch(queries, credentials.clientId, credentials.clientSecret);
+        } catch (error) {
+            console.error('Batch export failed:', error);
+            uiManager.showError(`Batch export failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get batch queries, one per line, without blanks or repeats
+     * @returns {Array<string>} Batch queries
+     */
+    getBatchQueries() {
+        const lines = (this.batchInput?.value || '')
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line);
+        return [...new Set(lines)];
+    }
+
+    /**
+     * Set batch queries
+     * @param {Array<string>} queries - Queries to fill in
+     */
+    setBatchQueries(queries) {
+        if (this.batchInput) {
+            this.batchInput.value = (queries || []).join('\n');
+            storageManager.saveBatchQueries(this.batchInput.value);
+        }
+    }
+
+    /**
+     * Load saved batch queries from storage
+     */
+    loadSavedBatchQueries() {
+        if (this.batchInput) {
+            this.batchInput.value = storageManager.loadBatchQueries();
+        }
+    }
+
     /**
      * Stop current operation
      */
@@ -172,16 +249,10 @@ class SearchForm {
      * @returns {boolean} True if query is valid
      */
     validateSearchQuery() {
-        const query = this.getSearchQuery();
-        const isValid = query.length > 0;
+        const problem = queryBuilder.validate(this.getSearchQuery());
 
-        if (!isValid) {
-            this.showQueryValidationError('Please enter a search query');
-            return false;
-        }
-
-        if (query.length < 2) {
-            this.showQueryValidationError('Search query must be at least 2 characters long');
+        if (problem) {
+            this.showQueryValidationError(problem);
             return false;
         }
 
@@ -229,14 +300,6 @@ class SearchForm {
         }
     }
 
-    /**
-     * Handle filter change event
-     * @param {boolean} showWithoutEmails - Whether to show playlists without emails
-     */
-    handleFilterChange(showWithoutEmails) {
-        searchManager.filterDisplayedResults(showWithoutEmails);
-    }
-
     /**
      * Get export estimate for large operations
      * @param {string} query - Search query
@@ -274,6 +337,7 @@ class SearchForm {
         if (this.searchInput) this.searchInput.disabled = !enabled;
         if (this.searchBtn) this.searchBtn.disabled = !enabled;
         if (this.exportAllBtn) this.exportAllBtn.disabled = !enabled;
+        if (this.exportBatchBtn) this.exportBatchBtn.disabled = !enabled;
     }
 
     /**
@@ -333,27 +397,12 @@ class SearchForm {
     }
 
     /**
-     * Get search suggestions (placeholder for future enhancement)
+     * Get search suggestions from the built-in and saved presets
      * @param {string} query - Current query
      * @returns {Array<string>} Array of suggestions
      */
     getSearchSuggestions(query) {
-        // Common search patterns for email discovery
-        const suggestions = [
-            '@gmail.com',
-            '@yahoo.com',
-            '@hotmail.com',
-            '@outlook.com',
-            'contact',
-            'booking',
-            'promo',
-            'submit',
-            'demo'
-        ];
-
-        return suggestions.filter(suggestion => 
-            suggestion.toLowerCase().includes(query.toLowerCase())
-        );
+        return queryBuilder.findPresets(query).map(preset => preset.query);
     }
 
     /**
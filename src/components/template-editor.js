@@ -0,0 +1,138 @@
+/**
+ * Template editor component
+ * Handles export template selection, editing and persistence
+ */
+
+import { exportTemplates } from '../modules/export-templates.js';
+import { storageManager } from '../modules/storage-manager.js';
+import { uiManager } from '../modules/ui-manager.js';
+
+class TemplateEditor {
+    constructor() {
+        this.templateSelect = null;
+        this.nameInput = null;
+        this.columnsInput = null;
+        this.emailModeSelect = null;
+        this.separatorInput = null;
+        this.saveButton = null;
+        this.deleteButton = null;
+        this.initialized = false;
+    }
+
+    /**
+     * Initialize the template editor
+     */
+    async initialize() {
+        if (this.initialized) return;
+
+        this.templateSelect = document.getElementById('exportTemplate');
+        this.nameInput = document.getElementById('templateName');
+        this.columnsInput = document.getElementById('templateColumns');
+        this.emailModeSelect = document.getElementById('templateEmailMode');
+        this.separatorInput = document.getElementById('templateEmailSeparator');
+        this.saveButton = document.getElementById('saveTemplateBtn');
+        this.deleteButton = document.getElementById('deleteTemplateBtn');
+
+        if (!this.templateSelect || !this.columnsInput) {
+            console.error('Template editor elements not found');
+            return;
+        }
+
+        this.setupEventListeners();
+        this.initialized = true;
+
+        exportTemplates.setSavedTemplates(await storageManager.loadExportTemplates());
+        this.renderTemplateOptions(storageManager.loadExportOptions().template);
+        this.loadTemplateIntoEditor(this.templateSelect.value);
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        uiManager.addEventListener(this.templateSelect, 'change', (e) => {
+            storageManager.saveExportOptions({ template: e.target.value });
+            this.loadTemplateIntoEditor(e.target.value);
+        });
+
+        if (this.saveButton) {
+            uiManager.addEventListener(this.saveButton, 'click', () => {
+                this.saveTemplate();
+            });
+        }
+
+        if (this.deleteButton) {
+            uiManager.addEventListener(this.deleteButton, 'click', () => {
+                this.deleteTemplate();
+            });
+        }
+    }
+
+    /**
+     * Render the template select options
+     * @param {string} selectedName - Template to select
+     */
+    renderTemplateOptions(selectedName = null) {
+        const options = exportTemplates.getTemplates().map(template =>
+            `<option value="${uiManager.escapeAttribute(template.name)}">` +
+            `${uiManager.escapeHtml(template.name)}${template.builtIn ? ' (built-in)' : ''}</option>`
+        );
+        this.templateSelect.innerHTML = '<option value="">None (all fields)</option>' + options.join('');
+        this.templateSelect.value = exportTemplates.getTemplate(selectedName) ? selectedName : '';
+    }
+
+    /**
+     * Fill the editor fields from a template
+     * @param {string} name - Template name (empty to start a new one)
+     */
+    loadTemplateIntoEditor(name) {
+        const template = exportTemplates.getTemplate(name);
+
+        if (this.nameInput) this.nameInput.value = template && !template.builtIn ? template.name : '';
+        this.columnsInput.value = template ? exportTemplates.formatColumns(template.columns) : '';
+        if (this.emailModeSelect) this.emailModeSelect.value = template?.emailMode || 'row';
+        if (this.separatorInput) this.separatorInput.value = template?.emailSeparator ?? ', ';
+        if (this.deleteButton) this.deleteButton.disabled = !template || template.builtIn;
+    }
+
+    /**
+     * Validate and save the template being edited
+     */
+    async saveTemplate() {
+        let template;
+        try {
+            template = exportTemplates.addTemplate({
+                name: this.nameInput?.value,
+                columns: exportTemplates.parseColumns(this.columnsInput.value),
+                emailMode: this.emailModeSelect?.value || 'row',
+                emailSeparator: this.separatorInput?.value
+            });
+        } catch (error) {
+            uiManager.showError(error.message);
+            return;
+        }
+
+        uiManager.clearError();
+        await storageManager.saveExportTemplate(template);
+        storageManager.saveExportOptions({ template: template.name });
+        this.renderTemplateOptions(template.name);
+        this.loadTemplateIntoEditor(template.name);
+        uiManager.showSuccessMessage(`Template "${template.name}" saved`);
+    }
+
+    /**
+     * Delete the selected user template
+     */
+    async deleteTemplate() {
+        const name = this.templateSelect.value;
+        if (!exportTemplates.removeTemplate(name)) return;
+
+        await storageManager.deleteExportTemplate(name);
+        storageManager.saveExportOptions({ template: '' });
+        this.renderTemplateOptions();
+        this.loadTemplateIntoEditor('');
+        uiManager.showSuccessMessage(`Template "${name}" deleted`);
+    }
+}
+
+export const templateEditor = new TemplateEditor();
@@ -0,0 +1,302 @@
+/**
+ * Watchlist panel component
+ * Edits watchlists and re-scans them on their interval while the tab is open
+ */
+
+import { watchlistManager } from '../modules/watchlist-manager.js';
+import { spotifyAPI } from '../modules/spotify-api.js';
+import { searchManager } from '../modules/search-manager.js';
+import { exportManager } from '../modules/export-manager.js';
+import { storageManager } from '../modules/storage-manager.js';
+import { uiManager } from '../modules/ui-manager.js';
+import { configPanel } from './config-panel.js';
+
+const TICK_INTERVAL_MS = 60000; // how often due watchlists are looked for
+
+class WatchlistPanel {
+    constructor() {
+        this.select = null;
+        this.nameInput = null;
+        this.queriesInput = null;
+        this.playlistsInput = null;
+        this.intervalInput = null;
+        this.saveButton = null;
+        this.deleteButton = null;
+        this.scanButton = null;
+        this.exportButton = null;
+        this.scansCheckbox = null;
+        this.status = null;
+        this.timer = null;
+        this.scanning = false;
+        this.newEmails = []; // new emails found by scans in this session
+        this.initialized = false;
+    }
+
+    /**
+     * Initialize the watchlist panel
+     */
+    async initialize() {
+        if (this.initialized) return;
+
+        this.select = document.getElementById('watchlistSelect');
+        this.nameInput = document.getElementById('watchlistName');
+        this.queriesInput = document.getElementById('watchlistQueries');
+        this.playlistsInput = document.getElementById('watchlistPlaylists');
+        this.intervalInput = document.getElementById('watchlistInterval');
+        this.saveButton = document.getElementById('saveWatchlistBtn');
+        this.deleteButton = document.getElementById('deleteWatchlistBtn');
+        this.scanButton = document.getElementById('scanWatchlistBtn');
+        this.exportButton = document.getElementById('exportWatchlistEmailsBtn');
+        this.scansCheckbox = document.getElementById('watchlistScans');
+        this.status = document.getElementById('watchlistStatus');
+
+        if (!this.select || !this.queriesInput) {
+            console.error('Watchlist panel elements not found');
+            return;
+        }
+
+        this.setupEventListeners();
+        this.initialized = true;
+
+        watchlistManager.setWatchlists(await storageManager.loadWatchlists());
+        this.renderOptions();
+        this.loadWatchlistIntoEditor('');
+
+        if (this.scansCheckbox) {
+            this.scansCheckbox.checked = storageManager.loadWatchlistScans();
+        }
+        this.applyScheduling();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        uiManager.addEventListener(this.select, 'change', (e) => {
+            this.loadWatchlistIntoEditor(e.target.value);
+        });
+
+        if (this.saveButton) {
+            uiManager.addEventListener(this.saveButton, 'click', () => {
+                this.saveWatchlist();
+            });
+        }
+
+        if (this.deleteButton) {
+            uiManager.addEventListener(this.deleteButton, 'click', () => {
+                this.deleteWatchlist();
+            });
+        }
+
+        if (this.scanButton) {
+            uiManager.addEventListener(this.scanButton, 'click', () => {
+                const watchlist = watchlistManager.getWatchlist(this.select.value);
+                if (watchlist) this.scanWatchlists([watchlist]);
+            });
+        }
+
+        if (this.exportButton) {
+            uiManager.addEventListener(this.exportButton, 'click', () => {
+                exportManager.exportWatchlistEmails(this.newEmails);
+            });
+        }
+
+        if (this.scansCheckbox) {
+            uiManager.addEventListener(this.scansCheckbox, 'change', () => {
+                storageManager.saveWatchlistScans(this.scansCheckbox.checked);
+                if (this.scansCheckbox.checked) this.requestNotificationPermission();
+                this.applyScheduling();
+            });
+        }
+    }
+
+    /**
+     * Render the watchlist select options
+     * @param {string} selectedName - Watchlist to select
+     */
+    renderOptions(selectedName = '') {
+        const options = watchlistManager.getWatchlists().map(watchlist =>
+            `<option value="${uiManager.escapeAttribute(watchlist.name)}">${uiManager.escapeHtml(watchlist.name)}</option>`
+        );
+        this.select.innerHTML = '<option value="">New watchlist...</option>' + options.join('');
+        this.select.value = watchlistManager.getWatchlist(selectedName) ? selectedName : '';
+    }
+
+    /**
+     * Fill the editor fields from a watchlist
+     * @param {string} name - Watchlist name (empty to start a new one)
+     */
+    loadWatchlistIntoEditor(name) {
+        const watchlist = watchlistManager.getWatchlist(name);
+
+        if (this.nameInput) this.nameInput.value = watchlist?.name || '';
+        this.queriesInput.value = watchlist ? watchlist.queries.join('\n') : '';
+        if (this.playlistsInput) this.playlistsInput.value = watchlist ? watchlist.playlistIds.join('\n') : '';
+        if (this.intervalInput) this.intervalInput.value = watchlist?.intervalMinutes || 60;
+        if (this.deleteButton) this.deleteButton.disabled = !watchlist;
+        if (this.scanButton) this.scanButton.disabled = !watchlist || this.scanning;
+        this.updateStatus(watchlist);
+    }
+
+    /**
+     * Validate and save the watchlist being edited
+     */
+    async saveWatchlist() {
+        let watchlist;
+        try {
+            watchlist = watchlistManager.addWatchlist({
+                name: this.nameInput?.value,
+                queries: this.queriesInput.value.split('\n'),
+                playlistIds: (this.playlistsInput?.value || '').split('\n'),
+                intervalMinutes: this.intervalInput?.value,
+                market: spotifyAPI.market
+            });
+        } catch (error) {
+            uiManager.showError(error.message);
+            return;
+        }
+
+        uiManager.clearError();
+        await storageManager.saveWatchlist(watchlist);
+        this.renderOptions(watchlist.name);
+        this.loadWatchlistIntoEditor(watchlist.name);
+        uiManager.showSuccessMessage(`Watchlist "${watchlist.name}" saved`);
+    }
+
+    /**
+     * Delete the selected watchlist
+     */
+    async deleteWatchlist() {
+        const name = this.select.value;
+        if (!watchlistManager.removeWatchlist(name)) return;
+
+        await storageManager.deleteWatchlist(name);
+        this.renderOptions();
+        this.loadWatchlistIntoEditor('');
+        uiManager.showSuccessMessage(`Watchlist "${name}" deleted`);
+    }
+
+    /**
+     * Start or stop the scan timer following the checkbox
+     */
+    applyScheduling() {
+        const enabled = this.scansCheckbox?.checked || false;
+
+        if (enabled && !this.timer) {
+            this.timer = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+            this.tick();
+        } else if (!enabled && this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Scan the due watchlists, unless the app is busy with a search or an export
+     * @returns {Promise<void>}
+     */
+    async tick() {
+        if (this.scanning || !configPanel.hasCredentials()) return;
+        if (searchManager.isLoading() || exportManager.isExportInProgress()) return;
+
+        const due = watchlistManager.getDueWatchlists();
+        if (due.length > 0) {
+            await this.scanWatchlists(due);
+        }
+    }
+
+    /**
+     * Scan watchlists one after another and report new emails
+     * @param {Array<Object>} watchlists - Watchlists to scan
+     * @returns {Promise<void>}
+     */
+    async scanWatchlists(watchlists) {
+        if (this.scanning) return;
+
+        const token = await spotifyAPI.ensureValidToken();
+        if (!token) return;
+
+        this.scanning = true;
+        if (this.scanButton) this.scanButton.disabled = true;
+
+        try {
+            for (const watchlist of watchlists) {
+                const result = await watchlistManager.scan(watchlist, {
+                    onProgress: (message) => this.setStatusText(`${watchlist.name}: ${message}`)
+                });
+                await storageManager.saveWatchlist(watchlist);
+
+                if (result.newEmails.length > 0) {
+                    this.newEmails.push(...result.newEmails);
+                    this.notify(result);
+                }
+            }
+        } catch (error) {
+            console.error('Watchlist scan failed:', error);
+            uiManager.showError(`Watchlist scan failed: ${error.message}`);
+        } finally {
+            this.scanning = false;
+            if (this.exportButton) this.exportButton.disabled = this.newEmails.length === 0;
+            this.loadWatchlistIntoEditor(this.select.value);
+        }
+    }
+
+    /**
+     * Tell the user about new emails, with a system notification when allowed
+     * @param {Object} result - Scan result
+     */
+    notify(result) {
+        const count = result.newEmails.length;
+        const message = `${count} new email${count === 1 ? '' : 's'} in watchlist "${result.name}"`;
+
+        if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+            const emails = result.newEmails.slice(0, 5).map(entry => `${entry.email} (${entry.name})`);
+            new Notification(message, { body: emails.join('\n') });
+        }
+        uiManager.showSuccessMessage(message, 6000);
+    }
+
+    /**
+     * Ask for permission to show system notifications
+     */
+    requestNotificationPermission() {
+        if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
+    }
+
+    /**
+     * Show the outcome of the last scan of a watchlist
+     * @param {Object|null} watchlist - Selected watchlist
+     */
+    updateStatus(watchlist) {
+        if (!watchlist) {
+            this.setStatusText('');
+            return;
+        }
+
+        const result = watchlist.lastResult;
+        if (!result) {
+            this.setStatusText(`Not scanned yet. Re-scanned every ${watchlist.intervalMinutes} minutes.`);
+            return;
+        }
+
+        const outcome = result.baseline
+            ? 'first scan, new emails are reported from the next one'
+            : `${result.newEmails} new emails`;
+        this.setStatusText(
+            `Last scan ${new Date(result.startedAt).toLocaleString()}: ${result.checked} playlists checked, ` +
+            `${result.changed} changed, ${result.failed ? `${result.failed} could not be read, ` : ''}${outcome}.`
+        );
+    }
+
+    /**
+     * Set the status line text
+     * @param {string} text - Status text
+     */
+    setStatusText(text) {
+        if (this.status) this.status.textContent = text;
+    }
+}
+
+export const watchlistPanel = new WatchlistPanel();
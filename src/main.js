@@ -17,6 +17,12 @@ import { configPanel } from './components/config-panel.js';
 import { searchForm } from './components/search-form.js';
 import { resultsTable } from './components/results-table.js';
 import { progressBar } from './components/progress-bar.js';
+import { curatorView } from './components/curator-view.js';
+import { templateEditor } from './components/template-editor.js';
+import { searchBuilder } from './components/search-builder.js';
+import { ruleEditor } from './components/rule-editor.js';
+import { changeView } from './components/change-view.js';
+import { watchlistPanel } from './components/watchlist-panel.js';
 
 /**
  * Main Application Class
@@ -65,15 +71,21 @@ class SpotifyPlaylistScraper {
      * Initialize all core modules
      */
     async initializeModules() {
-        // Initialize storage manager first (needed by others)
-        storageManager.initialize();
+        // Restore playlists cached by previous sessions
+        await storageManager.loadPlaylistCache();
+
+        // Restore emails seen by previous runs
+        await storageManager.loadContactLedger();
+
+        // Restore the imported opt-out list
+        await storageManager.loadSuppressionList();
+
+        // Restore playlist snapshots and past export runs
+        await storageManager.loadPlaylistSnapshots();
 
         // Initialize UI manager
         uiManager.initialize();
 
-        // Initialize search manager
-        searchManager.initialize();
-
         // Initialize export manager
         exportManager.reset();
 
@@ -86,118 +98,68 @@ class SpotifyPlaylistScraper {
     async initializeComponents() {
         // Initialize components in dependency order
         configPanel.initialize();
+        spotifyAPI.setCredentialsProvider(() => configPanel.getCredentials());
+        this.applyApiBaseUrl();
         searchForm.initialize();
         resultsTable.initialize();
         progressBar.initialize();
+        curatorView.initialize();
+        changeView.initialize();
+        ruleEditor.initialize();
+        await templateEditor.initialize();
+        await searchBuilder.initialize();
+        await watchlistPanel.initialize();
 
         console.log('UI components initialized');
     }
 
     /**
-     * Setup global event handlers
+     * Point the API client at another server when the page address asks for it,
+     * e.g. index.html?apiBaseUrl=http://127.0.0.1:8888 for the mock server
+     * The token request carries the Client ID and Secret, so servers other than this
+     * machine are only used once the user confirms. The address comes from the link,
+     * so it is escaped before going into the HTML error banner.
      */
-    setupGlobalEventHandlers() {
-        // Handle search manager events
-        this.setupSearchManagerEvents();
-
-        // Handle export manager events
-        this.setupExportManagerEvents();
+    applyApiBaseUrl() {
+        const apiBaseUrl = new URLSearchParams(window.location.search).get('apiBaseUrl');
+        if (!apiBaseUrl) return;
 
-        // Handle UI events
-        this.setupUIEvents();
-
-        // Handle pagination events
-        this.setupPaginationEvents();
+        let host;
+        try {
+            host = new URL(apiBaseUrl).hostname;
+        } catch (error) {
+            uiManager.showError(`Invalid API base URL "${uiManager.escapeHtml(apiBaseUrl)}"`);
+            return;
+        }
 
-        // Handle filter events
-        this.setupFilterEvents();
+        const loopback = host === 'localhost' || host === '[::1]' || /^127(\.\d{1,3}){3}$/.test(host);
+        if (!loopback && !uiManager.confirm(
+            `This page address sends your Spotify Client ID and Secret to ${host} instead of Spotify.\n\n` +
+            'Only continue if you run that server yourself.'
+        )) {
+            uiManager.showError(`Ignored the API base URL ${uiManager.escapeHtml(apiBaseUrl)}: requests go to Spotify.`);
+            return;
+        }
 
-        console.log('Global event handlers setup');
+        try {
+            spotifyAPI.setBaseUrl(apiBaseUrl);
+            uiManager.showSuccessMessage(`API requests go to ${apiBaseUrl} instead of Spotify`, 5000);
+        } catch (error) {
+            uiManager.showError(uiManager.escapeHtml(error.message));
+        }
     }
 
     /**
-     * Setup search manager event handlers
+     * Setup global event handlers
      */
-    setupSearchManagerEvents() {
-        // Listen for search completion
-        document.addEventListener('searchComplete', (e) => {
-            const { playlists, currentPage, totalPages } = e.detail;
-            resultsTable.updateResults(playlists);
-            
-            if (totalPages > 1) {
-                resultsTable.updatePagination(currentPage + 1, totalPages, currentPage > 0, currentPage < totalPages - 1);
-            }
-        });
-
-        // Listen for search errors
-        document.addEventListener('searchError', (e) => {
-            uiManager.showError(e.detail.message);
-        });
-
-        // Override the search manager's processAndDisplayPlaylists to work with our components
-        const originalProcessAndDisplay = searchManager.processAndDisplayPlaylists;
-        searchManager.processAndDisplayPlaylists = async function(playlists) {
-            resultsTable.setupTable();
-            
-            for (let i = 0; i < playlists.length; i++) {
-                if (this.currentAbortController?.signal.aborted) break;
-
-                const playlist = playlists[i];
-                if (!playlist) {
-                    uiManager.updateProgress(i + 1, playlists.length, this.totalEmailsFound);
-                    continue;
-                }
-
-                const playlistData = await spotifyAPI.getDetailedPlaylist(playlist.id);
-                if (playlistData) {
-                    this.pagePlaylists.push(playlistData);
-                    this.totalEmailsFound += playlistData.emails.length;
-                    resultsTable.addPlaylist(playlistData);
-                }
-                
-                uiManager.updateProgress(i + 1, playlists.length, this.totalEmailsFound);
-            }
-
-            this.displayedPlaylistCount = this.pagePlaylists.length;
-            uiManager.updateResultsCount(this.displayedPlaylistCount, this.totalEmailsFound);
-        };
+    setupGlobalEventHandlers() {
+        // Handle UI events
+        this.setupUIEvents();
 
-        // Override the search manager's updatePagination to work with our components
-        searchManager.updatePagination = function() {
-            const totalPages = Math.ceil(this.totalResults / this.resultsPerPage);
-            const currentPageDisplay = this.currentPage + 1;
-            
-            resultsTable.updatePagination(
-                currentPageDisplay,
-                totalPages,
-                this.currentPage > 0,
-                this.currentPage < totalPages - 1
-            );
-        };
-    }
+        // Handle pagination events
+        this.setupPaginationEvents();
 
-    /**
-     * Setup export manager event handlers
-     */
-    setupExportManagerEvents() {
-        // Override export manager methods to work with our components
-        const originalHandleStoppedExport = exportManager.handleStoppedExport;
-        exportManager.handleStoppedExport = function() {
-            if (this.allPlaylistsWithEmails.length > 0) {
-                storageManager.storePartialExportData(this.allPlaylistsWithEmails);
-                
-                progressBar.showCustomContent(
-                    `Export stopped. ${this.allPlaylistsWithEmails.length} playlists with emails were found.<br>` +
-                    `<button onclick="window.app.exportPartialData(); return false;" style="margin-top: 10px; padding: 8px 16px; background: #1db954; color: white; border: none; border-radius: 4px; cursor: pointer;">` +
-                    `Export ${this.allPlaylistsWithEmails.length} playlists</button>`
-                );
-                
-                uiManager.disableButtons(false);
-                this.currentAbortController = null;
-            } else {
-                uiManager.cleanupAfterLoading("Export stopped. No playlists with emails found.");
-            }
-        };
+        console.log('Global event handlers setup');
     }
 
     /**
@@ -240,21 +202,6 @@ class SpotifyPlaylistScraper {
         };
     }
 
-    /**
-     * Setup filter event handlers
-     */
-    setupFilterEvents() {
-        // Listen for filter events from UI
-        document.addEventListener('filterResults', (e) => {
-            const showWithoutEmails = e.detail.showWithoutEmails;
-            const currentPlaylists = searchManager.getCurrentPagePlaylists();
-            
-            if (currentPlaylists.length > 0) {
-                resultsTable.handleFilterChange(showWithoutEmails);
-            }
-        });
-    }
-
     /**
      * Setup keyboard shortcuts
      */
@@ -302,9 +249,62 @@ class SpotifyPlaylistScraper {
         // Load last search query
         searchForm.loadSavedQuery();
 
+        // Offer to resume an interrupted export
+        this.checkForResumableExport();
+
         console.log('Saved data loaded');
     }
 
+    /**
+     * Offer to resume an export interrupted by a reload or crash
+     */
+    async checkForResumableExport() {
+        const checkpoint = await storageManager.loadExportCheckpoint();
+        if (!checkpoint) return;
+
+        const savedAt = new Date(checkpoint.updatedAt).toLocaleString();
+        const queryCount = checkpoint.queries ? checkpoint.queries.length : 1;
+        const description = queryCount > 1
+            ? `A batch export of ${queryCount} queries was interrupted at query ${checkpoint.queryIndex + 1} ("${uiManager.escapeHtml(checkpoint.query)}"), ${checkpoint.offset} of ${checkpoint.totalResults}`
+            : `An export for "${uiManager.escapeHtml(checkpoint.query)}" was interrupted at ${checkpoint.offset} of ${checkpoint.totalResults}`;
+        progressBar.showCustomContent(
+            `${description} ` +
+            `(${checkpoint.results.length} playlists with emails, saved ${savedAt}).<br>` +
+            `<button onclick="window.app.resumeExport(); return false;" style="margin-top: 10px; padding: 8px 16px; background: #1db954; color: white; border: none; border-radius: 4px; cursor: pointer;">` +
+            `Resume export</button>` +
+            `<button onclick="window.app.discardExportCheckpoint(); return false;" style="margin-top: 10px; margin-left: 10px; padding: 8px 16px; background: #535353; color: white; border: none; border-radius: 4px; cursor: pointer;">` +
+            `Discard</button>`
+        );
+    }
+
+    /**
+     * Resume the interrupted export (exposed globally for button onclick)
+     */
+    async resumeExport() {
+        if (!configPanel.hasCredentials()) {
+            configPanel.showValidationError('Please enter both Client ID and Client Secret before resuming the export');
+            return;
+        }
+
+        const checkpoint = await storageManager.loadExportCheckpoint();
+        if (checkpoint?.queries?.length > 1) {
+            searchForm.setBatchQueries(checkpoint.queries);
+        } else if (checkpoint) {
+            searchForm.setSearchQuery(checkpoint.query);
+        }
+
+        const credentials = configPanel.getCredentials();
+        await exportManager.resumeExport(credentials.clientId, credentials.clientSecret);
+    }
+
+    /**
+     * Discard the interrupted export checkpoint (exposed globally for button onclick)
+     */
+    async discardExportCheckpoint() {
+        await storageManager.clearExportCheckpoint();
+        progressBar.reset();
+    }
+
     /**
      * Stop current operation
      */
@@ -322,14 +322,14 @@ class SpotifyPlaylistScraper {
 
     /**
      * Get application status
-     * @returns {Object} Application status object
+     * @returns {Promise<Object>} Application status object
      */
-    getStatus() {
+    async getStatus() {
         return {
             initialized: this.initialized,
             searchStats: searchManager.getSearchStats(),
             exportStats: exportManager.getExportStats(),
-            cacheStats: storageManager.getCacheStats(),
+            cacheStats: await storageManager.getCacheStats(),
             hasCredentials: configPanel.hasCredentials()
         };
     }
@@ -341,6 +341,8 @@ class SpotifyPlaylistScraper {
         this.stopCurrentOperation();
         searchManager.clearResults();
         resultsTable.reset();
+        curatorView.reset();
+        changeView.reset();
         progressBar.reset();
         uiManager.clearError();
         console.log('Application reset');
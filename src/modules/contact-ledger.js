@@ -0,0 +1,297 @@
+/**
+ * Contact ledger module
+ * Remembers emails across runs, with where they were found and their outreach status
+ */
+
+import { idbStore } from './idb-store.js';
+import { emailExtractor } from './email-extractor.js';
+import { suppressionList } from './suppression-list.js';
+
+const STORE_NAME = 'contactLedger';
+
+// Statuses a user can set on a ledger entry
+const CONTACT_STATUSES = ['contacted', 'replied', 'bounced', 'do_not_contact'];
+
+// Which emails exports leave out:
+// none - keep everything, blocked - bounced and do-not-contact emails,
+// contacted - emails with any status, known - emails seen before the current run or with any status
+const EXCLUDE_MODES = ['none', 'blocked', 'contacted', 'known'];
+
+class ContactLedger {
+    constructor() {
+        this.entries = new Map(); // email -> { email, firstSeenAt, lastSeenAt, playlists, queries, status, statusUpdatedAt }
+        this.runStartedAt = Date.now();
+        this.dirtyEmails = new Set(); // entries still to be persisted
+        this.flushTimer = null;
+        this.flushDelayMs = 2000;
+        this.loaded = false;
+    }
+
+    /**
+     * Get the statuses a user can set
+     * @returns {Array<string>} Status names
+     */
+    getStatuses() {
+        return CONTACT_STATUSES;
+    }
+
+    /**
+     * Get the supported export exclusion modes
+     * @returns {Array<string>} Mode names
+     */
+    getExcludeModes() {
+        return EXCLUDE_MODES;
+    }
+
+    /**
+     * Check if entries can be persisted
+     * @returns {boolean} True if IndexedDB is available
+     */
+    isPersistent() {
+        return idbStore.isAvailable();
+    }
+
+    /**
+     * Load persisted entries into memory
+     * @returns {Promise<number>} Number of entries loaded
+     */
+    async load() {
+        if (this.loaded || !this.isPersistent()) {
+            this.loaded = true;
+            return this.entries.size;
+        }
+
+        try {
+            const stored = await idbStore.getAll(STORE_NAME);
+            stored.forEach(entry => {
+                const current = this.entries.get(entry.email);
+                // Merge with sightings recorded while loading
+                this.entries.set(entry.email, current ? this.mergeEntries(entry, current) : entry);
+            });
+        } catch (error) {
+            console.error('Failed to load contact ledger:', error);
+        }
+
+        this.loaded = true;
+        return this.entries.size;
+    }
+
+    /**
+     * Start a new run: emails first seen from now on are new until the next run
+     * @param {number} startedAt - Run start timestamp (resumed exports pass their original start)
+     */
+    startRun(startedAt = Date.now()) {
+        this.runStartedAt = Number.isFinite(startedAt) ? startedAt : Date.now();
+    }
+
+    /**
+     * Record the emails of a playlist
+     * Suppressed emails are left out, opted-out addresses are not tracked.
+     * @param {Object} playlist - Playlist record
+     * @param {string} query - Search query the playlist was found with
+     */
+    record(playlist, query = null) {
+        if (!playlist || !Array.isArray(playlist.emails)) return;
+
+        const now = Date.now();
+        playlist.emails.filter(email => !suppressionList.isSuppressed(email)).forEach(email => {
+            const key = emailExtractor.normalizeEmail(email);
+            const entry = this.entries.get(key) || this.createEntry(key, now);
+
+            entry.lastSeenAt = now;
+            if (!entry.playlists.some(seen => seen.id === playlist.id)) {
+                entry.playlists.push({ id: playlist.id, name: playlist.name, url: playlist.url });
+            }
+            if (query && !entry.queries.includes(query)) {
+                entry.queries.push(query);
+            }
+
+            this.entries.set(key, entry);
+            this.markDirty(key);
+        });
+    }
+
+    /**
+     * Get the ledger entry of an email
+     * @param {string} email - Email address
+     * @returns {Object|null} Entry or null
+     */
+    get(email) {
+        return this.entries.get(emailExtractor.normalizeEmail(email)) || null;
+    }
+
+    /**
+     * Check if an email was seen before the current run or already has a status
+     * @param {string} email - Email address
+     * @returns {boolean} True if the email is already known
+     */
+    isKnown(email) {
+        const entry = this.get(email);
+        return Boolean(entry && (entry.status || entry.firstSeenAt < this.runStartedAt));
+    }
+
+    /**
+     * Set the outreach status of an email
+     * @param {string} email - Email address
+     * @param {string|null} status - One of the contact statuses, or null to clear it
+     * @returns {Object} Updated entry
+     */
+    setStatus(email, status) {
+        if (status && !CONTACT_STATUSES.includes(status)) {
+            throw new Error(`Unknown contact status: ${status}`);
+        }
+
+        const key = emailExtractor.normalizeEmail(email);
+        const now = Date.now();
+        const entry = this.entries.get(key) || this.createEntry(key, now);
+
+        entry.status = status || null;
+        entry.statusUpdatedAt = now;
+        this.entries.set(key, entry);
+        this.markDirty(key);
+        return entry;
+    }
+
+    /**
+     * Check if an email is left out of exports by an exclusion mode
+     * @param {string} email - Email address
+     * @param {string} mode - Exclusion mode
+     * @returns {boolean} True if the email is excluded
+     */
+    isExcluded(email, mode) {
+        const entry = this.get(email);
+        if (!entry || mode === 'none') return false;
+
+        if (mode === 'blocked') return entry.status === 'bounced' || entry.status === 'do_not_contact';
+        if (mode === 'contacted') return Boolean(entry.status);
+        if (mode === 'known') return this.isKnown(email);
+        return false;
+    }
+
+    /**
+     * Leave excluded emails out of playlist records
+     * Records this leaves without any contact are dropped, as with the score threshold.
+     * @param {Array<Object>} records - Playlist records
+     * @param {string} mode - Exclusion mode
+     * @returns {Array<Object>} Filtered records
+     */
+    excludeContacts(records, mode) {
+        if (!Array.isArray(records) || !EXCLUDE_MODES.includes(mode) || mode === 'none') {
+            return records;
+        }
+
+        return emailExtractor.dropEmptied(records,
+            emailExtractor.filterEmails(records, contact => !this.isExcluded(contact.value, mode)));
+    }
+
+    /**
+     * Get all entries, most recently seen first
+     * @returns {Array<Object>} Ledger entries
+     */
+    getAll() {
+        return [...this.entries.values()].sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+    }
+
+    /**
+     * Number of emails in the ledger
+     * @returns {number} Entry count
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Remove every entry, in memory and on disk
+     */
+    clear() {
+        this.entries.clear();
+        this.dirtyEmails.clear();
+
+        if (this.isPersistent()) {
+            idbStore.clear(STORE_NAME).catch(error => {
+                console.error('Failed to clear contact ledger:', error);
+            });
+        }
+    }
+
+    /**
+     * Create an empty entry
+     * @param {string} email - Normalized email
+     * @param {number} now - Timestamp of the first sighting
+     * @returns {Object} Ledger entry
+     * @private
+     */
+    createEntry(email, now) {
+        return {
+            email,
+            firstSeenAt: now,
+            lastSeenAt: now,
+            playlists: [],
+            queries: [],
+            status: null,
+            statusUpdatedAt: null
+        };
+    }
+
+    /**
+     * Merge two entries of the same email
+     * @param {Object} stored - Persisted entry
+     * @param {Object} current - Entry recorded in this session
+     * @returns {Object} Merged entry
+     * @private
+     */
+    mergeEntries(stored, current) {
+        const playlists = [...stored.playlists];
+        current.playlists.forEach(playlist => {
+            if (!playlists.some(seen => seen.id === playlist.id)) playlists.push(playlist);
+        });
+        const statusSource = (current.statusUpdatedAt || 0) >= (stored.statusUpdatedAt || 0) ? current : stored;
+
+        return {
+            email: stored.email,
+            firstSeenAt: Math.min(stored.firstSeenAt, current.firstSeenAt),
+            lastSeenAt: Math.max(stored.lastSeenAt, current.lastSeenAt),
+            playlists,
+            queries: [...new Set([...stored.queries, ...current.queries])],
+            status: statusSource.status,
+            statusUpdatedAt: statusSource.statusUpdatedAt
+        };
+    }
+
+    /**
+     * Queue an entry for persistence
+     * @param {string} email - Normalized email
+     * @private
+     */
+    markDirty(email) {
+        if (!this.isPersistent()) return;
+
+        this.dirtyEmails.add(email);
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => {
+                this.flushTimer = null;
+                this.flush();
+            }, this.flushDelayMs);
+        }
+    }
+
+    /**
+     * Persist queued entries
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        const entries = [...this.dirtyEmails]
+            .map(email => this.entries.get(email))
+            .filter(entry => entry);
+        this.dirtyEmails.clear();
+        if (entries.length === 0) return;
+
+        try {
+            await idbStore.putAll(STORE_NAME, entries);
+        } catch (error) {
+            console.error('Failed to persist contact ledger:', error);
+        }
+    }
+}
+
+export const contactLedger = new ContactLedger();
@@ -0,0 +1,89 @@
+/**
+ * Core events module
+ * Typed events the core modules (API client, search, export) emit instead of touching the page.
+ * The page (UIManager, ProgressBar and ResultsTable) and the command line subscribe to them.
+ */
+
+// Event types, with the detail they carry
+export const CORE_EVENTS = Object.freeze({
+    LOADING: 'loading', // { operation, text }: a search page or an export started, results start over
+    PROGRESS: 'progress', // { operation, processed, total, emailsFound, suppressed }
+    STATUS: 'status', // { text }: progress message
+    ERROR: 'error', // { message }
+    RESULT: 'result', // { operation, playlist }: a fetched playlist to display
+    PAGE: 'page', // { query, page, totalPages, totalResults, playlists, emailsFound }: a search page loaded (page is 0-indexed)
+    EXPORT_STOPPED: 'export-stopped', // { position, found, label }: an export was stopped, found playlists are kept as partial data
+    DONE: 'done', // { operation, text, summary }: a search page or an export finished, summary is the outcome to keep on screen (optional)
+    FILE: 'file' // { content, filename, contentType }: an exported file to save
+});
+
+const EVENT_TYPES = new Set(Object.values(CORE_EVENTS));
+
+class CoreEvents {
+    constructor() {
+        this.listeners = new Map(); // type -> Set of listeners
+    }
+
+    /**
+     * Subscribe to an event type
+     * @param {string} type - Event type, one of CORE_EVENTS
+     * @param {Function} listener - Called with the event detail
+     * @returns {Function} Unsubscribes the listener
+     */
+    on(type, listener) {
+        this.assertType(type);
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Unsubscribe from an event type
+     * @param {string} type - Event type
+     * @param {Function} listener - Listener passed to on()
+     */
+    off(type, listener) {
+        this.listeners.get(type)?.delete(listener);
+    }
+
+    /**
+     * Check if an event type has listeners
+     * @param {string} type - Event type
+     * @returns {boolean} True if something listens to it
+     */
+    hasListeners(type) {
+        return (this.listeners.get(type)?.size || 0) > 0;
+    }
+
+    /**
+     * Emit an event
+     * A failing listener is logged and does not stop the others, nor the core module emitting.
+     * @param {string} type - Event type, one of CORE_EVENTS
+     * @param {Object} detail - Event detail
+     */
+    emit(type, detail = {}) {
+        this.assertType(type);
+        for (const listener of [...(this.listeners.get(type) || [])]) {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`Error in ${type} listener:`, error);
+            }
+        }
+    }
+
+    /**
+     * Reject event types that are not declared in CORE_EVENTS
+     * @param {string} type - Event type
+     * @private
+     */
+    assertType(type) {
+        if (!EVENT_TYPES.has(type)) {
+            throw new Error(`Unknown core event "${type}"`);
+        }
+    }
+}
+
+export const coreEvents = new CoreEvents();
@@ -0,0 +1,67 @@
+/**
+ * Curator aggregation module
+ * Groups scraped playlists by their owner
+ */
+
+class CuratorAggregator {
+    /**
+     * Group playlists by owner
+     * @param {Array} playlists - Array of playlist objects
+     * @returns {Array<Object>} Curators sorted by total followers (descending)
+     */
+    groupByOwner(playlists) {
+        if (!Array.isArray(playlists)) {
+            return [];
+        }
+
+        const curators = new Map();
+
+        playlists.forEach(playlist => {
+            // Records scraped before owner IDs were kept only have the display name
+            const key = playlist.ownerId || `name:${playlist.owner}`;
+            if (!curators.has(key)) {
+                curators.set(key, {
+                    id: playlist.ownerId || null,
+                    name: playlist.owner,
+                    url: playlist.ownerUrl || null,
+                    playlistCount: 0,
+                    totalFollowers: 0,
+                    emails: [],
+                    playlists: []
+                });
+            }
+
+            const curator = curators.get(key);
+            curator.playlistCount++;
+            curator.totalFollowers += playlist.followers || 0;
+            curator.emails = [...new Set([...curator.emails, ...playlist.emails])];
+            curator.playlists.push({
+                id: playlist.id,
+                name: playlist.name,
+                url: playlist.url,
+                followers: playlist.followers
+            });
+        });
+
+        return [...curators.values()].sort((a, b) => b.totalFollowers - a.totalFollowers);
+    }
+
+    /**
+     * Get curator statistics
+     * @param {Array<Object>} curators - Array of curator objects
+     * @returns {Object} Statistics object
+     */
+    getCuratorStats(curators) {
+        if (!Array.isArray(curators)) {
+            return { total: 0, withEmails: 0, totalPlaylists: 0 };
+        }
+
+        return {
+            total: curators.length,
+            withEmails: curators.filter(curator => curator.emails.length > 0).length,
+            totalPlaylists: curators.reduce((sum, curator) => sum + curator.playlistCount, 0)
+        };
+    }
+}
+
+export const curatorAggregator = new CuratorAggregator();
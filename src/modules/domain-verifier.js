@@ -0,0 +1,311 @@
+/**
+ * Domain verifier module
+ * Checks email domains through a pluggable resolver and caches the result per domain
+ */
+
+import { emailExtractor } from './email-extractor.js';
+
+// Statuses a resolver can report for a domain
+const DOMAIN_STATUSES = ['valid', 'invalid', 'unknown'];
+
+// Table/export filters on the verification status:
+// all - keep everything, hide_invalid - drop emails on invalid domains, valid_only - keep verified domains only
+const DOMAIN_FILTERS = ['all', 'hide_invalid', 'valid_only'];
+
+const DOMAIN_REGEX = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+/**
+ * Resolver backed by the bundled domain list (src/data/email-domains.json)
+ * Works offline: domains missing from the list are reported as unknown.
+ */
+export class ListDomainResolver {
+    /**
+     * @param {Object} options - Resolver options
+     * @param {Function} options.load - Returns (a promise of) the list ({ valid, invalid, invalidTlds })
+     */
+    constructor({ load } = {}) {
+        this.name = 'list';
+        this.load = load || (() => fetch(new URL('../data/email-domains.json', import.meta.url))
+            .then(response => response.json()));
+        this.listPromise = null;
+    }
+
+    /**
+     * Load and index the domain list once
+     * @returns {Promise<Object>} Sets of valid domains, invalid domains and invalid TLDs
+     * @private
+     */
+    getList() {
+        if (!this.listPromise) {
+            this.listPromise = Promise.resolve(this.load()).then(list => ({
+                valid: new Set(list.valid || []),
+                invalid: new Set(list.invalid || []),
+                invalidTlds: new Set(list.invalidTlds || [])
+            })).catch(error => {
+                this.listPromise = null;
+                throw error;
+            });
+        }
+        return this.listPromise;
+    }
+
+    /**
+     * Resolve a domain against the list
+     * @param {string} domain - Lowercase domain
+     * @returns {Promise<Object>} Status and reason
+     */
+    async resolve(domain) {
+        if (!DOMAIN_REGEX.test(domain)) {
+            return { status: 'invalid', reason: 'Malformed domain' };
+        }
+
+        const list = await this.getList();
+        const tld = domain.slice(domain.lastIndexOf('.') + 1);
+
+        if (list.invalidTlds.has(tld)) {
+            return { status: 'invalid', reason: `Reserved top-level domain .${tld}` };
+        }
+        if (list.invalid.has(domain)) {
+            return { status: 'invalid', reason: 'Placeholder domain' };
+        }
+        if (list.valid.has(domain)) {
+            return { status: 'valid', reason: 'Known mail provider' };
+        }
+        return { status: 'unknown', reason: 'Domain not in the local list' };
+    }
+}
+
+/**
+ * Resolver looking up MX records, for Node (CLI) use
+ * Falls back to A records when a domain publishes no MX, as mail servers do.
+ */
+export class DnsDomainResolver {
+    /**
+     * @param {Object} options - Resolver options
+     * @param {number} options.timeoutMs - Timeout of a single DNS query
+     * @param {Array<string>} options.servers - DNS servers to query instead of the system ones
+     */
+    constructor({ timeoutMs = 5000, servers = null } = {}) {
+        this.name = 'dns';
+        this.timeoutMs = timeoutMs;
+        this.servers = servers;
+        this.resolverPromise = null;
+    }
+
+    /**
+     * Create the Node DNS resolver on first use
+     * @returns {Promise<Object>} node:dns/promises Resolver
+     * @private
+     */
+    getResolver() {
+        if (!this.resolverPromise) {
+            this.resolverPromise = import('node:dns/promises').then(({ Resolver }) => {
+                const resolver = new Resolver({ timeout: this.timeoutMs, tries: 2 });
+                if (this.servers) resolver.setServers(this.servers);
+                return resolver;
+            });
+        }
+        return this.resolverPromise;
+    }
+
+    /**
+     * Resolve a domain through DNS
+     * @param {string} domain - Lowercase domain
+     * @returns {Promise<Object>} Status and reason
+     */
+    async resolve(domain) {
+        if (!DOMAIN_REGEX.test(domain)) {
+            return { status: 'invalid', reason: 'Malformed domain' };
+        }
+
+        const resolver = await this.getResolver();
+
+        try {
+            const records = await resolver.resolveMx(domain);
+            // A single "." exchange is a null MX (RFC 7505): the domain accepts no mail
+            if (records.length === 1 && (records[0].exchange === '' || records[0].exchange === '.')) {
+                return { status: 'invalid', reason: 'Domain does not accept email (null MX)' };
+            }
+            if (records.length > 0) {
+                return { status: 'valid', reason: 'MX records found' };
+            }
+        } catch (error) {
+            if (error.code === 'ENOTFOUND') {
+                return { status: 'invalid', reason: 'Domain does not exist' };
+            }
+            if (error.code !== 'ENODATA') {
+                return { status: 'unknown', reason: `DNS lookup failed (${error.code || error.message})` };
+            }
+        }
+
+        try {
+            const addresses = await resolver.resolve4(domain);
+            return addresses.length > 0
+                ? { status: 'valid', reason: 'No MX records, but the domain has an address' }
+                : { status: 'invalid', reason: 'No MX or A records' };
+        } catch (error) {
+            if (error.code === 'ENODATA' || error.code === 'ENOTFOUND') {
+                return { status: 'invalid', reason: 'No MX or A records' };
+            }
+            return { status: 'unknown', reason: `DNS lookup failed (${error.code || error.message})` };
+        }
+    }
+}
+
+class DomainVerifier {
+    constructor() {
+        this.resolver = new ListDomainResolver();
+        this.enabled = false;
+        this.cache = new Map(); // domain -> Promise<{ status, reason, resolver }>
+    }
+
+    /**
+     * Get supported domain filters
+     * @returns {Array<string>} Filter names
+     */
+    getFilters() {
+        return DOMAIN_FILTERS;
+    }
+
+    /**
+     * Replace the resolver, dropping results of the previous one
+     * @param {Object} resolver - Object with a name and an async resolve(domain) method
+     */
+    setResolver(resolver) {
+        if (!resolver || typeof resolver.resolve !== 'function') {
+            throw new Error('A domain resolver needs a resolve(domain) method');
+        }
+        this.resolver = resolver;
+        this.clearCache();
+    }
+
+    /**
+     * Turn verification after extraction on or off
+     * @param {boolean} enabled - True to verify domains of extracted emails
+     */
+    setEnabled(enabled) {
+        this.enabled = Boolean(enabled);
+    }
+
+    /**
+     * Check if verification runs after extraction
+     * @returns {boolean} True if enabled
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Verify a domain, reusing the cached result
+     * Resolver failures are reported as unknown rather than thrown.
+     * @param {string} domain - Email domain
+     * @returns {Promise<Object>} Verification ({ status, reason, resolver })
+     */
+    verifyDomain(domain) {
+        const key = String(domain || '').toLowerCase();
+
+        if (!this.cache.has(key)) {
+            const resolverName = this.resolver.name || 'custom';
+            const verification = Promise.resolve()
+                .then(() => this.resolver.resolve(key))
+                .then(result => ({
+                    status: DOMAIN_STATUSES.includes(result?.status) ? result.status : 'unknown',
+                    reason: result?.reason || '',
+                    resolver: resolverName
+                }))
+                .catch(error => {
+                    console.error(`Failed to verify domain ${key}:`, error);
+                    // Let a later call retry instead of caching the failure
+                    this.cache.delete(key);
+                    return { status: 'unknown', reason: 'Verification failed', resolver: resolverName };
+                });
+            this.cache.set(key, verification);
+        }
+
+        return this.cache.get(key);
+    }
+
+    /**
+     * Attach a verification status to each email contact
+     * @param {Array<Object>} contacts - Extracted contacts
+     * @returns {Promise<Array<Object>>} Contacts with email contacts carrying a verification
+     */
+    async verifyContacts(contacts) {
+        if (!Array.isArray(contacts)) {
+            return [];
+        }
+
+        const emails = contacts.filter(contact => contact.type === 'email').map(contact => contact.value);
+        const domains = emailExtractor.getEmailDomains(emails);
+        const results = new Map(await Promise.all(
+            domains.map(async domain => [domain, await this.verifyDomain(domain)])
+        ));
+
+        return contacts.map(contact => {
+            if (contact.type !== 'email') return contact;
+            const verification = results.get(contact.value.split('@')[1]) ||
+                { status: 'invalid', reason: 'Malformed email', resolver: this.resolver.name || 'custom' };
+            return { ...contact, verification };
+        });
+    }
+
+    /**
+     * Check if a playlist record has email contacts without a verification
+     * @param {Object} playlist - Playlist record
+     * @returns {boolean} True if the record should be verified
+     */
+    needsVerification(playlist) {
+        return (playlist?.contacts || []).some(contact => contact.type === 'email' && !contact.verification);
+    }
+
+    /**
+     * Check if an email contact passes a domain filter
+     * Unverified emails only fail the valid_only filter.
+     * @param {Object} contact - Email contact
+     * @param {string} filter - Domain filter
+     * @returns {boolean} True if the email is kept
+     */
+    matchesFilter(contact, filter) {
+        const status = contact.verification?.status;
+        if (filter === 'hide_invalid') return status !== 'invalid';
+        if (filter === 'valid_only') return status === 'valid';
+        return true;
+    }
+
+    /**
+     * Apply a domain filter to a single playlist record
+     * The record is kept even when all its emails are filtered out, so tables can still list it.
+     * @param {Object} playlist - Playlist record
+     * @param {string} filter - Domain filter
+     * @returns {Object} Record with filtered emails and contacts
+     */
+    filterPlaylist(playlist, filter) {
+        if (!playlist || !DOMAIN_FILTERS.includes(filter) || filter === 'all') {
+            return playlist;
+        }
+        return emailExtractor.filterEmails([playlist], contact => this.matchesFilter(contact, filter))[0];
+    }
+
+    /**
+     * Apply a domain filter to playlist records
+     * Records this leaves without any contact are dropped, as with the score threshold.
+     * @param {Array<Object>} records - Playlist records
+     * @param {string} filter - Domain filter
+     * @returns {Array<Object>} Filtered records
+     */
+    applyStatusFilter(records, filter) {
+        if (!Array.isArray(records) || !DOMAIN_FILTERS.includes(filter) || filter === 'all') {
+            return records;
+        }
+        return emailExtractor.dropEmptied(records, records.map(record => this.filterPlaylist(record, filter)));
+    }
+
+    /**
+     * Forget all cached domain results
+     */
+    clearCache() {
+        this.cache.clear();
+    }
+}
+
+export const domainVerifier = new DomainVerifier();
@@ -1,31 +1,850 @@
 /**
  * Email extraction module
- * Handles email parsing, validation, and formatting
+ * Handles email and contact channel parsing, validation, and formatting
  */
 
+import { suppressionList } from './suppression-list.js';
+
+// Look-alike characters NFKC normalization leaves alone (Cyrillic and Greek letters,
+// ideographic full stops), plus invisible characters used to break up addresses
+const LOOKALIKES = {
+    'а': 'a', 'е': 'e', 'о': 'o', 'р': 'p', 'с': 'c', 'х': 'x', 'у': 'y', 'і': 'i',
+    'ј': 'j', 'ѕ': 's', 'ԁ': 'd', 'ӏ': 'l', 'һ': 'h', 'ԛ': 'q', 'ԝ': 'w',
+    'А': 'A', 'В': 'B', 'Е': 'E', 'К': 'K', 'М': 'M', 'Н': 'H', 'О': 'O', 'Р': 'P',
+    'С': 'C', 'Т': 'T', 'Х': 'X', 'Ѕ': 'S', 'І': 'I', 'Ј': 'J',
+    'α': 'a', 'ο': 'o', 'ρ': 'p', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'τ': 't', 'υ': 'u',
+    'Α': 'A', 'Β': 'B', 'Ε': 'E', 'Η': 'H', 'Ι': 'I', 'Κ': 'K', 'Μ': 'M', 'Ν': 'N',
+    'Ο': 'O', 'Ρ': 'P', 'Τ': 'T', 'Χ': 'X', 'Υ': 'Y', 'Ζ': 'Z',
+    '\u3002': '.', '\u2024': '.',
+    '\u200B': '', '\u200C': '', '\u200D': '', '\u2060': '', '\uFEFF': '', '\u00AD': ''
+};
+
+// Separators curators use instead of "@" and "." ("[at]", "(dot)", " at ", " dot "...)
+const AT_SEPARATOR = String.raw`(?:\s*@\s*|\s*[\[({<]\s*(?:at|@)\s*[\])}>]\s*|\s+at\s+)`;
+const DOT_SEPARATOR = String.raw`(?:\.|\s*[\[({<]\s*(?:dot|\.)\s*[\])}>]\s*|\s+dot\s+)`;
+
+// Contact types, in display order
+const CONTACT_TYPES = ['email', 'social', 'url', 'phone'];
+
+// Keywords introducing a social handle ("IG: @name", "insta @name") and their platform
+const HANDLE_KEYWORDS = {
+    instagram: 'instagram', insta: 'instagram', ig: 'instagram',
+    tiktok: 'tiktok', twitter: 'twitter', soundcloud: 'soundcloud',
+    youtube: 'youtube', yt: 'youtube', facebook: 'facebook', fb: 'facebook',
+    snapchat: 'snapchat', snap: 'snapchat'
+};
+
+// Hosts of profile pages, whose first path segment is the handle
+const SOCIAL_HOSTS = {
+    'instagram.com': 'instagram',
+    'tiktok.com': 'tiktok',
+    'twitter.com': 'twitter',
+    'x.com': 'twitter',
+    'soundcloud.com': 'soundcloud',
+    'youtube.com': 'youtube',
+    'facebook.com': 'facebook',
+    'snapchat.com': 'snapchat'
+};
+
+// Hosts of submission and link pages
+const LINK_HOSTS = {
+    'linktr.ee': 'linktree',
+    'submithub.com': 'submithub',
+    'groover.co': 'groover',
+    'discord.gg': 'discord',
+    'discord.com': 'discord',
+    'wa.me': 'whatsapp'
+};
+
+// Path segments that are not handles (instagram.com/p/..., youtube.com/c/...)
+const NON_HANDLE_SEGMENTS = ['p', 'reel', 'reels', 'explore', 'watch', 'playlist', 'c', 'channel', 'user', 'add', 'share'];
+
+const URL_REGEX = new RegExp(
+    String.raw`(?:\bhttps?:\/\/|\bwww\.|\b(?:${[...Object.keys(SOCIAL_HOSTS), ...Object.keys(LINK_HOSTS)].map(host => host.replace('.', '\\.')).join('|')})\/)[^\s<>"'()]+`,
+    'gi'
+);
+const HANDLE_REGEX = new RegExp(
+    String.raw`\b(${Object.keys(HANDLE_KEYWORDS).join('|')})\b\s*(?::\s*@?|-\s*@?|\s@)([a-z0-9._]{2,30})(?![a-z0-9._@])`,
+    'gi'
+);
+const PHONE_KEYWORD_REGEX = /\b(whatsapp|whats app|wa|phone|tel|call|text|sms)\b\s*[:\-]?\s*(\+?\d[\d\s().-]{6,20}\d)/gi;
+const PHONE_REGEX = /(?<![\w+])\+\d[\d\s().-]{6,20}\d/g;
+
+// Local parts of shared mailboxes rather than a person
+const ROLE_LOCAL_PARTS = [
+    'info', 'contact', 'hello', 'hi', 'admin', 'support', 'help', 'sales', 'office', 'team', 'mail',
+    'press', 'pr', 'media', 'marketing', 'booking', 'bookings', 'management', 'mgmt', 'label',
+    'music', 'demo', 'demos', 'submit', 'submissions', 'promo', 'promos', 'playlist', 'playlists',
+    'business', 'enquiries', 'inquiries', 'webmaster', 'hr', 'jobs', 'billing'
+];
+
+// Automated senders nobody reads
+const NOREPLY_REGEX = /^(no-?reply|do-?not-?reply|mailer-daemon|postmaster|bounces?)([.+_-]|$)/;
+
+const FREE_MAIL_DOMAINS = [
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'yahoo.fr', 'yahoo.de', 'yahoo.es', 'yahoo.it',
+    'hotmail.com', 'hotmail.co.uk', 'hotmail.fr', 'hotmail.de', 'hotmail.es', 'hotmail.it', 'outlook.com',
+    'outlook.fr', 'outlook.de', 'live.com', 'live.co.uk', 'live.fr', 'msn.com', 'icloud.com', 'me.com', 'mac.com', 'aol.com',
+    'protonmail.com', 'proton.me', 'gmx.com', 'gmx.de', 'gmx.net', 'mail.com', 'email.com', 'yandex.ru',
+    'yandex.com', 'mail.ru', 'zoho.com', 'web.de', 'orange.fr', 'free.fr', 'laposte.net', 'libero.it',
+    'qq.com', '163.com', 'naver.com', 'tutanota.com'
+];
+
+// Generic top-level domains trusted after a spaced "@" ("name @ label.com"); country codes are
+// trusted too. Anything else reads as a social handle ("Follow @user.name", "IG @artist.official").
+const SPACED_AT_TLDS = [
+    'com', 'net', 'org', 'edu', 'gov', 'info', 'biz', 'io', 'co', 'me', 'fm', 'tv', 'ai', 'app',
+    'dev', 'pro', 'xyz', 'online', 'site', 'email', 'music', 'band', 'live', 'studio', 'agency', 'records'
+];
+
+// Country and generic suffixes a provider may run its mail under (hotmail.de, yahoo.co.jp...)
+const PUBLIC_SUFFIX_REGEX = /^((co|com|net|org|ne|or|ac)\.)?[a-z]{2}$|^(com|net|org)$/;
+
+const DISPOSABLE_DOMAINS = [
+    'mailinator.com', '10minutemail.com', 'guerrillamail.com', 'tempmail.com', 'temp-mail.org',
+    'yopmail.com', 'trashmail.com', 'sharklasers.com', 'getnada.com', 'dispostable.com', 'maildrop.cc',
+    'throwawaymail.com', 'fakeinbox.com', 'mintemail.com', 'mohmal.com', 'emailondeck.com'
+];
+
+// Domains used in examples and templates
+const PLACEHOLDER_DOMAINS = [
+    'example.com', 'example.org', 'example.net', 'test.com', 'domain.com', 'yourdomain.com',
+    'email.example', 'mydomain.com', 'website.com', 'company.com'
+];
+
+// Score penalties, out of 100
+const SCORE_PENALTIES = {
+    noreply: 100,
+    placeholder: 100,
+    disposable: 60,
+    typo: 40,
+    role: 15,
+    obfuscated: 10,
+    freeMail: 5
+};
+
+// Named entities found in Spotify descriptions
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
 class EmailExtractor {
     constructor() {
         // Email regex pattern from the original implementation
         this.emailRegex = /([a-zA-Z0-9._-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/g;
+
+        // Pattern tolerating obfuscated separators, run on look-alike folded text
+        this.obfuscatedEmailRegex = new RegExp(
+            `([a-z0-9._%+-]+)(${AT_SEPARATOR})((?:[a-z0-9-]+${DOT_SEPARATOR})+[a-z]{2,})`,
+            'gi'
+        );
         
         // More comprehensive email regex for strict validation
         this.strictEmailRegex = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+
+        // Extraction pipeline: text steps run before matching, contact steps on the matches
+        this.pipeline = {
+            text: [
+                { name: 'decodeHtmlEntities', run: text => this.decodeHtmlEntities(text) }
+            ],
+            contacts: [
+                { name: 'normalizeEmails', run: contacts => this.normalizeEmailContacts(contacts) },
+                { name: 'validateEmails', run: contacts => contacts.filter(contact => contact.type !== 'email' || this.isValidEmail(contact.value)) },
+                { name: 'dedupe', run: contacts => this.dedupeContacts(contacts) },
+                { name: 'score', run: contacts => this.scoreEmailContacts(contacts) },
+                { name: 'suppress', run: contacts => this.markSuppressed(contacts) }
+            ]
+        };
     }
 
     /**
-     * Extract emails from text using the primary regex
-     * @param {string} text - Text to extract emails from
-     * @returns {Array<string>} Array of extracted emails
+     * Add a step to the extraction pipeline
+     * @param {string} stage - 'text' (string => string, before matching) or 'contacts' (contacts => contacts)
+     * @param {string} name - Step name, replacing any step with the same name
+     * @param {Function} run - Step function
+     * @param {Object} options - Step options
+     * @param {string} options.before - Name of the step to insert before (appended if omitted)
      */
-    extractEmails(text) {
+    addStep(stage, name, run, { before = null } = {}) {
+        const steps = this.getStage(stage);
+        this.removeStep(stage, name);
+
+        const index = before ? steps.findIndex(step => step.name === before) : -1;
+        steps.splice(index >= 0 ? index : steps.length, 0, { name, run });
+    }
+
+    /**
+     * Remove a step from the extraction pipeline
+     * @param {string} stage - 'text' or 'contacts'
+     * @param {string} name - Step name
+     * @returns {boolean} True if a step was removed
+     */
+    removeStep(stage, name) {
+        const steps = this.getStage(stage);
+        const index = steps.findIndex(step => step.name === name);
+        if (index < 0) return false;
+
+        steps.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Get step names of a pipeline stage
+     * @param {string} stage - 'text' or 'contacts'
+     * @returns {Array<string>} Step names, in run order
+     */
+    getSteps(stage) {
+        return this.getStage(stage).map(step => step.name);
+    }
+
+    /**
+     * Get the steps of a pipeline stage
+     * @param {string} stage - 'text' or 'contacts'
+     * @returns {Array<Object>} Steps
+     * @private
+     */
+    getStage(stage) {
+        const steps = this.pipeline[stage];
+        if (!steps) {
+            throw new Error(`Unknown pipeline stage: ${stage}`);
+        }
+        return steps;
+    }
+
+    /**
+     * Run the extraction pipeline on a playlist description
+     * @param {string} text - Raw description, as returned by the API
+     * @returns {Object} Prepared text, emails and contacts ({ text, emails, contacts })
+     */
+    extract(text) {
+        if (!text || typeof text !== 'string') {
+            return { text: '', emails: [], contacts: [] };
+        }
+
+        const prepared = this.pipeline.text.reduce((current, step) => step.run(current), text);
+        const contacts = this.pipeline.contacts.reduce((current, step) => step.run(current), this.matchContacts(prepared));
+
+        return {
+            text: prepared,
+            emails: contacts.filter(contact => contact.type === 'email').map(contact => contact.value),
+            contacts
+        };
+    }
+
+    /**
+     * Decode HTML entities (Spotify descriptions come HTML-encoded)
+     * @param {string} text - Encoded text
+     * @returns {string} Decoded text
+     */
+    decodeHtmlEntities(text) {
+        let decoded = text;
+
+        // Some descriptions are encoded twice ("&amp;#x2F;")
+        for (let pass = 0; pass < 2; pass++) {
+            const next = decoded.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+                if (code[0] !== '#') {
+                    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+                }
+                const codePoint = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : entity;
+            });
+            if (next === decoded) break;
+            decoded = next;
+        }
+
+        return decoded;
+    }
+
+    /**
+     * Find emails in text, including obfuscated ones
+     * Each match keeps the raw snippet it was read from and whether it had to be
+     * de-obfuscated (look-alike characters or spelled-out separators).
+     * @param {string} text - Text to search
+     * @param {Object} options - Matching options
+     * @param {boolean} options.deobfuscate - Also match obfuscated emails (default true)
+     * @returns {Array<Object>} Matches ({ email, snippet, obfuscated }) in order of appearance
+     */
+    findEmails(text, { deobfuscate = true } = {}) {
         if (!text || typeof text !== 'string') {
             return [];
         }
 
-        const matches = text.match(this.emailRegex) || [];
+        if (!deobfuscate) {
+            return (text.match(this.emailRegex) || []).map(email => ({ email, snippet: email, obfuscated: false }));
+        }
+
+        const folded = this.foldText(text);
+        const matches = [];
+
+        for (const match of folded.text.matchAll(this.obfuscatedEmailRegex)) {
+            const [raw, localPart, atSeparator, domainPart] = match;
+            const domain = domainPart.replace(new RegExp(DOT_SEPARATOR, 'gi'), '.');
+
+            // A bare " at " is only trusted alongside spelled-out dots ("name at gmail dot com"),
+            // otherwise "playlist at spotify.com" would read as an address
+            if (/^\s+at\s+$/i.test(atSeparator) && domain === domainPart) {
+                continue;
+            }
+
+            // Same for a bare "@" with spaces around it, unless the domain ends in a known TLD
+            if (/^\s*@\s*$/.test(atSeparator) && atSeparator !== '@' && domain === domainPart
+                && !this.isKnownTld(domain.slice(domain.lastIndexOf('.') + 1))) {
+                continue;
+            }
+
+            const email = `${localPart}@${domain}`;
+            const snippet = text.slice(folded.starts[match.index], folded.ends[match.index + raw.length - 1]);
+            matches.push({ email, snippet, obfuscated: snippet !== email });
+        }
+
         return matches;
     }
 
+    /**
+     * Check whether a top-level domain is common enough to trust in a spaced-out address
+     * @param {string} tld - Top-level domain, without the dot
+     * @returns {boolean} True for the usual generic TLDs and two-letter country codes
+     * @private
+     */
+    isKnownTld(tld) {
+        const lower = tld.toLowerCase();
+        return /^[a-z]{2}$/.test(lower) || SPACED_AT_TLDS.includes(lower);
+    }
+
+    /**
+     * Find emails in text, keeping one match per address
+     * An address found both as-is and obfuscated is reported as not obfuscated.
+     * @param {string} text - Text to search
+     * @returns {Array<Object>} Matches ({ email, snippet, obfuscated })
+     */
+    findUniqueEmails(text) {
+        const byEmail = new Map();
+
+        this.findEmails(text).forEach(match => {
+            const known = byEmail.get(match.email);
+            if (!known || (known.obfuscated && !match.obfuscated)) {
+                byEmail.set(match.email, match);
+            }
+        });
+
+        return [...byEmail.values()];
+    }
+
+    /**
+     * Fold full-width and look-alike characters to ASCII, keeping track of
+     * where every folded character came from in the original text
+     * @param {string} text - Original text
+     * @returns {Object} Folded text with start/end offsets into the original per character
+     * @private
+     */
+    foldText(text) {
+        let folded = '';
+        const starts = [];
+        const ends = [];
+        let index = 0;
+
+        for (const char of text) {
+            const end = index + char.length;
+            const normalized = char.normalize('NFKC');
+            const replacement = [...normalized].map(part => LOOKALIKES[part] ?? part).join('');
+
+            for (let i = 0; i < replacement.length; i++) {
+                starts.push(index);
+                ends.push(end);
+            }
+            folded += replacement;
+            index = end;
+        }
+
+        return { text: folded, starts, ends };
+    }
+
+    /**
+     * Get supported contact types
+     * @returns {Array<string>} Contact types
+     */
+    getContactTypes() {
+        return CONTACT_TYPES;
+    }
+
+    /**
+     * Find every contact channel in text, through the extraction pipeline
+     * Values are normalized: emails lowercase, URLs with https and no trailing slash,
+     * handles lowercase without "@", phone numbers as "+" and digits.
+     * @param {string} text - Text to search
+     * @returns {Array<Object>} Contacts ({ type, platform, value, snippet, occurrences }), emails first
+     */
+    findContacts(text) {
+        return this.extract(text).contacts;
+    }
+
+    /**
+     * Match every contact occurrence in prepared text, before normalization
+     * @param {string} text - Text to search
+     * @returns {Array<Object>} Contacts, possibly repeated
+     * @private
+     */
+    matchContacts(text) {
+        const emails = this.findEmails(text).map(match => ({
+            type: 'email',
+            platform: null,
+            value: match.email,
+            snippet: match.snippet,
+            obfuscated: match.obfuscated
+        }));
+
+        return [
+            ...emails,
+            ...this.findUrlContacts(text),
+            ...this.findHandleContacts(text),
+            ...this.findPhoneContacts(text)
+        ];
+    }
+
+    /**
+     * Normalize email contacts (lowercase, no stray dots)
+     * @param {Array<Object>} contacts - Contacts
+     * @returns {Array<Object>} Contacts with normalized emails
+     * @private
+     */
+    normalizeEmailContacts(contacts) {
+        return contacts.map(contact => contact.type === 'email'
+            ? { ...contact, value: this.normalizeEmail(contact.value) }
+            : contact);
+    }
+
+    /**
+     * Merge repeated contacts, counting occurrences, and order them by type
+     * An email found both as-is and obfuscated is reported as not obfuscated.
+     * @param {Array<Object>} contacts - Contacts
+     * @returns {Array<Object>} One contact per channel
+     * @private
+     */
+    dedupeContacts(contacts) {
+        const byKey = new Map();
+
+        contacts.forEach(contact => {
+            const key = `${contact.type}:${contact.platform}:${contact.value}`;
+            const known = byKey.get(key);
+
+            if (!known) {
+                byKey.set(key, { ...contact, occurrences: 1 });
+                return;
+            }
+
+            known.occurrences++;
+            if (known.obfuscated && !contact.obfuscated) {
+                known.obfuscated = false;
+                known.snippet = contact.snippet;
+            }
+        });
+
+        return [...byKey.values()].sort((a, b) => CONTACT_TYPES.indexOf(a.type) - CONTACT_TYPES.indexOf(b.type));
+    }
+
+    /**
+     * Attach a quality score to email contacts
+     * @param {Array<Object>} contacts - Contacts
+     * @returns {Array<Object>} Contacts, emails with a quality property
+     * @private
+     */
+    scoreEmailContacts(contacts) {
+        return contacts.map(contact => contact.type === 'email'
+            ? { ...contact, quality: this.scoreEmail(contact.value, { obfuscated: contact.obfuscated }) }
+            : contact);
+    }
+
+    /**
+     * Score how worth contacting an email address is
+     * @param {string} email - Normalized email address
+     * @param {Object} options - Extraction details
+     * @param {boolean} options.obfuscated - Whether the email was de-obfuscated
+     * @returns {Object} Quality ({ score, reasons, role, domainType, suggestion })
+     */
+    scoreEmail(email, { obfuscated = false } = {}) {
+        const [localPart, domain = ''] = email.toLowerCase().split('@');
+        const reasons = [];
+        let penalty = 0;
+        let domainType = 'custom';
+        let suggestion = null;
+
+        const role = ROLE_LOCAL_PARTS.includes(localPart.split(/[.+_-]/)[0]);
+        if (NOREPLY_REGEX.test(localPart)) {
+            reasons.push('No-reply address');
+            penalty += SCORE_PENALTIES.noreply;
+        } else if (role) {
+            reasons.push(`Role address (${localPart}@)`);
+            penalty += SCORE_PENALTIES.role;
+        } else {
+            reasons.push('Personal address');
+        }
+
+        if (PLACEHOLDER_DOMAINS.includes(domain)) {
+            domainType = 'placeholder';
+            reasons.push('Placeholder domain');
+            penalty += SCORE_PENALTIES.placeholder;
+        } else if (DISPOSABLE_DOMAINS.includes(domain)) {
+            domainType = 'disposable';
+            reasons.push('Disposable domain');
+            penalty += SCORE_PENALTIES.disposable;
+        } else if (FREE_MAIL_DOMAINS.includes(domain)) {
+            domainType = 'free';
+            reasons.push('Free mail domain');
+            penalty += SCORE_PENALTIES.freeMail;
+        } else {
+            const correction = this.suggestDomain(domain);
+            if (correction) {
+                domainType = 'typo';
+                suggestion = `${localPart}@${correction}`;
+                reasons.push(`Likely typo of ${correction}`);
+                penalty += SCORE_PENALTIES.typo;
+            } else {
+                reasons.push('Custom domain');
+            }
+        }
+
+        if (obfuscated) {
+            reasons.push('De-obfuscated');
+            penalty += SCORE_PENALTIES.obfuscated;
+        }
+
+        return {
+            score: Math.max(0, 100 - penalty),
+            reasons,
+            role,
+            domainType,
+            suggestion
+        };
+    }
+
+    /**
+     * Suggest the common domain a misspelled one was probably meant to be
+     * @param {string} domain - Email domain
+     * @returns {string|null} Corrected domain or null
+     */
+    suggestDomain(domain) {
+        if (!domain || FREE_MAIL_DOMAINS.includes(domain)) {
+            return null;
+        }
+
+        // Short domains are only one edit away from too many real ones
+        const maxDistance = domain.length > 8 ? 2 : 1;
+        let best = null;
+        let bestDistance = maxDistance + 1;
+
+        FREE_MAIL_DOMAINS.forEach(candidate => {
+            if (this.isOtherSuffixOf(domain, candidate)) return;
+            const distance = this.editDistance(domain, candidate, maxDistance);
+            if (distance > 0 && distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Check if a domain is the same provider as a candidate under another real public suffix
+     * (hotmail.de for hotmail.fr), rather than a misspelling of it. Truncated suffixes such as
+     * gmail.co for gmail.com still count as misspellings.
+     * @param {string} domain - Email domain
+     * @param {string} candidate - Known domain
+     * @returns {boolean} True if only the public suffix differs
+     * @private
+     */
+    isOtherSuffixOf(domain, candidate) {
+        const [label, ...suffix] = domain.split('.');
+        const [candidateLabel, ...candidateSuffix] = candidate.split('.');
+        return label === candidateLabel
+            && PUBLIC_SUFFIX_REGEX.test(suffix.join('.'))
+            && !candidateSuffix.join('.').startsWith(suffix.join('.'));
+    }
+
+    /**
+     * Levenshtein distance, with transpositions counted as one edit
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @param {number} max - Distance above which computing stops
+     * @returns {number} Edit distance (max + 1 when above max)
+     * @private
+     */
+    editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) {
+            return max + 1;
+        }
+
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const nextRow = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+                if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousRow[j - 2] + 1);
+                }
+                nextRow.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+
+            if (rowMin > max) {
+                return max + 1;
+            }
+            previousRow = row;
+            row = nextRow;
+        }
+
+        return row[b.length];
+    }
+
+    /**
+     * Flag email contacts that are on the suppression list
+     * Flags are recomputed, so records extracted before a list import can be re-marked.
+     * @param {Array<Object>} contacts - Extracted contacts
+     * @returns {Array<Object>} Contacts, suppressed emails carrying suppressed: true
+     */
+    markSuppressed(contacts) {
+        return (contacts || []).map(contact => {
+            if (contact.type !== 'email') return contact;
+
+            const { suppressed, ...rest } = contact;
+            return suppressionList.isSuppressed(contact.value) ? { ...rest, suppressed: true } : rest;
+        });
+    }
+
+    /**
+     * Re-mark the suppressed emails of a playlist record against the current list
+     * @param {Object} record - Playlist record
+     * @returns {Object} Record with up-to-date suppressed flags
+     */
+    applySuppression(record) {
+        if (!record || !Array.isArray(record.contacts)) {
+            return record;
+        }
+        return { ...record, contacts: this.markSuppressed(record.contacts) };
+    }
+
+    /**
+     * Count the suppressed emails of a playlist record
+     * @param {Object} record - Playlist record
+     * @returns {number} Number of suppressed emails
+     */
+    countSuppressed(record) {
+        return (record?.emails || []).filter(email => suppressionList.isSuppressed(email)).length;
+    }
+
+    /**
+     * Drop suppressed emails from records
+     * Records this leaves without any contact are dropped; records without extraction
+     * details (curators) only have their emails filtered.
+     * @param {Array<Object>} records - Playlist or curator records
+     * @returns {Array<Object>} Records without suppressed emails
+     */
+    dropSuppressed(records) {
+        if (!Array.isArray(records) || suppressionList.size === 0) {
+            return records;
+        }
+
+        return this.dropEmptied(records, records.map(record => {
+            if (!Array.isArray(record.emails)) return record;
+            if (!Array.isArray(record.contacts)) {
+                return { ...record, emails: record.emails.filter(email => !suppressionList.isSuppressed(email)) };
+            }
+            return this.filterEmails([record], contact => !suppressionList.isSuppressed(contact.value))[0];
+        }));
+    }
+
+    /**
+     * Drop the records a filter took every contact from
+     * Records that had no contact to begin with are kept, so exports including
+     * playlists without emails don't lose them to email filters.
+     * @param {Array<Object>} records - Records before filtering
+     * @param {Array<Object>} filtered - The same records after filtering, in the same order
+     * @returns {Array<Object>} Filtered records still worth exporting
+     */
+    dropEmptied(records, filtered) {
+        return filtered.filter((record, index) =>
+            !Array.isArray(record.contacts) || record.contacts.length > 0 || !(records[index].contacts?.length > 0));
+    }
+
+    /**
+     * Keep only the emails of playlist records that pass a check
+     * Records without extraction details are returned as they are.
+     * @param {Array<Object>} records - Playlist records
+     * @param {Function} keep - Receives an email contact, returns true to keep it
+     * @returns {Array<Object>} Records with filtered emails and contacts
+     */
+    filterEmails(records, keep) {
+        return records.map(record => {
+            if (!Array.isArray(record.contacts) || !Array.isArray(record.emails)) {
+                return record;
+            }
+
+            const contacts = record.contacts.filter(contact => contact.type !== 'email' || keep(contact));
+            const emails = record.emails.filter(email =>
+                contacts.some(contact => contact.type === 'email' && contact.value === email));
+
+            return { ...record, emails, contacts };
+        });
+    }
+
+    /**
+     * Drop emails scoring below a threshold from playlist records
+     * Records this leaves without any contact are dropped; records without extraction details are kept as they are.
+     * @param {Array<Object>} records - Playlist records
+     * @param {number} minScore - Minimum email score (0 keeps everything)
+     * @returns {Array<Object>} Filtered records
+     */
+    applyScoreThreshold(records, minScore) {
+        if (!Array.isArray(records) || !(minScore > 0)) {
+            return records;
+        }
+
+        return this.dropEmptied(records,
+            this.filterEmails(records, contact => (contact.quality?.score ?? 100) >= minScore));
+    }
+
+    /**
+     * Find links, turning profile links into social handles and wa.me links into phone numbers
+     * @param {string} text - Text to search
+     * @returns {Array<Object>} Contacts
+     * @private
+     */
+    findUrlContacts(text) {
+        const contacts = [];
+
+        for (const match of text.matchAll(URL_REGEX)) {
+            const snippet = match[0].replace(/[.,;:!?\]}]+$/, '');
+            const contact = this.classifyUrl(snippet);
+            if (contact) contacts.push(contact);
+        }
+
+        return contacts;
+    }
+
+    /**
+     * Classify a link found in text
+     * @param {string} snippet - Link as written
+     * @returns {Object|null} Contact or null if the link can't be parsed
+     * @private
+     */
+    classifyUrl(snippet) {
+        let url;
+        try {
+            url = new URL(/^https?:\/\//i.test(snippet) ? snippet : `https://${snippet}`);
+        } catch (error) {
+            return null;
+        }
+
+        const host = url.hostname.toLowerCase().replace(/^(www|m)\./, '');
+        const segments = url.pathname.split('/').filter(segment => segment);
+        const value = `https://${host}${url.pathname.replace(/\/+$/, '')}${url.search}`;
+
+        // Playlist links point back to Spotify, not to the curator
+        if (host.endsWith('spotify.com') || host === 'spotify.link') {
+            return null;
+        }
+
+        if (SOCIAL_HOSTS[host]) {
+            const handle = segments.length > 0 && !NON_HANDLE_SEGMENTS.includes(segments[0].toLowerCase())
+                ? segments[0].replace(/^@/, '').toLowerCase()
+                : null;
+            return handle
+                ? { type: 'social', platform: SOCIAL_HOSTS[host], value: handle, snippet }
+                : { type: 'url', platform: SOCIAL_HOSTS[host], value, snippet };
+        }
+
+        if (LINK_HOSTS[host] === 'whatsapp') {
+            const phone = this.normalizePhone(segments[0] || '', true);
+            return phone
+                ? { type: 'phone', platform: 'whatsapp', value: phone, snippet }
+                : null;
+        }
+
+        return { type: 'url', platform: LINK_HOSTS[host] || 'website', value, snippet };
+    }
+
+    /**
+     * Find handles introduced by a platform name ("IG: @name", "tiktok @name")
+     * @param {string} text - Text to search
+     * @returns {Array<Object>} Contacts
+     * @private
+     */
+    findHandleContacts(text) {
+        const contacts = [];
+
+        for (const match of text.matchAll(HANDLE_REGEX)) {
+            const handle = match[2].replace(/\.+$/, '').toLowerCase();
+            if (handle.length < 2) continue;
+
+            contacts.push({
+                type: 'social',
+                platform: HANDLE_KEYWORDS[match[1].toLowerCase()],
+                value: handle,
+                snippet: match[0].replace(/\.+$/, '')
+            });
+        }
+
+        return contacts;
+    }
+
+    /**
+     * Find phone numbers, either introduced by a keyword or written in international format
+     * @param {string} text - Text to search
+     * @returns {Array<Object>} Contacts
+     * @private
+     */
+    findPhoneContacts(text) {
+        const contacts = [];
+
+        for (const match of text.matchAll(PHONE_KEYWORD_REGEX)) {
+            const phone = this.normalizePhone(match[2]);
+            if (phone) {
+                const keyword = match[1].toLowerCase().replace(/\s/g, '');
+                contacts.push({
+                    type: 'phone',
+                    platform: keyword === 'whatsapp' || keyword === 'wa' ? 'whatsapp' : null,
+                    value: phone,
+                    snippet: match[0]
+                });
+            }
+        }
+
+        for (const match of text.matchAll(PHONE_REGEX)) {
+            const phone = this.normalizePhone(match[0]);
+            if (phone && !contacts.some(contact => contact.value === phone)) {
+                contacts.push({ type: 'phone', platform: null, value: phone, snippet: match[0] });
+            }
+        }
+
+        return contacts;
+    }
+
+    /**
+     * Normalize a phone number to "+" and digits
+     * @param {string} raw - Phone number as written
+     * @param {boolean} international - Treat the number as international even without "+"
+     * @returns {string|null} Normalized number, or null if it doesn't have 8 to 15 digits
+     */
+    normalizePhone(raw, international = false) {
+        const digits = raw.replace(/\D/g, '');
+        if (digits.length < 8 || digits.length > 15) {
+            return null;
+        }
+        return (international || raw.trim().startsWith('+')) ? `+${digits}` : digits;
+    }
+
+    /**
+     * Extract emails from text, including obfuscated ones
+     * @param {string} text - Text to extract emails from
+     * @returns {Array<string>} Array of extracted emails
+     */
+    extractEmails(text) {
+        return this.findEmails(text).map(match => match.email);
+    }
+
     /**
      * Extract and deduplicate emails from text
      * @param {string} text - Text to extract emails from
@@ -46,7 +865,12 @@ class EmailExtractor {
             return false;
         }
 
-        return this.strictEmailRegex.test(email);
+        const [localPart, domain] = email.split('@');
+        if (email.length > 254 || !domain || localPart.length > 64) {
+            return false;
+        }
+
+        return this.strictEmailRegex.test(email) && !localPart.startsWith('.') && !localPart.endsWith('.') && !email.includes('..');
     }
 
     /**
@@ -169,17 +993,31 @@ class EmailExtractor {
         }
 
         return emails
-            .map(email => email.trim().toLowerCase())
+            .map(email => this.normalizeEmail(email))
             .filter(email => email.length > 0);
     }
 
+    /**
+     * Normalize a single email address (trim, lowercase, strip stray dots around the parts)
+     * @param {string} email - Email address
+     * @returns {string} Normalized email
+     */
+    normalizeEmail(email) {
+        const [localPart, domain = ''] = email.trim().toLowerCase().split('@');
+        if (!domain) {
+            return localPart;
+        }
+        return `${localPart.replace(/^\.+|\.+$/g, '')}@${domain.replace(/^\.+|\.+$/g, '')}`;
+    }
+
     /**
      * Extract emails from playlist description with metadata
      * @param {string} description - Playlist description
      * @returns {Object} Object with emails and metadata
      */
     extractEmailsWithMetadata(description) {
-        const rawEmails = this.extractEmails(description);
+        const matches = this.findEmails(description ? this.decodeHtmlEntities(description) : description);
+        const rawEmails = matches.map(match => match.email);
         const cleanedEmails = this.cleanEmails(rawEmails);
         const uniqueEmails = [...new Set(cleanedEmails)];
         const validEmails = this.filterValidEmails(uniqueEmails);
@@ -187,6 +1025,8 @@ class EmailExtractor {
         const stats = this.getEmailStats(rawEmails);
 
         return {
+            matches: matches,
+            obfuscated: matches.filter(match => match.obfuscated).length,
             raw: rawEmails,
             cleaned: cleanedEmails,
             unique: uniqueEmails,
@@ -203,15 +1043,11 @@ class EmailExtractor {
      * @returns {boolean} True if text contains emails
      */
     hasEmails(text) {
-        if (!text || typeof text !== 'string') {
-            return false;
-        }
-
-        return this.emailRegex.test(text);
+        return this.findEmails(text).length > 0;
     }
 
     /**
-     * Get the regex pattern being used
+     * Get the regex pattern used when de-obfuscation is off
      * @returns {RegExp} The email regex pattern
      */
     getRegexPattern() {
@@ -249,4 +1085,13 @@ export function extractEmails(text) {
  */
 export function extractValidEmails(text) {
     return emailExtractor.extractValidEmails(text);
-}
\ No newline at end of file
+}
+
+/**
+ * Convenience function for extracting contact channels
+ * @param {string} text - Text to extract contacts from
+ * @returns {Array<Object>} Array of typed contacts
+ */
+export function extractContacts(text) {
+    return emailExtractor.findContacts(text);
+}
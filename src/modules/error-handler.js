@@ -12,7 +12,8 @@ class ErrorHandler {
      * @returns {Object} Object with type and message properties
      */
     classifyError(error, operation = 'operation', abortController = null) {
-        if (error.name === 'AbortError') {
+        // AbortSignal.timeout() rejects with a TimeoutError rather than an AbortError
+        if (error.name === 'AbortError' || error.name === 'TimeoutError') {
             if (abortController && abortController.signal.aborted) {
                 return { type: 'user_abort', message: null };
             } else {
@@ -0,0 +1,179 @@
+/**
+ * Export formats module
+ * Serializes exported records to JSON, CSV or XLSX
+ */
+
+import { xlsxWriter } from './xlsx-writer.js';
+
+const FORMATS = {
+    json: { extension: 'json', contentType: 'application/json' },
+    csv: { extension: 'csv', contentType: 'text/csv;charset=utf-8' },
+    xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+const ROW_MODES = ['playlist', 'email'];
+
+class ExportFormats {
+    /**
+     * Get supported format names
+     * @returns {Array<string>} Format names
+     */
+    getFormats() {
+        return Object.keys(FORMATS);
+    }
+
+    /**
+     * Get supported row modes for tabular formats
+     * @returns {Array<string>} Row modes
+     */
+    getRowModes() {
+        return ROW_MODES;
+    }
+
+    /**
+     * Serialize records in the requested format
+     * @param {Array} data - Records to export
+     * @param {Object} options - Export options
+     * @param {string} options.format - 'json', 'csv' or 'xlsx'
+     * @param {string} options.rowMode - 'playlist' (one row per record) or 'email' (one row per email)
+     * @returns {Object} Object with content, contentType and extension
+     */
+    serialize(data, { format = 'json', rowMode = 'playlist' } = {}) {
+        const formatInfo = FORMATS[format];
+        if (!formatInfo) {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+
+        let content;
+        if (format === 'json') {
+            content = JSON.stringify(data, null, 2);
+        } else {
+            const { columns, rows } = this.toTable(data, rowMode);
+            content = format === 'csv'
+                ? this.toCsv(columns, rows)
+                : xlsxWriter.createWorkbook([columns, ...rows]);
+        }
+
+        return { content, ...formatInfo };
+    }
+
+    /**
+     * Flatten records into a table
+     * Columns are the union of record keys, in order of first appearance.
+     * @param {Array} data - Records to flatten
+     * @param {string} rowMode - 'playlist' or 'email'
+     * @returns {Object} Object with columns (Array<string>) and rows (Array<Array>)
+     */
+    toTable(data, rowMode = 'playlist') {
+        const records = Array.isArray(data) ? data : [data];
+        const expanded = rowMode === 'email' ? this.expandEmails(records) : records;
+
+        const columns = [];
+        expanded.forEach(record => {
+            Object.keys(record).forEach(key => {
+                if (!columns.includes(key)) columns.push(key);
+            });
+        });
+
+        const rows = expanded.map(record => columns.map(column => this.toCellValue(record[column])));
+        return { columns, rows };
+    }
+
+    /**
+     * Expand records to one record per email
+     * Records without emails are dropped.
+     * @param {Array} records - Records with an emails array
+     * @returns {Array} One record per email, with an email column first
+     */
+    expandEmails(records) {
+        const expanded = [];
+        records.forEach(record => {
+            const { emails = [], ...rest } = record;
+            emails.forEach(email => {
+                // Per-email match details become columns of the email's own row
+                const detail = (record.contacts || []).find(contact => contact.type === 'email' && contact.value === email);
+                expanded.push(detail
+                    ? {
+                        email,
+                        emailScore: detail.quality?.score ?? '',
+                        emailQuality: detail.quality ? detail.quality.reasons.join('; ') : '',
+                        emailSuggestion: detail.quality?.suggestion || '',
+                        emailDomainStatus: detail.verification?.status || '',
+                        emailDomainReason: detail.verification?.reason || '',
+                        emailObfuscated: detail.obfuscated,
+                        emailSnippet: detail.snippet,
+                        emailOccurrences: detail.occurrences,
+                        ...rest
+                    }
+                    : { email, ...rest });
+            });
+        });
+        return expanded;
+    }
+
+    /**
+     * Convert a record value to a flat cell value
+     * @param {*} value - Record value
+     * @returns {string|number|boolean} Cell value
+     */
+    toCellValue(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        if (Array.isArray(value)) {
+            return value
+                .map(item => (item && typeof item === 'object') ? this.toItemLabel(item) : String(item))
+                .join('; ');
+        }
+        if (typeof value === 'object') {
+            return JSON.stringify(value);
+        }
+        return value;
+    }
+
+    /**
+     * Label an object inside a list cell
+     * Contacts read as "type:value" (or "platform:value"), named objects by their name.
+     * @param {Object} item - List item
+     * @returns {string} Label
+     */
+    toItemLabel(item) {
+        if (item.type && item.value !== undefined) {
+            return `${item.platform || item.type}:${item.value}`;
+        }
+        return item.name || JSON.stringify(item);
+    }
+
+    /**
+     * Build CSV content (RFC 4180, CRLF line endings, UTF-8 BOM for spreadsheet apps)
+     * @param {Array<string>} columns - Header row
+     * @param {Array<Array>} rows - Data rows
+     * @returns {string} CSV content
+     */
+    toCsv(columns, rows) {
+        const lines = [columns, ...rows].map(row => row.map(value => this.escapeCsvValue(value)).join(','));
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Escape a CSV value
+     * Values containing separators, quotes or line breaks are quoted, and text that a
+     * spreadsheet would evaluate as a formula is prefixed with a quote.
+     * @param {*} value - Cell value
+     * @returns {string} Escaped value
+     */
+    escapeCsvValue(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        if (/[",\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+}
+
+export const exportFormats = new ExportFormats();
@@ -1,12 +1,19 @@
 /**
  * Export management module
  * Handles bulk export operations with progress tracking
+ * Progress, results and stops are reported through core events.
  */
 
 import { spotifyAPI } from './spotify-api.js';
 import { storageManager } from './storage-manager.js';
-import { uiManager } from './ui-manager.js';
 import { classifyError } from './error-handler.js';
+import { workerPool } from './worker-pool.js';
+import { emailExtractor } from './email-extractor.js';
+import { contactLedger } from './contact-ledger.js';
+import { querySharder } from './query-sharder.js';
+import { ruleEngine } from './rule-engine.js';
+import { playlistSnapshots } from './playlist-snapshots.js';
+import { coreEvents, CORE_EVENTS } from './core-events.js';
 
 class ExportManager {
     constructor() {
@@ -15,7 +22,24 @@ class ExportManager {
         this.totalToProcess = 0;
         this.processedCount = 0;
         this.totalEmailsFound = 0;
+        this.suppressedCount = 0; // emails left out because of the suppression list
         this.allPlaylistsWithEmails = [];
+        this.processedIds = new Set();
+        this.currentQuery = '';
+        this.queries = [];
+        this.queryIndex = 0;
+        this.queryStats = [];
+        this.resultsById = new Map(); // playlistId -> exported record, for duplicates found by later queries
+        this.querySeenIds = new Set(); // playlists returned for the current query, across its shards
+        this.sharding = true; // split queries with more results than the search ceiling
+        this.filterRules = { text: '', match: 'all' }; // filtering rules, as written
+        this.rules = null; // parsed filtering rules, null for none
+        this.filteredOutCount = 0;
+        this.contactTypes = ['email']; // contact types a playlist needs to be exported
+        this.currentOffset = 0;
+        this.startedAt = null;
+        this.checkpointIntervalMs = 15000; // time between checkpoints, each one rewrites the whole export state
+        this.lastCheckpointAt = 0;
     }
 
     /**
@@ -23,165 +47,659 @@ class ExportManager {
      * @param {string} query - Search query
      * @param {string} clientId - Spotify Client ID
      * @param {string} clientSecret - Spotify Client Secret
+     * @param {Object} checkpoint - Saved checkpoint to resume from (optional)
      * @returns {Promise<void>}
      */
-    async exportAll(query, clientId, clientSecret) {
-        let userStopped = false;
+    async exportAll(query, clientId, clientSecret, checkpoint = null) {
         const trimmedQuery = query.trim();
         
         if (!trimmedQuery) {
-            uiManager.showError('Please enter a search query');
+            coreEvents.emit(CORE_EVENTS.ERROR, { message: 'Please enter a search query' });
             return;
         }
 
-        // Get or refresh access token
-        let accessToken = spotifyAPI.accessToken;
-        if (!accessToken) {
-            accessToken = await spotifyAPI.getAccessToken(clientId, clientSecret);
-            if (!accessToken) return;
+        await this.runExport([trimmedQuery], clientId, clientSecret, checkpoint);
+    }
+
+    /**
+     * Export the results of several queries into one merged export
+     * Playlists found by more than one query are only fetched and exported once.
+     * @param {Array<string>} queries - Search queries, run in order
+     * @param {string} clientId - Spotify Client ID
+     * @param {string} clientSecret - Spotify Client Secret
+     * @param {Object} checkpoint - Saved checkpoint to resume from (optional)
+     * @returns {Promise<void>}
+     */
+    async exportBatch(queries, clientId, clientSecret, checkpoint = null) {
+        const uniqueQueries = [...new Set((queries || []).map(query => query.trim()).filter(query => query))];
+
+        if (uniqueQueries.length === 0) {
+            coreEvents.emit(CORE_EVENTS.ERROR, { message: 'Please enter at least one search query' });
+            return;
         }
 
-        // Initialize export state
+        await this.runExport(uniqueQueries, clientId, clientSecret, checkpoint);
+    }
+
+    /**
+     * Run an export over one or more queries
+     * @param {Array<string>} queries - Search queries, run in order
+     * @param {string} clientId - Spotify Client ID
+     * @param {string} clientSecret - Spotify Client Secret
+     * @param {Object} checkpoint - Saved checkpoint to resume from (optional)
+     * @returns {Promise<void>}
+     * @private
+     */
+    async runExport(queries, clientId, clientSecret, checkpoint = null) {
+        let userStopped = false;
+        let summary = null;
+
+        // Get or refresh access token
+        const accessToken = await spotifyAPI.ensureValidToken(clientId, clientSecret);
+        if (!accessToken) return;
+
+        // Initialize export state, restoring it from the checkpoint when resuming
         this.exportInProgress = true;
         this.currentAbortController = new AbortController();
-        this.processedCount = 0;
-        this.totalEmailsFound = 0;
-        this.allPlaylistsWithEmails = [];
+        this.queries = queries;
+        this.queryIndex = checkpoint?.queryIndex || 0;
+        this.currentQuery = queries[this.queryIndex];
+        this.queryStats = checkpoint?.queryStats
+            ? checkpoint.queryStats.map(stats => ({ ...this.createQueryStats(stats.query), ...stats }))
+            : queries.map(query => this.createQueryStats(query));
+        this.startedAt = checkpoint?.startedAt || new Date().toISOString();
+        // A resumed export is still the same run for the contact ledger
+        contactLedger.startRun(Date.parse(this.startedAt));
+        this.currentOffset = checkpoint?.offset || 0;
+        this.processedCount = checkpoint?.processedCount || 0;
+        this.totalEmailsFound = checkpoint?.totalEmailsFound || 0;
+        this.suppressedCount = checkpoint?.suppressedCount || 0;
+        this.allPlaylistsWithEmails = checkpoint?.results ? [...checkpoint.results] : [];
+        this.resultsById = new Map(this.allPlaylistsWithEmails.map(playlistData => [playlistData.id, playlistData]));
+        this.processedIds = new Set(checkpoint?.processedIds || []);
+        this.contactTypes = checkpoint?.contactTypes || storageManager.loadExportContactTypes();
+        this.sharding = checkpoint?.sharding ?? storageManager.loadShardQueries();
+        this.querySeenIds = new Set(checkpoint?.querySeenIds || []);
+        const { filterRules, filterMatch } = storageManager.loadExportOptions();
+        this.filterRules = checkpoint?.filterRules || { text: filterRules, match: filterMatch };
+        this.rules = ruleEngine.parse(this.filterRules.text, this.filterRules.match);
+        this.filteredOutCount = checkpoint?.filteredOutCount || 0;
+        this.lastCheckpointAt = Date.now();
         
         spotifyAPI.setAbortController(this.currentAbortController);
-        uiManager.setupForLoading('Starting full export...');
+        coreEvents.emit(CORE_EVENTS.LOADING, { operation: 'export', text: checkpoint ? 'Resuming export...' : 'Starting full export...' });
 
         try {
-            // Get total number of results
-            const initialResponse = await spotifyAPI.searchPlaylists(trimmedQuery, 1, 0);
-            if (!initialResponse) {
-                return;
-            }
+            // Display the playlists found before the resume
+            this.allPlaylistsWithEmails.forEach(playlistData => coreEvents.emit(CORE_EVENTS.RESULT, { operation: 'export', playlist: playlistData }));
 
-            const totalResults = initialResponse.playlists.total;
-            this.totalToProcess = totalResults;
-            
-            if (totalResults === 0) {
-                uiManager.updateProgressText('No playlists found for this query.');
-                return;
-            }
+            for (; this.queryIndex < queries.length; this.queryIndex++) {
+                this.currentQuery = queries[this.queryIndex];
 
-            uiManager.updateProgressText(`Found ${totalResults} playlists. Starting export...`);
-            
-            // Setup results table for displaying found playlists
-            uiManager.setupResultsTable();
-
-            // Process all pages
-            const resultsPerPage = 50;
-            const totalPages = Math.ceil(totalResults / resultsPerPage);
-            
-            for (let page = 0; page < totalPages; page++) {
-                if (this.currentAbortController.signal.aborted) {
+                const finished = await this.exportQuery(this.queryStats[this.queryIndex], Boolean(checkpoint));
+                if (!finished) {
                     userStopped = true;
                     break;
                 }
+                await this.recordQueryRun(this.queryStats[this.queryIndex]);
 
-                // Get page of results
-                const searchResults = await spotifyAPI.searchPlaylists(
-                    trimmedQuery,
-                    resultsPerPage,
-                    page * resultsPerPage
-                );
-
-                if (!searchResults) {
-                    continue;
-                }
-
-                // Process each playlist in the page
-                for (const playlist of searchResults.playlists.items) {
-                    if (this.currentAbortController.signal.aborted) {
-                        userStopped = true;
-                        break;
-                    }
-
-                    if (!playlist) {
-                        this.processedCount++;
-                        uiManager.updateProgress(this.processedCount, this.totalToProcess, this.totalEmailsFound);
-                        continue;
-                    }
-
-                    // Get detailed playlist data
-                    const playlistData = await spotifyAPI.getDetailedPlaylist(playlist.id);
-                    if (playlistData) {
-                        if (playlistData.emails.length > 0) {
-                            this.allPlaylistsWithEmails.push(playlistData);
-                            this.totalEmailsFound += playlistData.emails.length;
-                        }
-                        uiManager.appendPlaylistToTable(playlistData);
-                    }
-                    
-                    this.processedCount++;
-                    uiManager.updateProgress(this.processedCount, this.totalToProcess, this.totalEmailsFound);
-                }
-
-                if (userStopped) break;
+                // The next query starts from its first page
+                this.currentOffset = 0;
+                this.querySeenIds = new Set();
+                checkpoint = null;
             }
 
-            // Hide pagination during export
-            uiManager.hidePagination();
-
             // Handle export completion or user stop
             if (userStopped) {
+                await this.saveCheckpoint();
                 await this.handleStoppedExport();
             } else {
-                await this.handleCompletedExport();
+                summary = await this.handleCompletedExport();
             }
 
         } catch (error) {
             const errorInfo = classifyError(error, 'Export', this.currentAbortController);
+            await this.saveCheckpoint();
             if (errorInfo.type === 'user_abort') {
                 userStopped = true;
                 await this.handleStoppedExport();
             } else if (errorInfo.message) {
-                uiManager.showError(errorInfo.message);
+                coreEvents.emit(CORE_EVENTS.ERROR, { message: `${errorInfo.message} Progress was saved, you can resume this export later.` });
             }
         } finally {
             this.exportInProgress = false;
+            spotifyAPI.setAbortController(null);
             if (!userStopped) {
-                uiManager.cleanupAfterLoading("Export finished.");
+                coreEvents.emit(CORE_EVENTS.DONE, { operation: 'export', text: "Export finished.", summary });
+            }
+        }
+    }
+
+    /**
+     * Process every shard of the current query
+     * The query itself is the first shard; shards with more results than the search
+     * ceiling are split into sub-queries that are queued after it.
+     * @param {Object} stats - Statistics of the current query, updated in place
+     * @param {boolean} resuming - Whether the query resumes from a checkpoint
+     * @returns {Promise<boolean>} False if the export was stopped
+     * @private
+     */
+    async exportQuery(stats, resuming) {
+        if (!stats.shards) {
+            stats.shards = [querySharder.createShard(this.currentQuery, spotifyAPI.market)];
+            stats.shardIndex = 0;
+        }
+
+        for (; stats.shardIndex < stats.shards.length; stats.shardIndex++) {
+            const finished = await this.exportShard(stats.shards[stats.shardIndex], stats, resuming);
+            if (!finished) {
+                return false;
+            }
+
+            // The next shard starts from its first page
+            this.currentOffset = 0;
+            resuming = false;
+        }
+
+        stats.coverage = stats.totalResults > 0 ? Math.min(1, stats.uniqueResults / stats.totalResults) : 1;
+        return true;
+    }
+
+    /**
+     * Process every reachable result page of a shard
+     * @param {Object} shard - Shard to process ({ query, market, depth, total })
+     * @param {Object} stats - Statistics of the current query, updated in place
+     * @param {boolean} resuming - Whether the shard resumes from a checkpoint
+     * @returns {Promise<boolean>} False if the export was stopped
+     * @private
+     */
+    async exportShard(shard, stats, resuming) {
+        const signal = this.currentAbortController.signal;
+        const label = this.getShardLabel(stats);
+        const ceiling = spotifyAPI.searchOffsetLimit;
+
+        // Get total number of results, once per shard
+        if (shard.total === null) {
+            const initialResponse = await spotifyAPI.searchPlaylists(shard.query, 1, 0, shard.market);
+            if (!initialResponse) {
+                if (!signal.aborted) stats.failedPages++;
+                return !signal.aborted;
             }
+
+            shard.total = initialResponse.playlists.total;
+            if (stats.shardIndex === 0) {
+                stats.totalResults = shard.total;
+            }
+            stats.plannedResults += Math.min(shard.total, ceiling);
+
+            // Results past the ceiling can't be paged to: reach them through narrower queries
+            if (shard.total > ceiling) {
+                this.shardQuery(shard, stats);
+            }
+        }
+
+        this.totalToProcess = stats.plannedResults;
+
+        if (shard.total === 0) {
+            if (stats.shardIndex === 0) {
+                coreEvents.emit(CORE_EVENTS.STATUS, { text: `${label}No playlists found for this query.` });
+            }
+            return true;
+        }
+
+        coreEvents.emit(CORE_EVENTS.STATUS, {
+            text: resuming
+                ? `${label}Found ${shard.total} playlists. Resuming export at ${this.currentOffset}...`
+                : `${label}Found ${shard.total} playlists. Starting export...`
+        });
+
+        // Process all reachable pages, starting from the saved offset
+        const resultsPerPage = 50;
+        const reachable = Math.min(shard.total, ceiling);
+
+        for (let offset = this.currentOffset; offset < reachable; offset += resultsPerPage) {
+            if (signal.aborted) {
+                return false;
+            }
+
+            // Get page of results
+            const searchResults = await spotifyAPI.searchPlaylists(
+                shard.query,
+                Math.min(resultsPerPage, reachable - offset),
+                offset,
+                shard.market
+            );
+
+            if (!searchResults) {
+                if (!signal.aborted) stats.failedPages++;
+                continue;
+            }
+
+            // Fetch playlist details concurrently, handling results in page order
+            const items = searchResults.playlists.items;
+            await workerPool.run(items, async (playlist) => {
+                // Skip playlists already handled in this run, by an earlier query or shard or before a resume
+                if (!playlist || this.processedIds.has(playlist.id)) {
+                    return null;
+                }
+                return await spotifyAPI.getDetailedPlaylist(playlist.id);
+            }, {
+                signal,
+                onResult: async (playlistData, i, playlist) => {
+                    if (playlist) {
+                        this.recordResult(playlist, playlistData, stats);
+                    }
+
+                    this.processedCount++;
+                    stats.processed++;
+                    this.currentOffset = offset + i + 1;
+                    coreEvents.emit(CORE_EVENTS.PROGRESS, {
+                        operation: 'export',
+                        processed: stats.processed,
+                        total: this.totalToProcess,
+                        emailsFound: this.totalEmailsFound,
+                        suppressed: this.suppressedCount
+                    });
+                    await this.checkpointIfDue();
+                }
+            });
+
+            if (signal.aborted) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Store the playlists the current query returned and compare them with its previous run
+     * @param {Object} stats - Statistics of the finished query, updated in place
+     * @private
+     */
+    async recordQueryRun(stats) {
+        await playlistSnapshots.recordRun(this.currentQuery, [...this.querySeenIds], {
+            startedAt: Date.parse(this.startedAt),
+            finishedAt: Date.now(),
+            market: spotifyAPI.market,
+            coverage: stats.coverage ?? 1,
+            failedPages: stats.failedPages
+        });
+        stats.changes = playlistSnapshots.summarize(playlistSnapshots.diffQuery(this.currentQuery));
+    }
+
+    /**
+     * Queue the sub-queries of a shard that has more results than the search ceiling
+     * @param {Object} shard - Shard over the ceiling
+     * @param {Object} stats - Statistics of the current query, updated in place
+     * @private
+     */
+    shardQuery(shard, stats) {
+        const children = this.sharding ? querySharder.split(shard) : [];
+
+        if (children.length === 0 || stats.shards.length + children.length > querySharder.maxShardsPerQuery) {
+            // Whatever lies past the ceiling of this shard stays out of reach
+            stats.truncatedShards++;
+            return;
+        }
+        stats.shards.push(...children);
+    }
+
+    /**
+     * Describe the query and shard being processed, for progress messages
+     * @param {Object} stats - Statistics of the current query
+     * @returns {string} Label ending with ": ", empty for an unsharded single query
+     * @private
+     */
+    getShardLabel(stats) {
+        const parts = [];
+        if (this.isBatch()) {
+            parts.push(`Query ${this.queryIndex + 1} of ${this.queries.length} ("${this.currentQuery}")`);
+        }
+        if (stats.shards.length > 1) {
+            const shard = stats.shards[stats.shardIndex];
+            parts.push(`shard ${stats.shardIndex + 1} of ${stats.shards.length} ("${shard.query}"${shard.market ? `, ${shard.market}` : ''})`);
+        }
+        return parts.length > 0 ? `${parts.join(', ')}: ` : '';
+    }
+
+    /**
+     * Record a search result, deduplicating playlists across shards and queries
+     * @param {Object} playlist - Search result item
+     * @param {Object|null} playlistData - Fetched playlist details (null for duplicates or failures)
+     * @param {Object} stats - Statistics of the current query
+     * @private
+     */
+    recordResult(playlist, playlistData, stats) {
+        if (this.querySeenIds.has(playlist.id)) {
+            // Another shard of this query already returned it
+            stats.shardOverlap++;
+            return;
+        }
+        this.querySeenIds.add(playlist.id);
+        stats.uniqueResults++;
+
+        if (this.processedIds.has(playlist.id)) {
+            stats.duplicates++;
+
+            const known = this.resultsById.get(playlist.id);
+            if (known) {
+                stats.playlistsWithContacts++;
+                if (known.matchedQueries && !known.matchedQueries.includes(this.currentQuery)) {
+                    known.matchedQueries.push(this.currentQuery);
+                }
+                contactLedger.record(known, this.currentQuery);
+            }
+            return;
+        }
+
+        this.processedIds.add(playlist.id);
+        if (!playlistData) {
+            // Private, deleted or failing (5xx) playlist: counted so the summary says what is missing
+            stats.failedPlaylists++;
+            return;
+        }
+
+        stats.newPlaylists++;
+
+        // Opted-out emails never make it into the results, nor into the contact ledger
+        const suppressed = emailExtractor.countSuppressed(playlistData);
+        this.suppressedCount += suppressed;
+        stats.suppressed += suppressed;
+        const kept = suppressed > 0 ? emailExtractor.dropSuppressed([playlistData])[0] : playlistData;
+        if (kept) {
+            contactLedger.record(kept, this.currentQuery);
+        }
+
+        const wanted = kept && this.hasWantedContact(kept);
+        if (wanted && !ruleEngine.matches(kept, this.rules)) {
+            this.filteredOutCount++;
+            stats.filteredOut++;
+        } else if (wanted) {
+            // Copy so the cached record is left untouched
+            const record = this.isBatch()
+                ? { ...kept, matchedQueries: [this.currentQuery] }
+                : { ...kept };
+
+            this.allPlaylistsWithEmails.push(record);
+            this.resultsById.set(record.id, record);
+            this.totalEmailsFound += record.emails.length;
+            stats.playlistsWithContacts++;
+            stats.newEmails += record.emails.length;
+        }
+        coreEvents.emit(CORE_EVENTS.RESULT, { operation: 'export', playlist: playlistData });
+    }
+
+    /**
+     * Check if a playlist has one of the contact types the export keeps
+     * @param {Object} playlistData - Playlist data
+     * @returns {boolean} True if the playlist should be exported
+     */
+    hasWantedContact(playlistData) {
+        const { minEmailScore } = storageManager.loadExportOptions();
+        const [record] = emailExtractor.applyScoreThreshold([playlistData], minEmailScore);
+        if (!record) return false;
+
+        if (this.contactTypes.includes('email') && record.emails.length > 0) {
+            return true;
+        }
+        return (record.contacts || []).some(contact => this.contactTypes.includes(contact.type));
+    }
+
+    /**
+     * Describe what exported playlists have, for progress messages
+     * @returns {string} "emails" or "contacts"
+     */
+    getResultLabel() {
+        return this.contactTypes.length === 1 && this.contactTypes[0] === 'email' ? 'emails' : 'contacts';
+    }
+
+    /**
+     * Create empty statistics for a query
+     * @param {string} query - Search query
+     * @returns {Object} Query statistics
+     * @private
+     */
+    createQueryStats(query) {
+        return {
+            query,
+            totalResults: 0,
+            processed: 0,
+            newPlaylists: 0,
+            duplicates: 0,
+            playlistsWithContacts: 0,
+            newEmails: 0,
+            suppressed: 0,
+            filteredOut: 0, // playlists with contacts left out by the filtering rules
+            uniqueResults: 0, // distinct playlists reached, across shards
+            plannedResults: 0, // results reachable through the shards found so far
+            shards: null,
+            shardIndex: 0,
+            truncatedShards: 0, // shards still over the ceiling once every strategy was used
+            failedPages: 0, // result pages that could not be loaded
+            failedPlaylists: 0, // playlists returned by the search whose details could not be read
+            shardOverlap: 0, // results returned again by another shard of the same query
+            coverage: null,
+            changes: null // new, removed and changed playlists since the previous run of the query
+        };
+    }
+
+    /**
+     * Check if the current export runs several queries
+     * @returns {boolean} True for batch exports
+     */
+    isBatch() {
+        return this.queries.length > 1;
+    }
+
+    /**
+     * Describe where the current export stopped
+     * @returns {string} Position, e.g. "120 of 800"
+     */
+    getStopPosition() {
+        const stats = this.queryStats[this.queryIndex];
+        const shard = stats?.shards?.[stats.shardIndex];
+        const position = stats?.shards?.length > 1
+            ? `${this.currentOffset} of ${Math.min(shard.total ?? 0, spotifyAPI.searchOffsetLimit)} in shard ${stats.shardIndex + 1} of ${stats.shards.length} ("${shard.query}")`
+            : `${this.currentOffset} of ${this.totalToProcess}`;
+        return this.isBatch()
+            ? `query ${this.queryIndex + 1} of ${this.queries.length} ("${this.currentQuery}") at ${position}`
+            : position;
+    }
+
+    /**
+     * Describe how much of a query's reported results the export reached
+     * @param {Object} stats - Statistics of a finished query
+     * @returns {string} Coverage sentence, empty when nothing was found
+     */
+    getCoverageNote(stats) {
+        if (!stats || !stats.totalResults) return '';
+
+        const percentage = Math.round((stats.coverage ?? 0) * 100);
+        const shards = stats.shards?.length > 1 ? ` through ${stats.shards.length} sub-queries` : '';
+        const missed = stats.truncatedShards > 0
+            ? ` ${stats.truncatedShards} sub-queries still had more results than Spotify returns.`
+            : '';
+        return ` Reached ${stats.uniqueResults.toLocaleString()} of ${stats.totalResults.toLocaleString()} reported playlists (${percentage}%)${shards}.${missed}`;
+    }
+
+    /**
+     * Describe what changed since the previous run of a query
+     * @param {Object} stats - Statistics of a finished query
+     * @returns {string} Change sentence, empty for a first run
+     */
+    getChangesNote(stats) {
+        if (!stats?.changes) return '';
+
+        const { added, removed, notReturned, changed } = stats.changes;
+        const unverified = notReturned > 0 ? ` ${notReturned} more were not returned, but a run was incomplete.` : '';
+        return ` Since the last run: ${added} new, ${removed} removed and ${changed} changed playlists.${unverified}`;
+    }
+
+    /**
+     * Get the statistics of a query as exported, without the shard queue
+     * @param {Object} stats - Statistics of a query
+     * @returns {Object} Report row
+     */
+    getQueryReport(stats) {
+        const { shards, shardIndex, plannedResults, ...report } = stats;
+        return { ...report, shardCount: shards ? shards.length : 0 };
+    }
+
+    /**
+     * Resume an export from a saved checkpoint
+     * @param {string} clientId - Spotify Client ID
+     * @param {string} clientSecret - Spotify Client Secret
+     * @returns {Promise<void>}
+     */
+    async resumeExport(clientId, clientSecret) {
+        const checkpoint = await storageManager.loadExportCheckpoint();
+        if (!checkpoint) {
+            coreEvents.emit(CORE_EVENTS.ERROR, { message: 'No interrupted export to resume' });
+            return;
         }
+
+        await this.runExport(checkpoint.queries || [checkpoint.query], clientId, clientSecret, checkpoint);
+    }
+
+    /**
+     * Save a checkpoint once the interval since the last one has passed
+     * Saving on a timer rather than every few playlists keeps large exports from
+     * spending their time re-serializing results that keep growing.
+     * @private
+     */
+    async checkpointIfDue() {
+        if (Date.now() - this.lastCheckpointAt >= this.checkpointIntervalMs) {
+            await this.saveCheckpoint();
+        }
+    }
+
+    /**
+     * Save current export progress to durable storage
+     * @private
+     */
+    async saveCheckpoint() {
+        if (!this.currentQuery) return;
+
+        this.lastCheckpointAt = Date.now();
+        await storageManager.saveExportCheckpoint({
+            query: this.currentQuery,
+            queries: this.queries,
+            queryIndex: this.queryIndex,
+            queryStats: this.queryStats,
+            contactTypes: this.contactTypes,
+            sharding: this.sharding,
+            filterRules: this.filterRules,
+            filteredOutCount: this.filteredOutCount,
+            querySeenIds: [...this.querySeenIds],
+            startedAt: this.startedAt,
+            offset: this.currentOffset,
+            totalResults: this.totalToProcess,
+            processedCount: this.processedCount,
+            totalEmailsFound: this.totalEmailsFound,
+            suppressedCount: this.suppressedCount,
+            processedIds: [...this.processedIds],
+            results: this.allPlaylistsWithEmails
+        });
     }
 
     /**
      * Handle export completion
+     * The summary is sent with the DONE event, so that coverage and changes stay on screen.
+     * @returns {Promise<string>} Completion summary
      * @private
      */
     async handleCompletedExport() {
+        await storageManager.clearExportCheckpoint();
+
+        if (this.isBatch()) {
+            return this.exportBatchResults();
+        }
+
+        const notes = this.getCoverageNote(this.queryStats[0]) + this.getFailedNote(this.queryStats) + this.getChangesNote(this.queryStats[0]);
+        if (this.allPlaylistsWithEmails.length > 0) {
+            storageManager.exportData(this.allPlaylistsWithEmails, null, { query: this.currentQuery });
+            return `Export completed. ${this.allPlaylistsWithEmails.length} playlists with ${this.getResultLabel()} exported${this.getSuppressedNote()}${this.getFilteredNote()}.` + notes;
+        }
+        return `No playlists with ${this.getResultLabel()} found${this.getFilteredNote()}.` + notes;
+    }
+
+    /**
+     * Export merged batch results followed by per-query statistics
+     * @returns {string} Completion summary
+     * @private
+     */
+    exportBatchResults() {
+        const timestamp = Date.now();
+
         if (this.allPlaylistsWithEmails.length > 0) {
-            storageManager.exportData(this.allPlaylistsWithEmails);
-            uiManager.updateProgressText(`Export completed. ${this.allPlaylistsWithEmails.length} playlists with emails exported.`);
-        } else {
-            uiManager.updateProgressText('No playlists with emails found.');
+            storageManager.exportData(this.allPlaylistsWithEmails, `spotify-batch-export-${timestamp}.json`, {
+                query: this.queries.join(', ')
+            });
         }
+        // Templates map playlist records, statistics are exported as they are
+        storageManager.exportData(this.queryStats.map(stats => this.getQueryReport(stats)), `spotify-batch-stats-${timestamp}.json`, {
+            template: null,
+            rowMode: 'playlist'
+        });
+
+        const duplicates = this.queryStats.reduce((sum, stats) => sum + stats.duplicates, 0);
+        return `Batch export completed. ${this.allPlaylistsWithEmails.length} playlists with ${this.getResultLabel()} from ${this.queries.length} queries exported ` +
+            `(${duplicates} duplicate results skipped${this.suppressedCount > 0 ? `, ${this.suppressedCount} suppressed emails left out` : ''}` +
+            `${this.filteredOutCount > 0 ? `, ${this.filteredOutCount} playlists left out by filter rules` : ''}).` +
+            this.getFailedNote(this.queryStats);
+    }
+
+    /**
+     * Describe how many result pages and playlists could not be read
+     * @param {Array<Object>} queryStats - Statistics of the queries of this run
+     * @returns {string} Note to append to a status message, empty if nothing failed
+     * @private
+     */
+    getFailedNote(queryStats) {
+        const pages = queryStats.reduce((sum, stats) => sum + stats.failedPages, 0);
+        const playlists = queryStats.reduce((sum, stats) => sum + stats.failedPlaylists, 0);
+        const parts = [
+            pages > 0 ? `${pages} result pages` : '',
+            playlists > 0 ? `${playlists} playlists` : ''
+        ].filter(part => part);
+        return parts.length > 0 ? ` ${parts.join(' and ')} could not be read and were skipped.` : '';
+    }
+
+    /**
+     * Describe how many emails the suppression list left out of this run
+     * @returns {string} Note to append to a status message, empty if none
+     * @private
+     */
+    getSuppressedNote() {
+        return this.suppressedCount > 0 ? ` (${this.suppressedCount} suppressed emails left out)` : '';
+    }
+
+    /**
+     * Describe how many playlists the filtering rules left out of this run
+     * @returns {string} Note to append to a status message, empty if none
+     * @private
+     */
+    getFilteredNote() {
+        return this.filteredOutCount > 0 ? ` (${this.filteredOutCount} playlists left out by filter rules)` : '';
     }
 
     /**
      * Handle stopped export
+     * The playlists found so far are kept as partial data, to export or resume from.
      * @private
      */
     async handleStoppedExport() {
         if (this.allPlaylistsWithEmails.length > 0) {
             storageManager.storePartialExportData(this.allPlaylistsWithEmails);
-            
-            const progressText = document.getElementById('progressText');
-            if (progressText) {
-                progressText.innerHTML = `Export stopped. ${this.allPlaylistsWithEmails.length} playlists with emails were found.<br>` +
-                    `<button onclick="window.exportManager.exportPartialData(); return false;" style="margin-top: 10px; padding: 8px 16px; background: #1db954; color: white; border: none; border-radius: 4px; cursor: pointer;">` +
-                    `Export ${this.allPlaylistsWithEmails.length} playlists</button>`;
-            }
-            
-            uiManager.disableButtons(false);
-            this.currentAbortController = null;
-            // Keep status section visible to show the export button
-        } else {
-            uiManager.cleanupAfterLoading("Export stopped. No playlists with emails found.");
         }
+        this.currentAbortController = null;
+
+        coreEvents.emit(CORE_EVENTS.EXPORT_STOPPED, {
+            position: this.getStopPosition(),
+            found: this.allPlaylistsWithEmails.length,
+            label: this.getResultLabel()
+        });
     }
 
     /**
@@ -191,7 +709,7 @@ class ExportManager {
         const partialData = storageManager.getPartialExportData();
         if (partialData && partialData.length > 0) {
             storageManager.exportData(partialData);
-            uiManager.updateProgressText(`Partial export completed. ${partialData.length} playlists exported.`);
+            coreEvents.emit(CORE_EVENTS.STATUS, { text: `Partial export completed. ${partialData.length} playlists exported.` });
             storageManager.clearPartialExportData();
         }
     }
@@ -202,7 +720,7 @@ class ExportManager {
     stopExport() {
         if (this.currentAbortController) {
             this.currentAbortController.abort();
-            console.log("Export stopped by user.");
+            console.warn("Export stopped by user.");
         }
     }
 
@@ -223,7 +741,13 @@ class ExportManager {
             totalToProcess: this.totalToProcess,
             processedCount: this.processedCount,
             totalEmailsFound: this.totalEmailsFound,
+            suppressedCount: this.suppressedCount,
+            filteredOutCount: this.filteredOutCount,
             playlistsWithEmails: this.allPlaylistsWithEmails.length,
+            currentOffset: this.currentOffset,
+            queries: this.queries,
+            queryIndex: this.queryIndex,
+            queryStats: this.queryStats,
             progressPercentage: this.totalToProcess > 0 ? (this.processedCount / this.totalToProcess) * 100 : 0,
             isInProgress: this.exportInProgress
         };
@@ -235,19 +759,19 @@ class ExportManager {
      */
     exportCurrentPage(playlists) {
         if (!Array.isArray(playlists) || playlists.length === 0) {
-            uiManager.showError('No playlists to export on current page');
+            coreEvents.emit(CORE_EVENTS.ERROR, { message: 'No playlists to export on current page' });
             return;
         }
 
-        const playlistsWithEmails = playlists.filter(playlist => playlist.emails.length > 0);
+        const playlistsWithEmails = playlists.filter(playlist => playlist.emails.length > 0 && ruleEngine.matches(playlist));
         
         if (playlistsWithEmails.length === 0) {
-            uiManager.showError('No playlists with emails found on current page');
+            coreEvents.emit(CORE_EVENTS.ERROR, { message: 'No playlists with emails found on current page' });
             return;
         }
 
         storageManager.exportData(playlistsWithEmails, `spotify-playlist-page-export-${Date.now()}.json`);
-        uiManager.updateProgressText(`Page export completed. ${playlistsWithEmails.length} playlists with emails exported.`);
+        coreEvents.emit(CORE_EVENTS.STATUS, { text: `Page export completed. ${playlistsWithEmails.length} playlists with emails exported.` });
     }
 
     /**
@@ -257,12 +781,58 @@ class ExportManager {
      */
     exportFiltered(playlists, filterType = 'filtered') {
         if (!Array.isArray(playlists) || playlists.length === 0) {
-            uiManager.showError('No playlists to export in filtered results');
+            coreEvents.emit(CORE_EVENTS.ERROR, { message: 'No playlists to export in filtered results' });
             return;
         }
 
         storageManager.exportData(playlists, `spotify-playlist-${filterType}-export-${Date.now()}.json`);
-        uiManager.updateProgressText(`${filterType} export completed. ${playlists.length} playlists exported.`);
+        coreEvents.emit(CORE_EVENTS.STATUS, { text: `${filterType} export completed. ${playlists.length} playlists exported.` });
+    }
+
+    /**
+     * Export curators (playlists grouped by owner)
+     * @param {Array} curators - Array of curator objects
+     */
+    exportCurators(curators) {
+        if (!Array.isArray(curators) || curators.length === 0) {
+            coreEvents.emit(CORE_EVENTS.ERROR, { message: 'No curators to export' });
+            return;
+        }
+
+        // Templates map playlist records, curators are exported as they are
+        storageManager.exportData(curators, `spotify-curators-export-${Date.now()}.json`, { template: null });
+        coreEvents.emit(CORE_EVENTS.STATUS, { text: `Curator export completed. ${curators.length} curators exported.` });
+    }
+
+    /**
+     * Export a change report between two runs of a query
+     * @param {Array<Object>} rows - Change report rows
+     * @param {string} query - Compared query
+     */
+    exportChangeReport(rows, query) {
+        if (!Array.isArray(rows) || rows.length === 0) {
+            coreEvents.emit(CORE_EVENTS.ERROR, { message: 'No changes to export' });
+            return;
+        }
+
+        // Templates map playlist records, change rows are exported as they are
+        storageManager.exportData(rows, `spotify-change-report-${Date.now()}.json`, { template: null, rowMode: 'playlist', query });
+        coreEvents.emit(CORE_EVENTS.STATUS, { text: `Change report exported. ${rows.length} changes for "${query}".` });
+    }
+
+    /**
+     * Export the new emails found by watchlist scans
+     * @param {Array<Object>} rows - New email rows ({ email, watchlist, playlistId, name, url, owner, followers })
+     */
+    exportWatchlistEmails(rows) {
+        if (!Array.isArray(rows) || rows.length === 0) {
+            coreEvents.emit(CORE_EVENTS.ERROR, { message: 'No new emails to export' });
+            return;
+        }
+
+        // Templates map playlist records, watchlist rows are exported as they are
+        storageManager.exportData(rows, `spotify-watchlist-emails-${Date.now()}.json`, { template: null, rowMode: 'playlist' });
+        coreEvents.emit(CORE_EVENTS.STATUS, { text: `Watchlist export completed. ${rows.length} new emails exported.` });
     }
 
     /**
@@ -271,8 +841,8 @@ class ExportManager {
      * @returns {Object} Time estimation
      */
     estimateExportTime(totalPlaylists) {
-        const avgTimePerPlaylist = 0.5; // seconds (rough estimate)
-        const totalEstimatedTime = Math.ceil(totalPlaylists * avgTimePerPlaylist);
+        const avgTimePerPlaylist = 0.5; // seconds per request (rough estimate)
+        const totalEstimatedTime = Math.ceil(totalPlaylists * avgTimePerPlaylist / workerPool.concurrency);
         
         return {
             totalPlaylists,
@@ -314,12 +884,25 @@ class ExportManager {
         this.totalToProcess = 0;
         this.processedCount = 0;
         this.totalEmailsFound = 0;
+        this.suppressedCount = 0;
         this.allPlaylistsWithEmails = [];
+        this.processedIds = new Set();
+        this.currentQuery = '';
+        this.queries = [];
+        this.queryIndex = 0;
+        this.queryStats = [];
+        this.resultsById = new Map();
+        this.querySeenIds = new Set();
+        this.sharding = true;
+        this.filterRules = { text: '', match: 'all' };
+        this.rules = null;
+        this.filteredOutCount = 0;
+        this.contactTypes = ['email'];
+        this.currentOffset = 0;
+        this.startedAt = null;
+        this.lastCheckpointAt = 0;
         storageManager.clearPartialExportData();
     }
 }
 
-export const exportManager = new ExportManager();
-
-// Make exportManager globally available for inline event handlers
-window.exportManager = exportManager;
\ No newline at end of file
+export const exportManager = new ExportManager();
\ No newline at end of file
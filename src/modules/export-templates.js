@@ -0,0 +1,301 @@
+/**
+ * Export templates module
+ * Maps playlist records to CRM-ready columns
+ */
+
+// Fields a template column can read from a playlist record (plus the export context)
+const TEMPLATE_FIELDS = [
+    'email', 'emails', 'id', 'name', 'owner', 'ownerId', 'ownerUrl', 'description',
+    'followers', 'trackCount', 'topArtists', 'genresByArtist', 'lastAddedAt', 'url', 'image', 'query',
+    'matchedQueries', 'contacts', 'emailObfuscated', 'emailSnippet', 'emailScore', 'emailSuggestion',
+    'emailDomainStatus'
+];
+
+// Fields read from the extraction details of the row's email
+const EMAIL_DETAIL_FIELDS = {
+    emailObfuscated: detail => detail.obfuscated,
+    emailSnippet: detail => detail.snippet,
+    emailScore: detail => detail.quality?.score,
+    emailSuggestion: detail => detail.quality?.suggestion,
+    emailDomainStatus: detail => detail.verification?.status
+};
+
+// How playlists with several emails are written:
+// row - one row per email, join - all emails in one cell, first - first email only,
+// columns - one column per email (Email 1, Email 2...)
+const EMAIL_MODES = ['row', 'join', 'first', 'columns'];
+
+const BUILT_IN_TEMPLATES = [
+    {
+        name: 'Mailchimp',
+        emailMode: 'row',
+        columns: [
+            { header: 'Email Address', field: 'email' },
+            { header: 'First Name', field: 'owner' },
+            { header: 'Playlist', field: 'name' },
+            { header: 'Playlist URL', field: 'url' },
+            { header: 'Tags', value: 'spotify-curator' }
+        ]
+    },
+    {
+        name: 'HubSpot',
+        emailMode: 'row',
+        columns: [
+            { header: 'Email', field: 'email' },
+            { header: 'First Name', field: 'owner' },
+            { header: 'Website URL', field: 'ownerUrl' },
+            { header: 'Playlist Name', field: 'name' },
+            { header: 'Followers', field: 'followers' },
+            { header: 'Lead Source', value: 'Spotify search: {query}' }
+        ]
+    },
+    {
+        name: 'Mail merge',
+        emailMode: 'first',
+        columns: [
+            { header: 'Name', field: 'owner' },
+            { header: 'Email', field: 'email' },
+            { header: 'Playlist', field: 'name' },
+            { header: 'Followers', field: 'followers' },
+            { header: 'Link', field: 'url' }
+        ]
+    }
+].map(template => ({ ...template, builtIn: true, emailSeparator: ', ', maxEmailColumns: 3 }));
+
+class ExportTemplates {
+    constructor() {
+        this.templates = new Map(BUILT_IN_TEMPLATES.map(template => [template.name, template]));
+    }
+
+    /**
+     * Get fields available to template columns
+     * @returns {Array<string>} Field names
+     */
+    getFields() {
+        return TEMPLATE_FIELDS;
+    }
+
+    /**
+     * Get supported email modes
+     * @returns {Array<string>} Email modes
+     */
+    getEmailModes() {
+        return EMAIL_MODES;
+    }
+
+    /**
+     * Get all templates, built-in ones first
+     * @returns {Array<Object>} Templates
+     */
+    getTemplates() {
+        return [...this.templates.values()];
+    }
+
+    /**
+     * Get a template by name
+     * @param {string} name - Template name
+     * @returns {Object|null} Template or null
+     */
+    getTemplate(name) {
+        return this.templates.get(name) || null;
+    }
+
+    /**
+     * Register user templates loaded from storage
+     * @param {Array<Object>} templates - Saved templates
+     */
+    setSavedTemplates(templates) {
+        for (const [name, template] of this.templates) {
+            if (!template.builtIn) this.templates.delete(name);
+        }
+        (templates || []).forEach(template => {
+            if (!this.templates.get(template.name)?.builtIn) {
+                this.templates.set(template.name, template);
+            }
+        });
+    }
+
+    /**
+     * Validate and register a user template
+     * @param {Object} template - Template to add or replace
+     * @returns {Object} Normalized template
+     */
+    addTemplate(template) {
+        const normalized = this.validateTemplate(template);
+        this.templates.set(normalized.name, normalized);
+        return normalized;
+    }
+
+    /**
+     * Remove a user template
+     * @param {string} name - Template name
+     * @returns {boolean} True if the template was removed
+     */
+    removeTemplate(name) {
+        const template = this.templates.get(name);
+        if (!template || template.builtIn) {
+            return false;
+        }
+        return this.templates.delete(name);
+    }
+
+    /**
+     * Validate a template, throwing on the first problem found
+     * @param {Object} template - Template to validate
+     * @returns {Object} Normalized template
+     */
+    validateTemplate(template) {
+        const name = (template.name || '').trim();
+        if (!name) {
+            throw new Error('Please give the template a name');
+        }
+        if (this.templates.get(name)?.builtIn) {
+            throw new Error(`"${name}" is a built-in template, please choose another name`);
+        }
+        if (!Array.isArray(template.columns) || template.columns.length === 0) {
+            throw new Error('A template needs at least one column');
+        }
+        if (!EMAIL_MODES.includes(template.emailMode)) {
+            throw new Error(`Unknown email mode: ${template.emailMode}`);
+        }
+
+        template.columns.forEach(column => {
+            if (!column.header) {
+                throw new Error('Every column needs a header');
+            }
+            if (column.value === undefined && !TEMPLATE_FIELDS.includes(column.field)) {
+                throw new Error(`Unknown field "${column.field}" for column "${column.header}"`);
+            }
+        });
+
+        return {
+            name,
+            columns: template.columns,
+            emailMode: template.emailMode,
+            emailSeparator: template.emailSeparator ?? ', ',
+            maxEmailColumns: template.maxEmailColumns || 3
+        };
+    }
+
+    /**
+     * Parse column definitions written one per line
+     * "Header = field" reads a record field, "Header = \"text\"" writes a static value.
+     * @param {string} text - Column definitions
+     * @returns {Array<Object>} Columns
+     */
+    parseColumns(text) {
+        return (text || '')
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+            .map(line => {
+                const separatorIndex = line.indexOf('=');
+                if (separatorIndex <= 0) {
+                    throw new Error(`Invalid column definition: "${line}" (expected "Header = field")`);
+                }
+
+                const header = line.slice(0, separatorIndex).trim();
+                const source = line.slice(separatorIndex + 1).trim();
+                const quoted = source.match(/^"(.*)"$/);
+
+                return quoted ? { header, value: quoted[1] } : { header, field: source };
+            });
+    }
+
+    /**
+     * Format columns back to their text definition
+     * @param {Array<Object>} columns - Columns
+     * @returns {string} Column definitions, one per line
+     */
+    formatColumns(columns) {
+        return (columns || [])
+            .map(column => column.value !== undefined
+                ? `${column.header} = "${column.value}"`
+                : `${column.header} = ${column.field}`)
+            .join('\n');
+    }
+
+    /**
+     * Map playlist records to template rows
+     * @param {Object} template - Template to apply
+     * @param {Array} records - Playlist records
+     * @param {Object} context - Export context
+     * @param {string} context.query - Search query of the export
+     * @returns {Array<Object>} Rows with template headers as keys, in column order
+     */
+    apply(template, records, context = {}) {
+        const rows = [];
+
+        (records || []).forEach(record => {
+            const emails = record.emails || [];
+
+            if (template.emailMode === 'row') {
+                emails.forEach(email => rows.push(this.buildRow(template, record, email, context)));
+            } else {
+                rows.push(this.buildRow(template, record, emails[0] || '', context));
+            }
+        });
+
+        return rows;
+    }
+
+    /**
+     * Build a single output row
+     * @param {Object} template - Template to apply
+     * @param {Object} record - Playlist record
+     * @param {string} email - Email for this row
+     * @param {Object} context - Export context
+     * @returns {Object} Row object
+     * @private
+     */
+    buildRow(template, record, email, context) {
+        const row = {};
+        const emails = record.emails || [];
+
+        template.columns.forEach(column => {
+            if (column.value !== undefined) {
+                row[column.header] = this.fillPlaceholders(column.value, context);
+                return;
+            }
+
+            if (column.field === 'email' && template.emailMode === 'columns') {
+                for (let i = 0; i < template.maxEmailColumns; i++) {
+                    row[`${column.header} ${i + 1}`] = emails[i] || '';
+                }
+                return;
+            }
+
+            let value;
+            if (column.field === 'email') {
+                value = template.emailMode === 'join' ? emails.join(template.emailSeparator) : email;
+            } else if (column.field === 'emails') {
+                value = emails.join(template.emailSeparator);
+            } else if (EMAIL_DETAIL_FIELDS[column.field]) {
+                // Metadata of this row's email, as extracted from the description
+                const detail = (record.contacts || []).find(contact => contact.type === 'email' && contact.value === email);
+                value = detail ? EMAIL_DETAIL_FIELDS[column.field](detail) : '';
+            } else if (column.field === 'query') {
+                value = context.query || '';
+            } else {
+                value = record[column.field];
+            }
+            row[column.header] = value ?? '';
+        });
+
+        return row;
+    }
+
+    /**
+     * Replace {query} and {date} placeholders in static values
+     * @param {string} value - Static value
+     * @param {Object} context - Export context
+     * @returns {string} Value with placeholders filled
+     */
+    fillPlaceholders(value, context) {
+        return String(value)
+            .replace(/\{query\}/g, context.query || '')
+            .replace(/\{date\}/g, new Date().toISOString().slice(0, 10));
+    }
+}
+
+export const exportTemplates = new ExportTemplates();
@@ -0,0 +1,165 @@
+/**
+ * IndexedDB module
+ * Thin promise wrapper around the application's IndexedDB database
+ */
+
+const DB_NAME = 'spotify-playlist-scraper';
+const DB_VERSION = 8;
+
+// Object stores created on upgrade, with their key paths
+const STORES = {
+    exportCheckpoints: { keyPath: 'id' },
+    exportTemplates: { keyPath: 'name' },
+    playlistCache: { keyPath: 'id' },
+    contactLedger: { keyPath: 'email' },
+    suppressionList: { keyPath: 'value' },
+    searchPresets: { keyPath: 'name' },
+    playlistSnapshots: { keyPath: 'id' },
+    queryRuns: { keyPath: 'query' },
+    watchlists: { keyPath: 'name' }
+};
+
+class IdbStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * Check if IndexedDB is available in the current environment
+     * @returns {boolean} True if IndexedDB can be used
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open the database, creating missing object stores on upgrade
+     * @returns {Promise<IDBDatabase>} Opened database
+     */
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        if (!this.isAvailable()) {
+            return Promise.reject(new Error('IndexedDB is not available in this environment'));
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                for (const [storeName, options] of Object.entries(STORES)) {
+                    if (!db.objectStoreNames.contains(storeName)) {
+                        db.createObjectStore(storeName, options);
+                    }
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request inside a transaction
+     * @param {string} storeName - Object store name
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} operation - Receives the object store and returns an IDBRequest
+     * @returns {Promise<*>} Result of the request once the transaction completes
+     */
+    async run(storeName, mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Get a record by key
+     * @param {string} storeName - Object store name
+     * @param {*} key - Record key
+     * @returns {Promise<Object|undefined>} Stored record
+     */
+    get(storeName, key) {
+        return this.run(storeName, 'readonly', store => store.get(key));
+    }
+
+    /**
+     * Insert or replace a record
+     * @param {string} storeName - Object store name
+     * @param {Object} value - Record to store
+     * @returns {Promise<*>} Key of the stored record
+     */
+    put(storeName, value) {
+        return this.run(storeName, 'readwrite', store => store.put(value));
+    }
+
+    /**
+     * Insert or replace several records in a single transaction
+     * @param {string} storeName - Object store name
+     * @param {Array<Object>} values - Records to store
+     * @returns {Promise<void>}
+     */
+    putAll(storeName, values) {
+        return this.run(storeName, 'readwrite', store => {
+            values.forEach(value => store.put(value));
+            return null;
+        });
+    }
+
+    /**
+     * Delete several records in a single transaction
+     * @param {string} storeName - Object store name
+     * @param {Array} keys - Record keys
+     * @returns {Promise<void>}
+     */
+    deleteAll(storeName, keys) {
+        return this.run(storeName, 'readwrite', store => {
+            keys.forEach(key => store.delete(key));
+            return null;
+        });
+    }
+
+    /**
+     * Delete a record by key
+     * @param {string} storeName - Object store name
+     * @param {*} key - Record key
+     * @returns {Promise<void>}
+     */
+    delete(storeName, key) {
+        return this.run(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Get all records of a store
+     * @param {string} storeName - Object store name
+     * @returns {Promise<Array>} All stored records
+     */
+    getAll(storeName) {
+        return this.run(storeName, 'readonly', store => store.getAll());
+    }
+
+    /**
+     * Remove all records of a store
+     * @param {string} storeName - Object store name
+     * @returns {Promise<void>}
+     */
+    clear(storeName) {
+        return this.run(storeName, 'readwrite', store => store.clear());
+    }
+}
+
+export const idbStore = new IdbStore();
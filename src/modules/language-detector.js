@@ -0,0 +1,103 @@
+/**
+ * Language detector module
+ * Guesses the language of short texts such as playlist names and descriptions
+ */
+
+// Scripts used by a single language (or close enough for filtering)
+const SCRIPT_LANGUAGES = [
+    { language: 'ko', regex: /[\uAC00-\uD7AF\u1100-\u11FF]/g },
+    { language: 'ja', regex: /[\u3040-\u30FF]/g },
+    { language: 'zh', regex: /[\u4E00-\u9FFF]/g },
+    { language: 'ru', regex: /[\u0400-\u04FF]/g },
+    { language: 'ar', regex: /[\u0600-\u06FF]/g },
+    { language: 'he', regex: /[\u0590-\u05FF]/g },
+    { language: 'el', regex: /[\u0370-\u03FF]/g },
+    { language: 'th', regex: /[\u0E00-\u0E7F]/g },
+    { language: 'hi', regex: /[\u0900-\u097F]/g }
+];
+
+// Frequent short words of languages written in the Latin script
+const STOPWORDS = {
+    en: ['the', 'and', 'for', 'you', 'with', 'this', 'your', 'are', 'songs', 'music', 'new', 'best', 'of', 'to', 'my', 'all', 'is'],
+    es: ['el', 'la', 'los', 'las', 'de', 'del', 'que', 'y', 'en', 'con', 'para', 'por', 'una', 'mejores', 'canciones', 'música'],
+    pt: ['o', 'os', 'as', 'do', 'da', 'dos', 'das', 'que', 'e', 'em', 'com', 'para', 'uma', 'melhores', 'músicas', 'não'],
+    fr: ['le', 'les', 'des', 'du', 'et', 'en', 'pour', 'avec', 'une', 'sur', 'dans', 'meilleurs', 'chansons', 'musique'],
+    de: ['der', 'die', 'das', 'und', 'mit', 'für', 'von', 'ist', 'ein', 'eine', 'den', 'nicht', 'beste', 'lieder', 'musik'],
+    it: ['il', 'lo', 'gli', 'di', 'che', 'e', 'per', 'con', 'una', 'della', 'delle', 'migliori', 'canzoni', 'musica'],
+    nl: ['de', 'het', 'een', 'en', 'van', 'voor', 'met', 'op', 'niet', 'beste', 'nummers', 'muziek'],
+    sv: ['och', 'att', 'det', 'som', 'för', 'med', 'på', 'är', 'en', 'bästa', 'låtar', 'musik']
+};
+
+const MIN_SCRIPT_CHARS = 2;
+const MIN_STOPWORD_HITS = 2;
+
+class LanguageDetector {
+    constructor() {
+        this.stopwords = new Map(Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words)]));
+    }
+
+    /**
+     * Get the languages the detector can recognize
+     * @returns {Array<string>} ISO 639-1 codes
+     */
+    getLanguages() {
+        return [...SCRIPT_LANGUAGES.map(entry => entry.language), ...this.stopwords.keys()];
+    }
+
+    /**
+     * Guess the language of a text
+     * Non-Latin scripts decide on their own; Latin-script texts need a few frequent words
+     * of the language, so short or keyword-only texts stay undecided.
+     * @param {string} text - Text to analyze
+     * @returns {string|null} ISO 639-1 code, or null if the language could not be told
+     */
+    detect(text) {
+        const value = String(text || '');
+        if (!value.trim()) return null;
+
+        let best = null;
+        let bestCount = 0;
+        SCRIPT_LANGUAGES.forEach(({ language, regex }) => {
+            const count = (value.match(regex) || []).length;
+            if (count > bestCount) {
+                best = language;
+                bestCount = count;
+            }
+        });
+        // Japanese mixes kana with Han characters
+        if (best === 'zh' && (value.match(/[\u3040-\u30FF]/g) || []).length > 0) {
+            best = 'ja';
+        }
+        if (bestCount >= MIN_SCRIPT_CHARS) {
+            return best;
+        }
+
+        return this.detectFromWords(value);
+    }
+
+    /**
+     * Guess the language of a Latin-script text from its frequent words
+     * @param {string} text - Text to analyze
+     * @returns {string|null} ISO 639-1 code, or null if no language stands out
+     * @private
+     */
+    detectFromWords(text) {
+        const words = text.toLowerCase().match(/[\p{L}']+/gu) || [];
+        const scores = [];
+
+        this.stopwords.forEach((stopwords, language) => {
+            const hits = words.filter(word => stopwords.has(word)).length;
+            if (hits >= MIN_STOPWORD_HITS) {
+                scores.push({ language, hits });
+            }
+        });
+        if (scores.length === 0) return null;
+
+        scores.sort((a, b) => b.hits - a.hits);
+        // A tie means the text doesn't lean clearly enough
+        if (scores.length > 1 && scores[0].hits === scores[1].hits) return null;
+        return scores[0].language;
+    }
+}
+
+export const languageDetector = new LanguageDetector();
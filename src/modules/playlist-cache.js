@@ -0,0 +1,304 @@
+/**
+ * Playlist cache module
+ * In-memory playlist cache persisted to IndexedDB, with TTL and LRU eviction
+ */
+
+import { idbStore } from './idb-store.js';
+
+const STORE_NAME = 'playlistCache';
+
+class PlaylistCache {
+    constructor() {
+        this.entries = new Map(); // playlistId -> { id, data, fetchedAt, lastAccessedAt, size }
+        this.totalBytes = 0;
+        this.ttlMs = 24 * 60 * 60 * 1000;
+        this.maxEntries = 20000;
+        this.maxBytes = 50 * 1024 * 1024;
+        this.dirtyIds = new Set(); // entries whose access time still needs persisting
+        this.flushTimer = null;
+        this.flushDelayMs = 5000;
+        this.loaded = false;
+    }
+
+    /**
+     * Update cache limits
+     * @param {Object} config - Cache configuration
+     * @param {number} config.ttlMs - Time after which an entry is stale
+     * @param {number} config.maxEntries - Maximum number of entries
+     * @param {number} config.maxBytes - Maximum serialized size of all entries
+     */
+    configure({ ttlMs, maxEntries, maxBytes } = {}) {
+        if (ttlMs !== undefined) this.ttlMs = ttlMs;
+        if (maxEntries !== undefined) this.maxEntries = maxEntries;
+        if (maxBytes !== undefined) this.maxBytes = maxBytes;
+        this.evict();
+    }
+
+    /**
+     * Check if entries can be persisted
+     * @returns {boolean} True if IndexedDB is available
+     */
+    isPersistent() {
+        return idbStore.isAvailable();
+    }
+
+    /**
+     * Load persisted entries into memory
+     * @returns {Promise<number>} Number of entries loaded
+     */
+    async load() {
+        if (this.loaded || !this.isPersistent()) {
+            this.loaded = true;
+            return this.entries.size;
+        }
+
+        try {
+            const stored = await idbStore.getAll(STORE_NAME);
+            stored.forEach(entry => {
+                // Keep entries fetched during this session over older stored copies
+                if (!this.entries.has(entry.id)) {
+                    this.entries.set(entry.id, entry);
+                    this.totalBytes += entry.size || 0;
+                }
+            });
+            this.evict();
+        } catch (error) {
+            console.error('Failed to load playlist cache:', error);
+        }
+
+        this.loaded = true;
+        return this.entries.size;
+    }
+
+    /**
+     * Get a cache entry with its timestamps, marking it as recently used
+     * @param {string} playlistId - Spotify playlist ID
+     * @returns {Object|null} Entry ({ data, fetchedAt, lastAccessedAt, size }) or null
+     */
+    getEntry(playlistId) {
+        const entry = this.entries.get(playlistId);
+        if (!entry) return null;
+
+        entry.lastAccessedAt = Date.now();
+        this.markDirty(playlistId);
+        return entry;
+    }
+
+    /**
+     * Check if an entry is older than the TTL
+     * @param {Object} entry - Cache entry
+     * @returns {boolean} True if the entry should be revalidated
+     */
+    isStale(entry) {
+        return Date.now() - entry.fetchedAt > this.ttlMs;
+    }
+
+    /**
+     * Get cached playlist data
+     * @param {string} playlistId - Spotify playlist ID
+     * @returns {Object|undefined} Playlist data
+     */
+    get(playlistId) {
+        return this.getEntry(playlistId)?.data;
+    }
+
+    /**
+     * Check if a playlist is cached
+     * @param {string} playlistId - Spotify playlist ID
+     * @returns {boolean} True if cached
+     */
+    has(playlistId) {
+        return this.entries.has(playlistId);
+    }
+
+    /**
+     * Cache playlist data and persist it
+     * @param {string} playlistId - Spotify playlist ID
+     * @param {Object} data - Playlist data
+     */
+    set(playlistId, data) {
+        const now = Date.now();
+        const previous = this.entries.get(playlistId);
+        const entry = {
+            id: playlistId,
+            data,
+            fetchedAt: now,
+            lastAccessedAt: now,
+            size: JSON.stringify(data).length
+        };
+
+        this.totalBytes += entry.size - (previous?.size || 0);
+        this.entries.set(playlistId, entry);
+        this.dirtyIds.delete(playlistId);
+        this.persist([entry]);
+        this.evict();
+    }
+
+    /**
+     * Remove a playlist from the cache
+     * @param {string} playlistId - Spotify playlist ID
+     * @returns {boolean} True if an entry was removed
+     */
+    delete(playlistId) {
+        const entry = this.entries.get(playlistId);
+        if (!entry) return false;
+
+        this.entries.delete(playlistId);
+        this.totalBytes -= entry.size || 0;
+        this.dirtyIds.delete(playlistId);
+        this.removePersisted([playlistId]);
+        return true;
+    }
+
+    /**
+     * Remove every entry, in memory and on disk
+     */
+    clear() {
+        this.entries.clear();
+        this.dirtyIds.clear();
+        this.totalBytes = 0;
+
+        if (this.isPersistent()) {
+            idbStore.clear(STORE_NAME).catch(error => {
+                console.error('Failed to clear playlist cache:', error);
+            });
+        }
+    }
+
+    /**
+     * Iterate cached playlist data
+     * @returns {Iterator<Object>} Playlist data
+     */
+    *values() {
+        for (const entry of this.entries.values()) {
+            yield entry.data;
+        }
+    }
+
+    /**
+     * Number of cached playlists
+     * @returns {number} Entry count
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Evict least recently used entries until the cache fits its limits
+     * @returns {number} Number of evicted entries
+     */
+    evict() {
+        if (this.entries.size <= this.maxEntries && this.totalBytes <= this.maxBytes) {
+            return 0;
+        }
+
+        const byLastAccess = [...this.entries.values()].sort((a, b) => a.lastAccessedAt - b.lastAccessedAt);
+        const evictedIds = [];
+
+        for (const entry of byLastAccess) {
+            if (this.entries.size <= this.maxEntries && this.totalBytes <= this.maxBytes) break;
+            this.entries.delete(entry.id);
+            this.dirtyIds.delete(entry.id);
+            this.totalBytes -= entry.size || 0;
+            evictedIds.push(entry.id);
+        }
+
+        this.removePersisted(evictedIds);
+        return evictedIds.length;
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {Promise<Object>} Entry count, cache size and origin storage usage
+     */
+    async getStats() {
+        let storageUsage = null;
+        let storageQuota = null;
+
+        if (typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+            try {
+                const estimate = await navigator.storage.estimate();
+                storageUsage = estimate.usage ?? null;
+                storageQuota = estimate.quota ?? null;
+            } catch (error) {
+                console.error('Failed to estimate storage usage:', error);
+            }
+        }
+
+        const now = Date.now();
+        return {
+            playlistCount: this.entries.size,
+            staleCount: [...this.entries.values()].filter(entry => now - entry.fetchedAt > this.ttlMs).length,
+            cacheBytes: this.totalBytes,
+            maxBytes: this.maxBytes,
+            maxEntries: this.maxEntries,
+            ttlMs: this.ttlMs,
+            persistent: this.isPersistent(),
+            storageUsage,
+            storageQuota
+        };
+    }
+
+    /**
+     * Queue an access-time update for persistence
+     * @param {string} playlistId - Spotify playlist ID
+     * @private
+     */
+    markDirty(playlistId) {
+        if (!this.isPersistent()) return;
+
+        this.dirtyIds.add(playlistId);
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => {
+                this.flushTimer = null;
+                this.flush();
+            }, this.flushDelayMs);
+        }
+    }
+
+    /**
+     * Persist queued access-time updates
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        const entries = [...this.dirtyIds]
+            .map(playlistId => this.entries.get(playlistId))
+            .filter(entry => entry);
+        this.dirtyIds.clear();
+        await this.persist(entries);
+    }
+
+    /**
+     * Write entries to IndexedDB
+     * @param {Array<Object>} entries - Cache entries
+     * @returns {Promise<void>}
+     * @private
+     */
+    async persist(entries) {
+        if (!this.isPersistent() || entries.length === 0) return;
+
+        try {
+            await idbStore.putAll(STORE_NAME, entries);
+        } catch (error) {
+            console.error('Failed to persist playlist cache:', error);
+        }
+    }
+
+    /**
+     * Delete entries from IndexedDB
+     * @param {Array<string>} playlistIds - Spotify playlist IDs
+     * @returns {Promise<void>}
+     * @private
+     */
+    async removePersisted(playlistIds) {
+        if (!this.isPersistent() || playlistIds.length === 0) return;
+
+        try {
+            await idbStore.deleteAll(STORE_NAME, playlistIds);
+        } catch (error) {
+            console.error('Failed to remove cached playlists:', error);
+        }
+    }
+}
+
+export const playlistCache = new PlaylistCache();
@@ -0,0 +1,414 @@
+/**
+ * Playlist snapshots module
+ * Keeps dated snapshots of fetched playlists and of the results of each export run,
+ * so re-running a query can tell what changed since the previous run
+ */
+
+import { idbStore } from './idb-store.js';
+
+const PLAYLIST_STORE = 'playlistSnapshots';
+const RUN_STORE = 'queryRuns';
+
+const MAX_SNAPSHOTS_PER_PLAYLIST = 10;
+const MAX_RUNS_PER_QUERY = 10;
+
+// Kinds of rows in a change report
+const CHANGE_TYPES = ['new', 'removed', 'not_returned', 'followers', 'description', 'emails_added', 'emails_removed', 'tracks'];
+
+class PlaylistSnapshots {
+    constructor() {
+        this.playlists = new Map(); // playlistId -> { id, name, url, owner, snapshots }
+        this.runs = new Map(); // query -> { query, runs: [{ startedAt, finishedAt, market, coverage, failedPages, playlistIds }] }
+        this.dirtyIds = new Set(); // playlist histories still to be persisted
+        this.flushTimer = null;
+        this.flushDelayMs = 2000;
+        this.loaded = false;
+    }
+
+    /**
+     * Get the kinds of change a report can hold
+     * @returns {Array<string>} Change types
+     */
+    getChangeTypes() {
+        return CHANGE_TYPES;
+    }
+
+    /**
+     * Check if snapshots can be persisted
+     * @returns {boolean} True if IndexedDB is available
+     */
+    isPersistent() {
+        return idbStore.isAvailable();
+    }
+
+    /**
+     * Load persisted snapshots and runs into memory
+     * @returns {Promise<number>} Number of playlists with snapshots
+     */
+    async load() {
+        if (this.loaded || !this.isPersistent()) {
+            this.loaded = true;
+            return this.playlists.size;
+        }
+
+        try {
+            const [histories, runs] = await Promise.all([
+                idbStore.getAll(PLAYLIST_STORE),
+                idbStore.getAll(RUN_STORE)
+            ]);
+            histories.forEach(history => {
+                const current = this.playlists.get(history.id);
+                // Snapshots taken while loading come after the stored ones
+                this.playlists.set(history.id, current
+                    ? { ...current, snapshots: this.trimSnapshots([...history.snapshots, ...current.snapshots]) }
+                    : history);
+            });
+            runs.forEach(entry => {
+                if (!this.runs.has(entry.query)) this.runs.set(entry.query, entry);
+            });
+        } catch (error) {
+            console.error('Failed to load playlist snapshots:', error);
+        }
+
+        this.loaded = true;
+        return this.playlists.size;
+    }
+
+    /**
+     * Store a dated snapshot of a fetched playlist
+     * A snapshot identical to the previous one only moves its check date forward.
+     * @param {Object} playlist - Playlist record
+     * @param {number} takenAt - Fetch timestamp
+     */
+    record(playlist, takenAt = Date.now()) {
+        if (!playlist || !playlist.id) return;
+
+        const history = this.playlists.get(playlist.id) || { id: playlist.id, snapshots: [] };
+        history.name = playlist.name;
+        history.url = playlist.url;
+        history.owner = playlist.owner;
+
+        const snapshot = this.createSnapshot(playlist, takenAt);
+        const last = history.snapshots[history.snapshots.length - 1];
+        if (last && this.isSameSnapshot(last, snapshot)) {
+            last.checkedAt = takenAt;
+        } else {
+            history.snapshots = this.trimSnapshots([...history.snapshots, snapshot]);
+        }
+
+        this.playlists.set(playlist.id, history);
+        this.markDirty(playlist.id);
+    }
+
+    /**
+     * Get the snapshots of a playlist, oldest first
+     * @param {string} playlistId - Playlist ID
+     * @returns {Array<Object>} Snapshots
+     */
+    getSnapshots(playlistId) {
+        return this.playlists.get(playlistId)?.snapshots || [];
+    }
+
+    /**
+     * Store the playlists an export run returned for a query
+     * @param {string} query - Search query
+     * @param {Array<string>} playlistIds - IDs of every playlist the query returned
+     * @param {Object} details - Run details ({ startedAt, finishedAt, market, coverage, failedPages })
+     * @returns {Promise<Object>} Stored run
+     */
+    async recordRun(query, playlistIds, { startedAt = Date.now(), finishedAt = Date.now(), market = '', coverage = 1, failedPages = 0 } = {}) {
+        const entry = this.runs.get(query) || { query, runs: [] };
+        const run = { startedAt, finishedAt, market, coverage, failedPages, playlistIds: [...new Set(playlistIds)] };
+
+        entry.runs = [...entry.runs, run].slice(-MAX_RUNS_PER_QUERY);
+        this.runs.set(query, entry);
+
+        if (this.isPersistent()) {
+            try {
+                await this.flush();
+                await idbStore.put(RUN_STORE, entry);
+            } catch (error) {
+                console.error('Failed to persist query run:', error);
+            }
+        }
+        return run;
+    }
+
+    /**
+     * Get the stored runs of a query, oldest first
+     * @param {string} query - Search query
+     * @returns {Array<Object>} Runs
+     */
+    getRuns(query) {
+        return this.runs.get(query)?.runs || [];
+    }
+
+    /**
+     * Get the queries that were exported at least twice, most recent first
+     * @returns {Array<string>} Queries that can be compared
+     */
+    getComparableQueries() {
+        return [...this.runs.values()]
+            .filter(entry => entry.runs.length >= 2)
+            .sort((a, b) => b.runs[b.runs.length - 1].finishedAt - a.runs[a.runs.length - 1].finishedAt)
+            .map(entry => entry.query);
+    }
+
+    /**
+     * Check if a run reached every result its query reported
+     * Runs stored before coverage was recorded count as complete.
+     * @param {Object} run - Stored run
+     * @returns {boolean} True without failed pages and at full coverage
+     */
+    isCompleteRun(run) {
+        return (run.failedPages ?? 0) === 0 && (run.coverage ?? 1) >= 1;
+    }
+
+    /**
+     * Compare the last two runs of a query
+     * Playlists missing from the latest run are only reported as removed when both runs were complete:
+     * otherwise they may just not have been reached, and are marked unverified.
+     * @param {string} query - Search query
+     * @returns {Object|null} Diff ({ query, from, to, complete, added, removed, changed, unchanged }), null without two runs
+     */
+    diffQuery(query) {
+        const runs = this.getRuns(query);
+        if (runs.length < 2) return null;
+
+        const previous = runs[runs.length - 2];
+        const latest = runs[runs.length - 1];
+        const previousIds = new Set(previous.playlistIds);
+        const latestIds = new Set(latest.playlistIds);
+
+        const added = latest.playlistIds
+            .filter(id => !previousIds.has(id))
+            .map(id => this.describePlaylist(id, this.getSnapshotAt(id, latest.finishedAt)));
+        const complete = this.isCompleteRun(previous) && this.isCompleteRun(latest);
+        const removed = previous.playlistIds
+            .filter(id => !latestIds.has(id))
+            .map(id => ({ ...this.describePlaylist(id, this.getSnapshotAt(id, previous.finishedAt)), unverified: !complete }));
+
+        const changed = [];
+        let unchanged = 0;
+        latest.playlistIds.filter(id => previousIds.has(id)).forEach(id => {
+            const change = this.diffSnapshots(id, this.getSnapshotAt(id, previous.finishedAt), this.getSnapshotAt(id, latest.finishedAt));
+            if (change) {
+                changed.push(change);
+            } else {
+                unchanged++;
+            }
+        });
+
+        return { query, from: previous.finishedAt, to: latest.finishedAt, complete, added, removed, changed, unchanged };
+    }
+
+    /**
+     * Summarize a diff in counts
+     * @param {Object|null} diff - Query diff
+     * @returns {Object|null} Counts ({ added, removed, notReturned, changed, unchanged }), notReturned being unverified removals
+     */
+    summarize(diff) {
+        if (!diff) return null;
+        return {
+            added: diff.added.length,
+            removed: diff.removed.filter(playlist => !playlist.unverified).length,
+            notReturned: diff.removed.filter(playlist => playlist.unverified).length,
+            changed: diff.changed.length,
+            unchanged: diff.unchanged
+        };
+    }
+
+    /**
+     * Flatten a diff into change report rows, one per change
+     * @param {Object} diff - Query diff
+     * @returns {Array<Object>} Rows ({ query, change, playlistId, name, url, owner, before, after, delta })
+     */
+    toReport(diff) {
+        if (!diff) return [];
+
+        const row = (change, playlist, before = '', after = '', delta = '') => ({
+            query: diff.query,
+            change,
+            playlistId: playlist.id,
+            name: playlist.name,
+            url: playlist.url,
+            owner: playlist.owner,
+            before,
+            after,
+            delta
+        });
+
+        const rows = [
+            ...diff.added.map(playlist => row('new', playlist, '', playlist.followers)),
+            ...diff.removed.map(playlist => row(playlist.unverified ? 'not_returned' : 'removed', playlist, playlist.followers, ''))
+        ];
+        diff.changed.forEach(playlist => {
+            if (playlist.followerDelta !== 0) {
+                rows.push(row('followers', playlist, playlist.followersBefore, playlist.followers, playlist.followerDelta));
+            }
+            if (playlist.descriptionChanged) {
+                rows.push(row('description', playlist, playlist.descriptionBefore, playlist.description));
+            }
+            if (playlist.emailsAdded.length > 0) {
+                rows.push(row('emails_added', playlist, '', playlist.emailsAdded.join(', ')));
+            }
+            if (playlist.emailsRemoved.length > 0) {
+                rows.push(row('emails_removed', playlist, playlist.emailsRemoved.join(', '), ''));
+            }
+            if (playlist.tracksChanged) {
+                rows.push(row('tracks', playlist, playlist.trackCountBefore, playlist.trackCount, playlist.trackCount - playlist.trackCountBefore));
+            }
+        });
+        return rows;
+    }
+
+    /**
+     * Get the snapshot of a playlist as it was at a given time
+     * @param {string} playlistId - Playlist ID
+     * @param {number} at - Timestamp
+     * @returns {Object|null} Latest snapshot taken at or before the time, or the first one taken after it
+     */
+    getSnapshotAt(playlistId, at) {
+        const snapshots = this.getSnapshots(playlistId);
+        const before = snapshots.filter(snapshot => snapshot.takenAt <= at);
+        return before.length > 0 ? before[before.length - 1] : snapshots[0] || null;
+    }
+
+    /**
+     * Describe a playlist for a diff
+     * @param {string} playlistId - Playlist ID
+     * @param {Object|null} snapshot - Snapshot to describe it with
+     * @returns {Object} Playlist summary
+     * @private
+     */
+    describePlaylist(playlistId, snapshot) {
+        const history = this.playlists.get(playlistId);
+        return {
+            id: playlistId,
+            name: snapshot?.name || history?.name || playlistId,
+            url: history?.url || `https://open.spotify.com/playlist/${playlistId}`,
+            owner: history?.owner || '',
+            followers: snapshot?.followers ?? null,
+            trackCount: snapshot?.trackCount ?? null,
+            description: snapshot?.description || '',
+            emails: snapshot?.emails || []
+        };
+    }
+
+    /**
+     * Compare two snapshots of a playlist
+     * @param {string} playlistId - Playlist ID
+     * @param {Object|null} before - Older snapshot
+     * @param {Object|null} after - Newer snapshot
+     * @returns {Object|null} Change, or null if nothing tracked changed
+     * @private
+     */
+    diffSnapshots(playlistId, before, after) {
+        if (!before || !after || before === after) return null;
+
+        const emailsAdded = after.emails.filter(email => !before.emails.includes(email));
+        const emailsRemoved = before.emails.filter(email => !after.emails.includes(email));
+        const followerDelta = (after.followers || 0) - (before.followers || 0);
+        const descriptionChanged = before.description !== after.description;
+        const tracksChanged = Boolean(before.snapshotId && after.snapshotId && before.snapshotId !== after.snapshotId);
+
+        if (followerDelta === 0 && !descriptionChanged && !tracksChanged && emailsAdded.length === 0 && emailsRemoved.length === 0) {
+            return null;
+        }
+
+        return {
+            ...this.describePlaylist(playlistId, after),
+            followersBefore: before.followers,
+            followerDelta,
+            descriptionBefore: before.description,
+            descriptionChanged,
+            emailsAdded,
+            emailsRemoved,
+            trackCountBefore: before.trackCount,
+            tracksChanged
+        };
+    }
+
+    /**
+     * Create a snapshot of the tracked fields of a playlist
+     * @param {Object} playlist - Playlist record
+     * @param {number} takenAt - Fetch timestamp
+     * @returns {Object} Snapshot
+     * @private
+     */
+    createSnapshot(playlist, takenAt) {
+        return {
+            takenAt,
+            checkedAt: takenAt,
+            snapshotId: playlist.snapshotId || null,
+            name: playlist.name,
+            followers: playlist.followers,
+            trackCount: playlist.trackCount,
+            description: playlist.description || '',
+            emails: [...(playlist.emails || [])]
+        };
+    }
+
+    /**
+     * Check if two snapshots hold the same tracked values
+     * @param {Object} a - Snapshot
+     * @param {Object} b - Snapshot
+     * @returns {boolean} True if nothing tracked differs
+     * @private
+     */
+    isSameSnapshot(a, b) {
+        return a.snapshotId === b.snapshotId &&
+            a.name === b.name &&
+            a.followers === b.followers &&
+            a.trackCount === b.trackCount &&
+            a.description === b.description &&
+            a.emails.join('\n') === b.emails.join('\n');
+    }
+
+    /**
+     * Keep the most recent snapshots of a playlist
+     * @param {Array<Object>} snapshots - Snapshots, oldest first
+     * @returns {Array<Object>} Trimmed snapshots
+     * @private
+     */
+    trimSnapshots(snapshots) {
+        return snapshots.slice(-MAX_SNAPSHOTS_PER_PLAYLIST);
+    }
+
+    /**
+     * Queue a playlist history for persistence
+     * @param {string} playlistId - Playlist ID
+     * @private
+     */
+    markDirty(playlistId) {
+        if (!this.isPersistent()) return;
+
+        this.dirtyIds.add(playlistId);
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => {
+                this.flushTimer = null;
+                this.flush();
+            }, this.flushDelayMs);
+        }
+    }
+
+    /**
+     * Persist queued playlist histories
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        const histories = [...this.dirtyIds]
+            .map(id => this.playlists.get(id))
+            .filter(history => history);
+        this.dirtyIds.clear();
+        if (histories.length === 0) return;
+
+        try {
+            await idbStore.putAll(PLAYLIST_STORE, histories);
+        } catch (error) {
+            console.error('Failed to persist playlist snapshots:', error);
+        }
+    }
+}
+
+export const playlistSnapshots = new PlaylistSnapshots();
@@ -0,0 +1,236 @@
+/**
+ * Query builder module
+ * Composes Spotify search queries from terms, phrases and exclusions, and keeps named presets
+ */
+
+// Spotify markets are ISO 3166-1 alpha-2 country codes
+const MARKET_REGEX = /^[A-Z]{2}$/;
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 250;
+
+// Presets shipped with the app, previously the hard-coded search suggestions
+const BUILT_IN_PRESETS = [
+    { name: 'Gmail contacts', query: '@gmail.com' },
+    { name: 'Yahoo contacts', query: '@yahoo.com' },
+    { name: 'Hotmail contacts', query: '@hotmail.com' },
+    { name: 'Outlook contacts', query: '@outlook.com' },
+    { name: 'Contact', query: 'contact' },
+    { name: 'Booking', query: 'booking' },
+    { name: 'Promo', query: 'promo' },
+    { name: 'Submissions', query: 'submit' },
+    { name: 'Demos', query: 'demo' }
+].map(preset => ({ ...preset, market: '', builtIn: true }));
+
+class QueryBuilder {
+    constructor() {
+        this.presets = new Map(BUILT_IN_PRESETS.map(preset => [preset.name, preset]));
+    }
+
+    /**
+     * Build a search query from its parts
+     * @param {Object} parts - Query parts
+     * @param {string} parts.allWords - Words every result must match
+     * @param {Array<string>} parts.phrases - Exact phrases
+     * @param {string} parts.anyWords - Words of which at least one must match
+     * @param {string} parts.excludeWords - Words results must not match
+     * @returns {string} Spotify search query
+     */
+    build({ allWords = '', phrases = [], anyWords = '', excludeWords = '' } = {}) {
+        const parts = [...this.splitWords(allWords)];
+
+        phrases
+            .map(phrase => phrase.replace(/"/g, '').trim())
+            .filter(phrase => phrase)
+            .forEach(phrase => parts.push(`"${phrase}"`));
+
+        const anyOf = this.splitWords(anyWords);
+        if (anyOf.length > 0) {
+            parts.push(anyOf.join(' OR '));
+        }
+
+        this.splitWords(excludeWords).forEach(word => parts.push(`NOT ${word}`));
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Split a query back into builder parts
+     * Queries not written by the builder are parsed as well as they can be.
+     * @param {string} query - Spotify search query
+     * @returns {Object} Query parts ({ allWords, phrases, anyWords, excludeWords })
+     */
+    parse(query) {
+        const tokens = String(query || '').match(/"[^"]*"|\S+/g) || [];
+        const allWords = [];
+        const phrases = [];
+        const anyWords = [];
+        const excludeWords = [];
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+
+            if (token === 'NOT' && tokens[i + 1]) {
+                excludeWords.push(tokens[++i]);
+            } else if (token.startsWith('-') && token.length > 1) {
+                excludeWords.push(token.slice(1));
+            } else if (tokens[i + 1] === 'OR' && tokens[i + 2]) {
+                // Collect the whole "a OR b OR c" chain
+                anyWords.push(token);
+                while (tokens[i + 1] === 'OR' && tokens[i + 2]) {
+                    anyWords.push(tokens[i + 2]);
+                    i += 2;
+                }
+            } else if (token.startsWith('"')) {
+                phrases.push(token.replace(/"/g, ''));
+            } else if (token !== 'OR') {
+                allWords.push(token);
+            }
+        }
+
+        return {
+            allWords: allWords.join(' '),
+            phrases: phrases.filter(phrase => phrase),
+            anyWords: anyWords.join(' '),
+            excludeWords: excludeWords.join(' ')
+        };
+    }
+
+    /**
+     * Check a query before it is sent
+     * @param {string} query - Spotify search query
+     * @returns {string|null} Problem found, or null if the query is fine
+     */
+    validate(query) {
+        const trimmed = String(query || '').trim();
+
+        if (!trimmed) {
+            return 'Please enter a search query';
+        }
+        if (trimmed.length < MIN_QUERY_LENGTH) {
+            return `Search query must be at least ${MIN_QUERY_LENGTH} characters long`;
+        }
+        if (trimmed.length > MAX_QUERY_LENGTH) {
+            return `Search query must be at most ${MAX_QUERY_LENGTH} characters long`;
+        }
+        if ((trimmed.match(/"/g) || []).length % 2 !== 0) {
+            return 'Search query has an unclosed quote';
+        }
+        if (/(^|\s)(NOT|OR)$/.test(trimmed) || /^OR\s/.test(trimmed)) {
+            return 'NOT and OR need a word after them';
+        }
+
+        const parts = this.parse(trimmed);
+        if (!parts.allWords && parts.phrases.length === 0 && !parts.anyWords) {
+            return 'Search query needs at least one word to match, not only exclusions';
+        }
+        return null;
+    }
+
+    /**
+     * Normalize a market code
+     * @param {string} market - Country code, empty for any market
+     * @returns {string} Uppercase country code or empty string
+     */
+    normalizeMarket(market) {
+        const code = String(market || '').trim().toUpperCase();
+        if (code && !MARKET_REGEX.test(code)) {
+            throw new Error(`Invalid market "${market}": use a two-letter country code such as US or DE`);
+        }
+        return code;
+    }
+
+    /**
+     * Get all presets, built-in ones first
+     * @returns {Array<Object>} Presets ({ name, query, market, builtIn })
+     */
+    getPresets() {
+        return [...this.presets.values()];
+    }
+
+    /**
+     * Get a preset by name
+     * @param {string} name - Preset name
+     * @returns {Object|null} Preset or null
+     */
+    getPreset(name) {
+        return this.presets.get(name) || null;
+    }
+
+    /**
+     * Register user presets loaded from storage
+     * @param {Array<Object>} presets - Saved presets
+     */
+    setSavedPresets(presets) {
+        for (const [name, preset] of this.presets) {
+            if (!preset.builtIn) this.presets.delete(name);
+        }
+        (presets || []).forEach(preset => {
+            if (!this.presets.get(preset.name)?.builtIn) {
+                this.presets.set(preset.name, preset);
+            }
+        });
+    }
+
+    /**
+     * Validate and register a user preset
+     * @param {Object} preset - Preset to add or replace
+     * @returns {Object} Normalized preset
+     */
+    addPreset(preset) {
+        const name = (preset.name || '').trim();
+        if (!name) {
+            throw new Error('Please give the preset a name');
+        }
+        if (this.presets.get(name)?.builtIn) {
+            throw new Error(`"${name}" is a built-in preset, please choose another name`);
+        }
+
+        const query = (preset.query || '').trim();
+        const problem = this.validate(query);
+        if (problem) {
+            throw new Error(problem);
+        }
+
+        const normalized = { name, query, market: this.normalizeMarket(preset.market) };
+        this.presets.set(name, normalized);
+        return normalized;
+    }
+
+    /**
+     * Remove a user preset
+     * @param {string} name - Preset name
+     * @returns {boolean} True if the preset was removed
+     */
+    removePreset(name) {
+        const preset = this.presets.get(name);
+        if (!preset || preset.builtIn) {
+            return false;
+        }
+        return this.presets.delete(name);
+    }
+
+    /**
+     * Find presets matching what is typed
+     * @param {string} text - Current query
+     * @returns {Array<Object>} Presets whose name or query contains the text
+     */
+    findPresets(text) {
+        const needle = String(text || '').toLowerCase();
+        return this.getPresets().filter(preset =>
+            preset.name.toLowerCase().includes(needle) || preset.query.toLowerCase().includes(needle)
+        );
+    }
+
+    /**
+     * Split a space-separated word list, keeping quoted phrases together
+     * @param {string} text - Words
+     * @returns {Array<string>} Words
+     * @private
+     */
+    splitWords(text) {
+        return String(text || '').match(/"[^"]*"|\S+/g) || [];
+    }
+}
+
+export const queryBuilder = new QueryBuilder();
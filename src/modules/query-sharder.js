@@ -0,0 +1,96 @@
+/**
+ * Query sharder module
+ * Splits searches with more results than Spotify lets us page through into narrower sub-queries
+ */
+
+// Sharding strategies, applied one level at a time: a shard still over the
+// ceiling is split again with the next strategy
+const SHARD_STRATEGIES = ['genre', 'year', 'letter', 'market'];
+
+const GENRE_WORDS = [
+    'pop', 'rock', 'indie', 'hip hop', 'rap', 'trap', 'electronic', 'house', 'techno', 'edm',
+    'dance', 'lofi', 'chill', 'ambient', 'jazz', 'soul', 'r&b', 'funk', 'metal', 'punk',
+    'country', 'folk', 'acoustic', 'latin', 'reggaeton', 'afrobeats', 'reggae', 'classical',
+    'kpop', 'workout', 'party', 'sleep'
+];
+
+const FIRST_YEAR = 2008; // Spotify launch
+
+const LETTERS = 'abcdefghijklmnopqrstuvwxyz'.split('');
+
+const MARKETS = [
+    'US', 'GB', 'CA', 'AU', 'DE', 'FR', 'ES', 'IT', 'NL', 'SE', 'NO', 'DK', 'FI', 'PL',
+    'BR', 'MX', 'AR', 'CO', 'CL', 'JP', 'KR', 'IN', 'ID', 'PH', 'ZA', 'NG', 'TR'
+];
+
+class QuerySharder {
+    constructor() {
+        this.strategies = [...SHARD_STRATEGIES];
+        this.maxShardsPerQuery = 400; // keeps a single huge query from running forever
+    }
+
+    /**
+     * Create a shard
+     * @param {string} query - Search query of the shard
+     * @param {string} market - Market the shard is restricted to, empty for any
+     * @param {number} depth - Number of strategies already applied
+     * @returns {Object} Shard ({ query, market, depth, total })
+     */
+    createShard(query, market = '', depth = 0) {
+        return { query, market: market || '', depth, total: null };
+    }
+
+    /**
+     * Split a shard with the next applicable strategy
+     * @param {Object} shard - Shard with more results than the search ceiling
+     * @returns {Array<Object>} Sub-shards, empty when every strategy is used up
+     */
+    split(shard) {
+        for (let depth = shard.depth; depth < this.strategies.length; depth++) {
+            const strategy = this.strategies[depth];
+
+            // Market shards only make sense when the search is not restricted to a market yet
+            if (strategy === 'market') {
+                if (shard.market) continue;
+                return MARKETS.map(market => this.createShard(shard.query, market, depth + 1));
+            }
+
+            return this.getTerms(strategy)
+                .filter(term => !this.containsTerm(shard.query, term))
+                .map(term => this.createShard(`${shard.query} ${term}`, shard.market, depth + 1));
+        }
+        return [];
+    }
+
+    /**
+     * Get the words a strategy appends to a query
+     * @param {string} strategy - Strategy name
+     * @returns {Array<string>} Terms
+     * @private
+     */
+    getTerms(strategy) {
+        if (strategy === 'genre') return GENRE_WORDS;
+        if (strategy === 'letter') return LETTERS;
+        if (strategy === 'year') {
+            const years = [];
+            for (let year = new Date().getFullYear(); year >= FIRST_YEAR; year--) {
+                years.push(String(year));
+            }
+            return years;
+        }
+        return [];
+    }
+
+    /**
+     * Check if a query already contains a term, so a shard never repeats it
+     * @param {string} query - Search query
+     * @param {string} term - Term to append
+     * @returns {boolean} True if the query already has the term
+     * @private
+     */
+    containsTerm(query, term) {
+        return query.toLowerCase().split(/\s+/).includes(term.toLowerCase());
+    }
+}
+
+export const querySharder = new QuerySharder();
@@ -0,0 +1,356 @@
+/**
+ * Rule engine module
+ * Filters fetched playlists on followers, tracks, owner, description, email domain and language
+ */
+
+import { emailExtractor } from './email-extractor.js';
+import { languageDetector } from './language-detector.js';
+
+// Fields rules can test, with the kind of value they hold
+const RULE_FIELDS = {
+    followers: 'number',
+    tracks: 'number',
+    owner: 'text',
+    name: 'text',
+    description: 'text',
+    domain: 'list',
+    language: 'list'
+};
+
+// Operators per field kind; longer operators first so "is not" wins over "is"
+const OPERATORS = {
+    number: ['between', '>=', '<=', '>', '<', '='],
+    text: ['not contains', 'contains', 'not matches', 'matches', 'is not', 'is'],
+    list: ['is not', 'is']
+};
+
+// How the lines of a rule set are combined
+const MATCH_MODES = ['all', 'any'];
+
+class RuleEngine {
+    constructor() {
+        this.active = null; // rule set applied to the results tables, null for none
+        this.languageCache = new Map(); // playlistId -> detected language
+    }
+
+    /**
+     * Get the fields rules can test
+     * @returns {Array<string>} Field names
+     */
+    getFields() {
+        return Object.keys(RULE_FIELDS);
+    }
+
+    /**
+     * Get the supported ways of combining rule lines
+     * @returns {Array<string>} Match modes
+     */
+    getMatchModes() {
+        return MATCH_MODES;
+    }
+
+    /**
+     * Parse rules, one per line
+     * Each line is a condition such as "followers between 1000 and 50000" or
+     * "description contains submit, demo"; conditions on one line can be joined with OR.
+     * Lines are combined with AND ('all') or OR ('any'). Lines starting with # are comments.
+     * @param {string} text - Rules
+     * @param {string} match - 'all' or 'any'
+     * @returns {Object|null} Rule set ({ match, rules }), or null if there are no rules
+     */
+    parse(text, match = 'all') {
+        if (!MATCH_MODES.includes(match)) {
+            throw new Error(`Unknown match mode: ${match}`);
+        }
+
+        const rules = [];
+        String(text || '').split(/\r?\n/).forEach((line, index) => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) return;
+
+            try {
+                const conditions = trimmed.split(/\s+OR\s+/).map(part => this.parseCondition(part));
+                rules.push(conditions.length === 1 ? conditions[0] : { match: 'any', rules: conditions });
+            } catch (error) {
+                throw new Error(`Rule line ${index + 1}: ${error.message}`);
+            }
+        });
+
+        return rules.length > 0 ? { match, rules } : null;
+    }
+
+    /**
+     * Check rules before they are used
+     * @param {string} text - Rules
+     * @param {string} match - 'all' or 'any'
+     * @returns {string|null} Problem found, or null if the rules are fine
+     */
+    validate(text, match = 'all') {
+        try {
+            this.parse(text, match);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    /**
+     * Set the rules applied to the results tables
+     * @param {string} text - Rules
+     * @param {string} match - 'all' or 'any'
+     * @returns {Object|null} Parsed rule set
+     */
+    setRules(text, match = 'all') {
+        this.active = this.parse(text, match);
+        return this.active;
+    }
+
+    /**
+     * Check if rules are applied to the results tables
+     * @returns {boolean} True if a rule set is active
+     */
+    hasRules() {
+        return this.active !== null;
+    }
+
+    /**
+     * Count the conditions of a rule set
+     * @param {Object|null} ruleSet - Rule set
+     * @returns {number} Condition count
+     */
+    countConditions(ruleSet = this.active) {
+        if (!ruleSet) return 0;
+        return ruleSet.rules.reduce((sum, rule) => sum + (rule.rules ? this.countConditions(rule) : 1), 0);
+    }
+
+    /**
+     * Check if a playlist passes a rule set
+     * @param {Object} playlist - Playlist record
+     * @param {Object|null} ruleSet - Rule set, defaults to the active one
+     * @returns {boolean} True if the playlist is kept (always true without rules)
+     */
+    matches(playlist, ruleSet = this.active) {
+        if (!ruleSet || !playlist) return true;
+        return this.evaluate(ruleSet, playlist);
+    }
+
+    /**
+     * Keep the playlist records passing a rule set
+     * @param {Array<Object>} records - Playlist records
+     * @param {Object|null} ruleSet - Rule set
+     * @returns {Array<Object>} Filtered records
+     */
+    apply(records, ruleSet) {
+        if (!Array.isArray(records) || !ruleSet) return records;
+        return records.filter(record => this.matches(record, ruleSet));
+    }
+
+    /**
+     * Guess the language of a playlist from its name and description
+     * @param {Object} playlist - Playlist record
+     * @returns {string|null} ISO 639-1 code, or null if unknown
+     */
+    getLanguage(playlist) {
+        if (playlist.id && this.languageCache.has(playlist.id)) {
+            return this.languageCache.get(playlist.id);
+        }
+
+        const language = languageDetector.detect(`${playlist.name || ''}\n${playlist.description || ''}`);
+        if (playlist.id) {
+            this.languageCache.set(playlist.id, language);
+        }
+        return language;
+    }
+
+    /**
+     * Parse one condition
+     * @param {string} text - Condition, e.g. "tracks >= 20"
+     * @returns {Object} Condition ({ field, operator, value })
+     * @private
+     */
+    parseCondition(text) {
+        const [, rawField, rest = ''] = text.trim().match(/^(\S+)\s*(.*)$/) || [];
+        const field = (rawField || '').toLowerCase();
+        const kind = RULE_FIELDS[field];
+        if (!kind) {
+            throw new Error(`unknown field "${rawField}" (use ${this.getFields().join(', ')})`);
+        }
+
+        const operator = OPERATORS[kind].find(op =>
+            rest.toLowerCase() === op || rest.toLowerCase().startsWith(`${op} `) || (/^[<>=]/.test(op) && rest.startsWith(op))
+        );
+        if (!operator) {
+            throw new Error(`"${field}" needs one of: ${OPERATORS[kind].join(', ')}`);
+        }
+
+        const raw = rest.slice(operator.length).trim();
+        if (!raw) {
+            throw new Error(`"${field} ${operator}" needs a value`);
+        }
+
+        if (kind === 'number') {
+            return { field, operator, value: this.parseNumbers(raw, operator) };
+        }
+        if (operator.endsWith('matches')) {
+            return { field, operator, value: this.parseRegex(raw) };
+        }
+        return { field, operator, value: this.parseList(raw, field) };
+    }
+
+    /**
+     * Parse the value of a numeric condition
+     * @param {string} raw - "1000", "1k" or "1000 and 50000" for between
+     * @param {string} operator - Numeric operator
+     * @returns {Array<number>} [min, max] for between, [value] otherwise
+     * @private
+     */
+    parseNumbers(raw, operator) {
+        const parts = operator === 'between' ? raw.split(/\s+and\s+|\s*-\s*|\s+/i) : [raw];
+        const numbers = parts.map(part => {
+            const match = part.trim().toLowerCase().replace(/,/g, '').match(/^(\d+(?:\.\d+)?)([km]?)$/);
+            if (!match) {
+                throw new Error(`"${part}" is not a number`);
+            }
+            const multiplier = { '': 1, k: 1000, m: 1000000 }[match[2]];
+            return Math.round(parseFloat(match[1]) * multiplier);
+        });
+
+        if (operator === 'between' && (numbers.length !== 2 || numbers[0] > numbers[1])) {
+            throw new Error('"between" needs two numbers, smallest first (e.g. between 1000 and 50000)');
+        }
+        return numbers;
+    }
+
+    /**
+     * Parse a regular expression, written /source/flags or as a plain pattern
+     * @param {string} raw - Pattern
+     * @returns {RegExp} Case-insensitive unless flags are given
+     * @private
+     */
+    parseRegex(raw) {
+        const literal = raw.match(/^\/(.*)\/([a-z]*)$/);
+        try {
+            return literal ? new RegExp(literal[1], literal[2].replace(/[gy]/g, '')) : new RegExp(raw, 'i');
+        } catch (error) {
+            throw new Error(`invalid regular expression ${raw}`);
+        }
+    }
+
+    /**
+     * Parse a comma-separated list of values
+     * @param {string} raw - Values
+     * @param {string} field - Field the values are for
+     * @returns {Array<string>} Lowercase values
+     * @private
+     */
+    parseList(raw, field) {
+        const values = raw.split(',')
+            .map(value => value.trim().replace(/^["']|["']$/g, '').toLowerCase())
+            .map(value => field === 'domain' ? value.replace(/^@/, '') : value)
+            .filter(value => value);
+        if (values.length === 0) {
+            throw new Error(`"${field}" needs a value`);
+        }
+        return values;
+    }
+
+    /**
+     * Evaluate a rule set or a condition against a playlist
+     * @param {Object} rule - Rule set or condition
+     * @param {Object} playlist - Playlist record
+     * @returns {boolean} Result
+     * @private
+     */
+    evaluate(rule, playlist) {
+        if (rule.rules) {
+            return rule.match === 'any'
+                ? rule.rules.some(child => this.evaluate(child, playlist))
+                : rule.rules.every(child => this.evaluate(child, playlist));
+        }
+
+        const kind = RULE_FIELDS[rule.field];
+        const value = this.getFieldValue(rule.field, playlist);
+
+        if (kind === 'number') {
+            return this.compareNumber(value, rule.operator, rule.value);
+        }
+        if (kind === 'list') {
+            const found = value.some(item => this.matchesListValue(rule.field, item, rule.value));
+            return rule.operator === 'is' ? found : !found;
+        }
+
+        const text = String(value || '').toLowerCase();
+        switch (rule.operator) {
+            case 'is': return rule.value.includes(text);
+            case 'is not': return !rule.value.includes(text);
+            case 'contains': return rule.value.some(keyword => text.includes(keyword));
+            case 'not contains': return !rule.value.some(keyword => text.includes(keyword));
+            case 'matches': return rule.value.test(String(value || ''));
+            case 'not matches': return !rule.value.test(String(value || ''));
+            default: return false;
+        }
+    }
+
+    /**
+     * Read the value a field tests
+     * @param {string} field - Field name
+     * @param {Object} playlist - Playlist record
+     * @returns {*} Number, text, or array of values for list fields
+     * @private
+     */
+    getFieldValue(field, playlist) {
+        switch (field) {
+            case 'followers': return playlist.followers;
+            case 'tracks': return playlist.trackCount;
+            case 'owner': return playlist.owner;
+            case 'name': return playlist.name;
+            case 'description': return playlist.description;
+            case 'domain':
+                return (playlist.emails || []).map(email => emailExtractor.normalizeEmail(email).split('@').pop());
+            case 'language': {
+                const language = this.getLanguage(playlist);
+                return language ? [language] : [];
+            }
+            default: return null;
+        }
+    }
+
+    /**
+     * Compare a number with a numeric condition
+     * @param {number} value - Playlist value
+     * @param {string} operator - Numeric operator
+     * @param {Array<number>} numbers - Condition numbers
+     * @returns {boolean} Result, false when the playlist has no value
+     * @private
+     */
+    compareNumber(value, operator, numbers) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return false;
+
+        switch (operator) {
+            case 'between': return value >= numbers[0] && value <= numbers[1];
+            case '>=': return value >= numbers[0];
+            case '<=': return value <= numbers[0];
+            case '>': return value > numbers[0];
+            case '<': return value < numbers[0];
+            case '=': return value === numbers[0];
+            default: return false;
+        }
+    }
+
+    /**
+     * Check a list value against the values of a condition
+     * @param {string} field - Field name
+     * @param {string} item - Playlist value (email domain or language)
+     * @param {Array<string>} values - Condition values
+     * @returns {boolean} True if one of the values matches
+     * @private
+     */
+    matchesListValue(field, item, values) {
+        // Domains also match their subdomains
+        return field === 'domain'
+            ? values.some(domain => item === domain || item.endsWith(`.${domain}`))
+            : values.includes(item);
+    }
+}
+
+export const ruleEngine = new RuleEngine();
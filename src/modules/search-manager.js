@@ -1,12 +1,16 @@
 /**
  * Search management module
  * Handles search logic, pagination, and results management
+ * Progress, results and pages are reported through core events.
  */
 
 import { spotifyAPI } from './spotify-api.js';
 import { storageManager } from './storage-manager.js';
-import { uiManager } from './ui-manager.js';
 import { classifyError } from './error-handler.js';
+import { workerPool } from './worker-pool.js';
+import { contactLedger } from './contact-ledger.js';
+import { emailExtractor } from './email-extractor.js';
+import { coreEvents, CORE_EVENTS } from './core-events.js';
 
 class SearchManager {
     constructor() {
@@ -17,7 +21,10 @@ class SearchManager {
         this.pagePlaylists = []; // Stores full data for the currently displayed page
         this.displayedPlaylistCount = 0;
         this.totalEmailsFound = 0;
+        this.suppressedCount = 0; // emails on the current page that are on the suppression list
+        this.failedPlaylistCount = 0; // playlists on the current page whose details could not be read
         this.currentAbortController = null;
+        this.loading = false; // a results page is being loaded
     }
 
     /**
@@ -25,21 +32,19 @@ class SearchManager {
      * @param {string} query - Search query
      * @param {string} clientId - Spotify Client ID
      * @param {string} clientSecret - Spotify Client Secret
+     * @param {number} page - Page to load first (0-indexed)
      * @returns {Promise<void>}
      */
-    async performSearch(query, clientId, clientSecret) {
+    async performSearch(query, clientId, clientSecret, page = 0) {
         const trimmedQuery = query.trim();
         if (!trimmedQuery) {
-            uiManager.showError('Please enter a search query');
+            coreEvents.emit(CORE_EVENTS.ERROR, { message: 'Please enter a search query' });
             return;
         }
 
         // Get or refresh access token
-        let accessToken = spotifyAPI.accessToken;
-        if (!accessToken) {
-            accessToken = await spotifyAPI.getAccessToken(clientId, clientSecret);
-            if (!accessToken) return;
-        }
+        const accessToken = await spotifyAPI.ensureValidToken(clientId, clientSecret);
+        if (!accessToken) return;
 
         // Save search query and credentials
         storageManager.saveLastSearchQuery(trimmedQuery);
@@ -51,9 +56,10 @@ class SearchManager {
         this.pagePlaylists = [];
         this.displayedPlaylistCount = 0;
         this.totalEmailsFound = 0;
+        contactLedger.startRun();
 
-        // Load first page
-        await this.loadPage(0);
+        // Load the requested page, the first one by default
+        await this.loadPage(page);
     }
 
     /**
@@ -66,8 +72,9 @@ class SearchManager {
 
         this.currentAbortController = new AbortController();
         spotifyAPI.setAbortController(this.currentAbortController);
+        this.loading = true;
         
-        uiManager.setupForLoading(`Loading page ${page + 1}...`);
+        coreEvents.emit(CORE_EVENTS.LOADING, { operation: 'search', text: `Loading page ${page + 1}...` });
 
         try {
             // Search for playlists
@@ -88,19 +95,60 @@ class SearchManager {
             // Process and display playlists
             await this.processAndDisplayPlaylists(searchResults.playlists.items);
             
-            // Update pagination
-            this.updatePagination();
+            // Report the loaded page
+            this.emitPage();
 
         } catch (error) {
             const errorInfo = classifyError(error, 'Search', this.currentAbortController);
             if (errorInfo.type === 'user_abort') {
                 return;
             } else if (errorInfo.message) {
-                uiManager.showError(errorInfo.message);
+                coreEvents.emit(CORE_EVENTS.ERROR, { message: errorInfo.message });
             }
         } finally {
-            uiManager.cleanupAfterLoading("Page loaded.");
+            this.loading = false;
+            spotifyAPI.setAbortController(null);
+            coreEvents.emit(CORE_EVENTS.DONE, {
+                operation: 'search',
+                text: "Page loaded.",
+                summary: this.failedPlaylistCount > 0
+                    ? `Page loaded. ${this.failedPlaylistCount} playlists could not be read and were skipped.`
+                    : undefined
+            });
+        }
+    }
+
+    /**
+     * Check if a results page is being loaded
+     * @returns {boolean} True while a search is running
+     */
+    isLoading() {
+        return this.loading;
+    }
+
+    /**
+     * Collect every reachable search result of a query, without displaying them
+     * @param {string} query - Search query
+     * @param {Object} options - Search options
+     * @param {string} options.market - Market to search in (defaults to the search market)
+     * @param {AbortSignal} options.signal - Stops paging when aborted
+     * @returns {Promise<Array<Object>>} Simplified playlist objects, with their snapshot_id
+     */
+    async searchAll(query, { market = spotifyAPI.market, signal = null } = {}) {
+        const items = [];
+        let total = Infinity;
+
+        for (let offset = 0; offset < Math.min(total, spotifyAPI.searchOffsetLimit); offset += this.resultsPerPage) {
+            if (signal?.aborted) break;
+
+            const limit = Math.min(this.resultsPerPage, spotifyAPI.searchOffsetLimit - offset);
+            const searchResults = await spotifyAPI.searchPlaylists(query, limit, offset, market);
+            if (!searchResults) break;
+
+            total = searchResults.playlists.total;
+            items.push(...searchResults.playlists.items.filter(playlist => playlist));
         }
+        return items;
     }
 
     /**
@@ -111,51 +159,58 @@ class SearchManager {
     async processAndDisplayPlaylists(playlists) {
         const totalToProcess = playlists.length;
         this.totalEmailsFound = 0;
+        this.suppressedCount = 0;
+        this.failedPlaylistCount = 0;
         this.pagePlaylists = []; // Reset for new page
 
-        // Setup results table
-        uiManager.setupResultsTable();
-
-        for (let i = 0; i < playlists.length; i++) {
-            if (this.currentAbortController?.signal.aborted) break;
-
-            const playlist = playlists[i];
-            if (!playlist) {
-                uiManager.updateProgress(i + 1, totalToProcess, this.totalEmailsFound);
-                continue;
-            }
-
-            // Get detailed playlist data
-            const playlistData = await spotifyAPI.getDetailedPlaylist(playlist.id);
-            if (playlistData) {
-                this.pagePlaylists.push(playlistData);
-                this.totalEmailsFound += playlistData.emails.length;
+        // Fetch playlist details concurrently, displaying them in page order
+        let processed = 0;
+        await workerPool.run(playlists, async (playlist) => {
+            return playlist ? await spotifyAPI.getDetailedPlaylist(playlist.id) : null;
+        }, {
+            signal: this.currentAbortController?.signal,
+            onResult: (playlistData, i, playlist) => {
+                if (!playlistData && playlist) {
+                    this.failedPlaylistCount++;
+                }
+                if (playlistData) {
+                    // Cached records may predate the last suppression list import
+                    playlistData = emailExtractor.applySuppression(playlistData);
+                    this.pagePlaylists.push(playlistData);
+                    this.totalEmailsFound += playlistData.emails.length;
+                    this.suppressedCount += emailExtractor.countSuppressed(playlistData);
+                    contactLedger.record(playlistData, this.currentQuery);
+                    coreEvents.emit(CORE_EVENTS.RESULT, { operation: 'search', playlist: playlistData });
+                }
                 
-                // Add to results table
-                uiManager.appendPlaylistToTable(playlistData);
+                processed++;
+                coreEvents.emit(CORE_EVENTS.PROGRESS, {
+                    operation: 'search',
+                    processed,
+                    total: totalToProcess,
+                    emailsFound: this.totalEmailsFound,
+                    suppressed: this.suppressedCount
+                });
             }
-            
-            uiManager.updateProgress(i + 1, totalToProcess, this.totalEmailsFound);
-        }
+        });
 
         // Update displayed count
         this.displayedPlaylistCount = this.pagePlaylists.length;
-        uiManager.updateResultsCount(this.displayedPlaylistCount, this.totalEmailsFound);
     }
 
     /**
-     * Update pagination controls
+     * Report the loaded page, for pagination controls and results counts
+     * @private
      */
-    updatePagination() {
-        const totalPages = Math.ceil(this.totalResults / this.resultsPerPage);
-        const currentPageDisplay = this.currentPage + 1;
-        
-        uiManager.updatePaginationControls(
-            currentPageDisplay,
-            totalPages,
-            this.currentPage > 0,
-            this.currentPage < totalPages - 1
-        );
+    emitPage() {
+        coreEvents.emit(CORE_EVENTS.PAGE, {
+            query: this.currentQuery,
+            page: this.currentPage,
+            totalPages: Math.ceil(this.totalResults / this.resultsPerPage),
+            totalResults: this.totalResults,
+            playlists: this.pagePlaylists,
+            emailsFound: this.totalEmailsFound
+        });
     }
 
     /**
@@ -197,18 +252,10 @@ class SearchManager {
     stopCurrentSearch() {
         if (this.currentAbortController) {
             this.currentAbortController.abort();
-            console.log("Search stopped by user.");
+            console.warn("Search stopped by user.");
         }
     }
 
-    /**
-     * Filter displayed results based on email presence
-     * @param {boolean} showWithoutEmails - Whether to show playlists without emails
-     */
-    filterDisplayedResults(showWithoutEmails) {
-        uiManager.filterDisplayedResults(showWithoutEmails);
-    }
-
     /**
      * Get search statistics
      * @returns {Object} Search statistics
@@ -221,6 +268,7 @@ class SearchManager {
             currentQuery: this.currentQuery,
             displayedPlaylistCount: this.displayedPlaylistCount,
             totalEmailsFound: this.totalEmailsFound,
+            failedPlaylistCount: this.failedPlaylistCount,
             resultsPerPage: this.resultsPerPage
         };
     }
@@ -251,22 +299,6 @@ class SearchManager {
         this.pagePlaylists = [];
         this.displayedPlaylistCount = 0;
         this.totalEmailsFound = 0;
-        
-        uiManager.clearResults();
-    }
-
-    /**
-     * Initialize search manager
-     */
-    initialize() {
-        // Load saved search query if available
-        const savedQuery = storageManager.loadLastSearchQuery();
-        if (savedQuery) {
-            const searchInput = document.getElementById('searchQuery');
-            if (searchInput) {
-                searchInput.value = savedQuery;
-            }
-        }
     }
 
     /**
@@ -5,13 +5,61 @@
 
 import { classifyError } from './error-handler.js';
 import { storageManager } from './storage-manager.js';
-import { uiManager } from './ui-manager.js';
+import { coreEvents, CORE_EVENTS } from './core-events.js';
+import { emailExtractor } from './email-extractor.js';
+import { domainVerifier } from './domain-verifier.js';
+import { playlistSnapshots } from './playlist-snapshots.js';
+
+const SPOTIFY_ACCOUNTS_URL = 'https://accounts.spotify.com';
+const SPOTIFY_API_URL = 'https://api.spotify.com';
 
 class SpotifyAPI {
     constructor() {
         this.accessToken = null;
-        this.tokenRefreshInProgress = false;
+        this.tokenExpiresAt = 0;
+        this.tokenRefreshPromise = null; // Single-flight refresh shared by concurrent requests
+        this.tokenRefreshMarginMs = 60000; // Refresh this long before the token expires
+        this.credentials = null;
+        this.credentialsProvider = null;
+        this.accountsUrl = SPOTIFY_ACCOUNTS_URL; // serves /api/token
+        this.apiUrl = SPOTIFY_API_URL; // serves /v1
         this.currentAbortController = null;
+        this.deepMode = false;
+        this.market = ''; // ISO country code sent with searches, empty for any market
+        this.searchOffsetLimit = 1000; // search results past this offset can't be paged to
+        this.revalidating = new Set(); // playlist IDs being refreshed in the background
+
+        // Request scheduler: token bucket budget plus a backoff shared by all callers
+        this.rateLimitConfig = {
+            bucketCapacity: 10,      // burst size
+            refillPerSecond: 5,      // sustained requests per second
+            maxRetries: 5,           // 429 retries per request
+            baseBackoffMs: 1000,     // first backoff when Retry-After is missing
+            maxBackoffMs: 60000
+        };
+        this.availableTokens = this.rateLimitConfig.bucketCapacity;
+        this.lastRefill = Date.now();
+        this.requestQueue = [];
+        this.drainTimer = null;
+        this.backoffUntil = 0;
+        this.countdownInterval = null;
+    }
+
+    /**
+     * Send every request to another server implementing the same endpoints, such as the local mock server
+     * Tokens of the previous server are dropped.
+     * @param {string|null} baseUrl - Server origin serving both /api/token and /v1, empty for Spotify
+     */
+    setBaseUrl(baseUrl) {
+        const url = (baseUrl || '').trim().replace(/\/+$/, '');
+        if (url && !/^https?:\/\//.test(url)) {
+            throw new Error(`Invalid API base URL "${baseUrl}": use http:// or https://`);
+        }
+
+        this.accountsUrl = url || SPOTIFY_ACCOUNTS_URL;
+        this.apiUrl = url || SPOTIFY_API_URL;
+        this.accessToken = null;
+        this.tokenExpiresAt = 0;
     }
 
     /**
@@ -28,10 +76,218 @@ class SpotifyAPI {
 
     /**
      * Sets the current abort controller for stopping operations
-     * @param {AbortController} controller - The abort controller
+     * The backoff countdown stops when the operation is aborted or its controller is cleared.
+     * @param {AbortController|null} controller - The abort controller, null once the operation is over
      */
     setAbortController(controller) {
+        if (!controller) {
+            this.stopBackoffCountdown();
+        }
         this.currentAbortController = controller;
+        controller?.signal.addEventListener('abort', () => this.stopBackoffCountdown(), { once: true });
+    }
+
+    /**
+     * Register a function returning the current credentials, used to refresh tokens
+     * @param {Function} provider - Returns an object with clientId and clientSecret
+     */
+    setCredentialsProvider(provider) {
+        this.credentialsProvider = provider;
+    }
+
+    /**
+     * Get the credentials to use for a token refresh
+     * Falls back from the registered provider to the last used and then the stored credentials.
+     * @returns {Object} Object containing clientId and clientSecret
+     * @private
+     */
+    getRefreshCredentials() {
+        const candidates = [
+            this.credentialsProvider ? this.credentialsProvider() : null,
+            this.credentials,
+            storageManager.loadCredentials()
+        ];
+        return candidates.find(credentials => credentials?.clientId && credentials?.clientSecret)
+            || { clientId: '', clientSecret: '' };
+    }
+
+    /**
+     * Check if the current token is present and not about to expire
+     * @returns {boolean} True if the token can be used
+     */
+    isTokenValid() {
+        return Boolean(this.accessToken) && Date.now() < this.tokenExpiresAt - this.tokenRefreshMarginMs;
+    }
+
+    /**
+     * Return a usable access token, fetching or refreshing it when needed
+     * @param {string} clientId - Spotify Client ID (optional, defaults to refresh credentials)
+     * @param {string} clientSecret - Spotify Client Secret (optional)
+     * @returns {Promise<string|null>} Access token or null if failed
+     */
+    async ensureValidToken(clientId = null, clientSecret = null) {
+        const credentialsChanged = clientId && clientSecret && this.credentials
+            && (this.credentials.clientId !== clientId || this.credentials.clientSecret !== clientSecret);
+
+        if (this.isTokenValid() && !credentialsChanged) {
+            return this.accessToken;
+        }
+
+        return await this.refreshToken(clientId, clientSecret);
+    }
+
+    /**
+     * Fetch a new token, sharing a single in-flight refresh between callers
+     * @param {string} clientId - Spotify Client ID (optional, defaults to refresh credentials)
+     * @param {string} clientSecret - Spotify Client Secret (optional)
+     * @returns {Promise<string|null>} Access token or null if failed
+     */
+    refreshToken(clientId = null, clientSecret = null) {
+        if (!this.tokenRefreshPromise) {
+            const credentials = clientId && clientSecret
+                ? { clientId, clientSecret }
+                : this.getRefreshCredentials();
+
+            this.tokenRefreshPromise = this.getAccessToken(credentials.clientId, credentials.clientSecret)
+                .finally(() => {
+                    this.tokenRefreshPromise = null;
+                });
+        }
+
+        return this.tokenRefreshPromise;
+    }
+
+    /**
+     * Send an authenticated request
+     * Refreshes the token proactively before expiry and retries a 401 once with a fresh token.
+     * @param {string} url - Request URL
+     * @param {string} operation - Name of the operation, used in progress messages
+     * @returns {Promise<Response>} HTTP response
+     */
+    async authorizedRequest(url, operation = 'API request') {
+        for (let attempt = 0; attempt < 2; attempt++) {
+            const token = await this.ensureValidToken();
+            if (!token) {
+                throw new Error('Authentication expired. Please re-authenticate.');
+            }
+
+            const response = await this.request(url, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            }, operation);
+
+            if (response.status !== 401 || attempt > 0) {
+                return response;
+            }
+
+            // Only the first caller seeing a stale token invalidates it, the others reuse the refresh
+            if (this.accessToken === token) {
+                this.accessToken = null;
+                this.tokenExpiresAt = 0;
+            }
+        }
+    }
+
+    /**
+     * Update request scheduler settings
+     * @param {Object} config - Partial rate limit configuration
+     */
+    configureRateLimit(config = {}) {
+        this.rateLimitConfig = { ...this.rateLimitConfig, ...config };
+        this.availableTokens = Math.min(this.availableTokens, this.rateLimitConfig.bucketCapacity);
+    }
+
+    /**
+     * Wait for a slot in the request queue
+     * Resolves once the token bucket has budget and no backoff is in progress.
+     * @param {AbortSignal} signal - Rejects and leaves the queue when aborted
+     * @returns {Promise<void>}
+     */
+    acquireSlot(signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('Request aborted', 'AbortError'));
+                return;
+            }
+
+            const entry = { resolve, reject, signal, onAbort: null };
+            if (signal) {
+                entry.onAbort = () => {
+                    this.requestQueue = this.requestQueue.filter(queued => queued !== entry);
+                    reject(new DOMException('Request aborted', 'AbortError'));
+                };
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+            }
+
+            this.requestQueue.push(entry);
+            this.drainQueue();
+        });
+    }
+
+    /**
+     * Release queued requests while budget allows, then schedule the next drain
+     * @private
+     */
+    drainQueue() {
+        if (this.drainTimer) return;
+
+        const now = Date.now();
+        const { bucketCapacity, refillPerSecond } = this.rateLimitConfig;
+        this.availableTokens = Math.min(
+            bucketCapacity,
+            this.availableTokens + ((now - this.lastRefill) / 1000) * refillPerSecond
+        );
+        this.lastRefill = now;
+
+        let waitMs = 0;
+        if (now < this.backoffUntil) {
+            waitMs = this.backoffUntil - now;
+        } else {
+            while (this.requestQueue.length > 0 && this.availableTokens >= 1) {
+                const entry = this.requestQueue.shift();
+                entry.signal?.removeEventListener('abort', entry.onAbort);
+                this.availableTokens -= 1;
+                entry.resolve();
+            }
+            if (this.requestQueue.length > 0) {
+                waitMs = Math.ceil(((1 - this.availableTokens) / refillPerSecond) * 1000);
+            }
+        }
+
+        if (this.requestQueue.length > 0) {
+            this.drainTimer = setTimeout(() => {
+                this.drainTimer = null;
+                this.drainQueue();
+            }, waitMs);
+        }
+    }
+
+    /**
+     * Send a request through the scheduler
+     * Retries 429 responses up to maxRetries, every caller sharing the same backoff.
+     * @param {string} url - Request URL
+     * @param {Object} options - fetch options (without signal)
+     * @param {string} operation - Name of the operation, used in progress messages
+     * @returns {Promise<Response>} Final non-429 response
+     */
+    async request(url, options = {}, operation = 'API request') {
+        const { maxRetries } = this.rateLimitConfig;
+
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            await this.acquireSlot(this.currentAbortController?.signal);
+
+            const signal = this.createTimeoutSignal();
+            const response = await fetch(url, { ...options, signal });
+
+            if (response.status !== 429) {
+                return response;
+            }
+
+            if (attempt < maxRetries) {
+                this.handleRateLimit(response, operation, attempt);
+            }
+        }
+
+        throw new Error('Rate limited. Please wait a moment before trying again.');
     }
 
     /**
@@ -42,23 +298,20 @@ class SpotifyAPI {
      */
     async getAccessToken(clientId, clientSecret) {
         if (!clientId || !clientSecret) {
-            uiManager.showError('Please enter both Client ID and Client Secret');
+            coreEvents.emit(CORE_EVENTS.ERROR, { message: 'Please enter both Client ID and Client Secret' });
             return null;
         }
 
         const authString = btoa(`${clientId}:${clientSecret}`);
         try {
-            const signal = this.createTimeoutSignal();
-                
-            const response = await fetch('https://accounts.spotify.com/api/token', {
+            const response = await this.request(`${this.accountsUrl}/api/token`, {
                 method: 'POST',
                 headers: {
                     'Authorization': `Basic ${authString}`,
                     'Content-Type': 'application/x-www-form-urlencoded'
                 },
-                body: 'grant_type=client_credentials',
-                signal
-            });
+                body: 'grant_type=client_credentials'
+            }, 'authentication');
 
             if (!response.ok) {
                 let errorMessage = '';
@@ -74,10 +327,6 @@ class SpotifyAPI {
                                 errorMessage = `Authentication failed: ${errorData.error_description || errorData.error || 'Bad request'}`;
                             }
                             break;
-                        case 429:
-                            await this.handleRateLimit(response, 'authentication');
-                            // Retry the authentication after rate limit wait
-                            return await this.getAccessToken(clientId, clientSecret);
                         case 500:
                         case 502:
                         case 503:
@@ -94,46 +343,99 @@ class SpotifyAPI {
 
             const data = await response.json();
             this.accessToken = data.access_token;
+            this.tokenExpiresAt = Date.now() + (data.expires_in || 3600) * 1000;
+            this.credentials = { clientId, clientSecret };
             return this.accessToken;
         } catch (error) {
             const errorInfo = classifyError(error, 'Authentication request');
             if (errorInfo.type === 'user_abort') {
                 return null;
             } else if (errorInfo.message) {
-                uiManager.showError(errorInfo.message);
+                coreEvents.emit(CORE_EVENTS.ERROR, { message: errorInfo.message });
             }
             return null;
         }
     }
 
     /**
-     * Rate limiting handler with countdown timer
-     * @param {Response} response - HTTP response object
+     * Rate limiting handler
+     * Starts (or extends) the backoff shared by every queued request, honouring
+     * Retry-After and falling back to exponential backoff with jitter.
+     * @param {Response} response - HTTP 429 response object
      * @param {string} operation - Name of the operation being rate limited
+     * @param {number} attempt - Number of retries already made for this request
+     * @returns {number} Backoff delay in milliseconds
+     */
+    handleRateLimit(response, operation = 'API request', attempt = 0) {
+        const delayMs = this.getRetryAfterMs(response) ?? this.getBackoffDelayMs(attempt);
+        const until = Date.now() + delayMs;
+
+        if (until > this.backoffUntil) {
+            this.backoffUntil = until;
+            this.showBackoffCountdown(operation);
+        }
+
+        return delayMs;
+    }
+
+    /**
+     * Parse the Retry-After header (seconds or HTTP date)
+     * @param {Response} response - HTTP response object
+     * @returns {number|null} Delay in milliseconds, or null if the header is missing or invalid
      */
-    async handleRateLimit(response, operation = 'API request') {
+    getRetryAfterMs(response) {
         const retryAfter = response.headers.get('Retry-After');
-        if (!retryAfter) {
-            throw new Error('Rate limited. Please wait a moment before trying again.');
+        if (!retryAfter) return null;
+
+        const seconds = parseInt(retryAfter, 10);
+        if (!Number.isNaN(seconds)) {
+            return (seconds + 1) * 1000; // Add 1 second buffer as recommended
         }
-        
-        const waitSeconds = parseInt(retryAfter) + 1; // Add 1 second buffer as recommended
-        uiManager.updateProgressText(`Rate limited. Waiting ${waitSeconds} seconds...`);
-        
-        let remainingTime = waitSeconds;
-        const countdownInterval = setInterval(() => {
-            remainingTime--;
+
+        const date = Date.parse(retryAfter);
+        return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0) + 1000;
+    }
+
+    /**
+     * Exponential backoff with jitter
+     * @param {number} attempt - Number of retries already made
+     * @returns {number} Delay in milliseconds
+     */
+    getBackoffDelayMs(attempt) {
+        const { baseBackoffMs, maxBackoffMs } = this.rateLimitConfig;
+        const delay = Math.min(maxBackoffMs, baseBackoffMs * Math.pow(2, attempt));
+        return Math.round(delay / 2 + Math.random() * (delay / 2));
+    }
+
+    /**
+     * Report a countdown until the shared backoff ends
+     * @param {string} operation - Name of the operation being rate limited
+     * @private
+     */
+    showBackoffCountdown(operation) {
+        clearInterval(this.countdownInterval);
+
+        const update = () => {
+            const remainingTime = Math.ceil((this.backoffUntil - Date.now()) / 1000);
             if (remainingTime > 0) {
-                uiManager.updateProgressText(`Rate limited. Retrying ${operation} in ${remainingTime} seconds...`);
+                coreEvents.emit(CORE_EVENTS.STATUS, { text: `Rate limited. Retrying ${operation} in ${remainingTime} seconds...` });
             } else {
-                clearInterval(countdownInterval);
-                uiManager.updateProgressText(`Retrying ${operation}...`);
+                this.stopBackoffCountdown();
+                coreEvents.emit(CORE_EVENTS.STATUS, { text: `Retrying ${operation}...` });
             }
-        }, 1000);
-        
-        // Wait for the specified time
-        await new Promise(resolve => setTimeout(resolve, waitSeconds * 1000));
-        clearInterval(countdownInterval);
+        };
+
+        update();
+        this.countdownInterval = setInterval(update, 1000);
+    }
+
+    /**
+     * Stop reporting the backoff countdown, once nothing is waiting for it anymore
+     * @private
+     */
+    stopBackoffCountdown() {
+        clearInterval(this.countdownInterval);
+        this.countdownInterval = null;
     }
 
     /**
@@ -141,31 +443,27 @@ class SpotifyAPI {
      * @param {string} query - Search query
      * @param {number} limit - Number of results to return
      * @param {number} offset - Offset for pagination
+     * @param {string} market - Country code to restrict results to (defaults to the configured market)
      * @returns {Promise<Object|null>} Search results or null if failed
      */
-    async searchPlaylists(query, limit = 50, offset = 0) {
+    async searchPlaylists(query, limit = 50, offset = 0, market = this.market) {
         if (!this.accessToken) {
             throw new Error('Access token not available. Please authenticate first.');
         }
 
         try {
-            const signal = this.createTimeoutSignal();
-            
-            const response = await fetch(`https://api.spotify.com/v1/search?q=${encodeURIComponent(query)}&type=playlist&limit=${limit}&offset=${offset}`, {
-                headers: { 'Authorization': `Bearer ${this.accessToken}` },
-                signal
-            });
+            const marketParam = market ? `&market=${encodeURIComponent(market)}` : '';
+            const response = await this.authorizedRequest(
+                `${this.apiUrl}/v1/search?q=${encodeURIComponent(query)}&type=playlist&limit=${limit}&offset=${offset}${marketParam}`,
+                'search'
+            );
 
             if (!response.ok) {
                 switch (response.status) {
                     case 401:
-                        this.accessToken = null;
                         throw new Error('Authentication expired. Please re-authenticate.');
                     case 403:
                         throw new Error('Access denied. Your app may not have permission to search playlists.');
-                    case 429:
-                        await this.handleRateLimit(response, 'search');
-                        return await this.searchPlaylists(query, limit, offset); // Retry
                     case 400:
                         throw new Error('Invalid search query. Please check your search terms.');
                     case 500:
@@ -179,7 +477,7 @@ class SpotifyAPI {
 
             return await response.json();
         } catch (error) {
-            const errorInfo = classifyError(error, 'Search');
+            const errorInfo = classifyError(error, 'Search', this.currentAbortController);
             if (errorInfo.type === 'user_abort') {
                 return null;
             }
@@ -187,89 +485,292 @@ class SpotifyAPI {
         }
     }
 
+    /**
+     * Enable or disable deep mode (track listings, top artists and genres)
+     * @param {boolean} enabled - Whether deep mode is enabled
+     */
+    setDeepMode(enabled) {
+        this.deepMode = Boolean(enabled);
+    }
+
+    /**
+     * Set the market searches are restricted to
+     * @param {string} market - ISO 3166-1 alpha-2 country code, empty for any market
+     */
+    setMarket(market) {
+        this.market = market || '';
+    }
+
     /**
      * Get detailed playlist information
      * @param {string} playlistId - Spotify playlist ID
+     * @param {Object} options - Fetch options
+     * @param {boolean} options.deep - Also page through tracks and summarize artists
      * @returns {Promise<Object|null>} Playlist data or null if failed
      */
-    async getDetailedPlaylist(playlistId) {
-        if (storageManager.playlistCache.has(playlistId)) {
-            return storageManager.playlistCache.get(playlistId);
+    async getDetailedPlaylist(playlistId, { deep = this.deepMode } = {}) {
+        const entry = storageManager.playlistCache.getEntry(playlistId);
+        const cached = entry ? entry.data : null;
+        const stale = entry ? storageManager.playlistCache.isStale(entry) : false;
+
+        if (cached && (!deep || Array.isArray(cached.topArtists))) {
+            if (stale) {
+                // Serve the stale copy now and refresh it in the background,
+                // keeping deep data if the stale copy had it
+                this.revalidatePlaylist(playlistId, deep || Array.isArray(cached.topArtists));
+            }
+            return this.verifyDomains(cached);
+        }
+
+        // Stale records are refetched in full rather than extended with deep data
+        return this.fetchPlaylist(playlistId, { deep, cached: stale ? null : cached });
+    }
+
+    /**
+     * Attach domain verification to email contacts when verification is enabled
+     * Records cached before verification was turned on are verified on read.
+     * @param {Object} playlistData - Playlist data
+     * @returns {Promise<Object>} Playlist data with verified email contacts
+     */
+    async verifyDomains(playlistData) {
+        if (!domainVerifier.isEnabled() || !domainVerifier.needsVerification(playlistData)) {
+            return playlistData;
         }
-        
+        return { ...playlistData, contacts: await domainVerifier.verifyContacts(playlistData.contacts) };
+    }
+
+    /**
+     * Refresh a stale cached playlist without blocking the caller
+     * @param {string} playlistId - Spotify playlist ID
+     * @param {boolean} deep - Also refresh the track summary
+     */
+    revalidatePlaylist(playlistId, deep) {
+        if (this.revalidating.has(playlistId)) return;
+
+        this.revalidating.add(playlistId);
+        this.fetchPlaylist(playlistId, { deep })
+            .finally(() => this.revalidating.delete(playlistId));
+    }
+
+    /**
+     * Fetch playlist details from the API and cache them
+     * @param {string} playlistId - Spotify playlist ID
+     * @param {Object} options - Fetch options
+     * @param {boolean} options.deep - Also page through tracks and summarize artists
+     * @param {Object} options.cached - Fresh cached record to extend with deep data (optional)
+     * @returns {Promise<Object|null>} Playlist data or null if failed
+     */
+    async fetchPlaylist(playlistId, { deep = false, cached = null } = {}) {
         try {
-            const signal = this.createTimeoutSignal();
+            let playlistData;
+            let firstTracksPage = null;
+
+            if (cached) {
+                // Cached without deep data: only the track listing is missing
+                playlistData = { ...cached };
+            } else {
+                const response = await this.authorizedRequest(
+                    `${this.apiUrl}/v1/playlists/${playlistId}`,
+                    `playlist ${playlistId}`
+                );
                 
-            const response = await fetch(`https://api.spotify.com/v1/playlists/${playlistId}`, {
-                headers: { 'Authorization': `Bearer ${this.accessToken}` },
-                signal
-            });
-            
-            if (!response.ok) {
-                switch (response.status) {
-                    case 401:
-                        // Token expired - refresh and retry
-                        if (!this.tokenRefreshInProgress) {
-                            this.tokenRefreshInProgress = true;
-                            this.accessToken = null;
-                            // Note: In the new architecture, we'll need to handle token refresh differently
-                            // This will require access to the credentials
-                            this.tokenRefreshInProgress = false;
+                if (!response.ok) {
+                    switch (response.status) {
+                        case 401:
+                            // Still unauthorized after a token refresh
                             throw new Error('Authentication expired. Please re-authenticate.');
-                        }
-                        return null;
-                    case 403:
-                        // Private playlist or access denied - silently skip
-                        console.log(`Access denied for playlist ${playlistId}`);
-                        return null;
-                    case 404:
-                        // Playlist doesn't exist or was deleted - silently skip
-                        console.log(`Playlist ${playlistId} not found`);
-                        return null;
-                    case 429:
-                        await this.handleRateLimit(response, `playlist ${playlistId}`);
-                        return await this.getDetailedPlaylist(playlistId); // Retry
-                    case 500:
-                    case 502:
-                    case 503:
-                        // Server errors - silently skip this playlist but log it
-                        console.log(`Server error for playlist ${playlistId}: ${response.status}`);
-                        return null;
-                    default:
-                        console.log(`Error fetching playlist ${playlistId}: ${response.status}`);
-                        return null;
+                        case 403:
+                            // Private playlist or access denied - silently skip
+                            console.warn(`Access denied for playlist ${playlistId}`);
+                            return null;
+                        case 404:
+                            // Playlist doesn't exist or was deleted - silently skip
+                            console.warn(`Playlist ${playlistId} not found`);
+                            return null;
+                        case 500:
+                        case 502:
+                        case 503:
+                            // Server errors - silently skip this playlist but log it
+                            console.warn(`Server error for playlist ${playlistId}: ${response.status}`);
+                            return null;
+                        default:
+                            console.warn(`Error fetching playlist ${playlistId}: ${response.status}`);
+                            return null;
+                    }
                 }
+
+                const data = await response.json();
+
+                // Decode the description and extract emails (including obfuscated ones)
+                // and other contact channels through the extraction pipeline
+                const extracted = emailExtractor.extract(data.description || '');
+
+                playlistData = {
+                    id: data.id,
+                    name: data.name,
+                    owner: data.owner.display_name || data.owner.id,
+                    ownerId: data.owner.id,
+                    ownerUrl: data.owner.external_urls ? data.owner.external_urls.spotify : null,
+                    description: extracted.text,
+                    emails: extracted.emails,
+                    contacts: extracted.contacts,
+                    followers: data.followers ? data.followers.total : 0,
+                    trackCount: data.tracks ? data.tracks.total : 0,
+                    snapshotId: data.snapshot_id || null,
+                    url: data.external_urls.spotify,
+                    image: data.images && data.images.length > 0 ? data.images[0].url : null
+                };
+                firstTracksPage = data.tracks || null;
             }
 
-            const data = await response.json();
-            const description = data.description || '';
-            
-            // Extract emails from description
-            const emailRegex = /([a-zA-Z0-9._-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/g;
-            const emails = description.match(emailRegex) || [];
-            const uniqueEmails = [...new Set(emails)];
-
-            const playlistData = {
-                id: data.id,
-                name: data.name,
-                owner: data.owner.display_name || data.owner.id,
-                description: description,
-                emails: uniqueEmails,
-                followers: data.followers ? data.followers.total : 0,
-                url: data.external_urls.spotify,
-                image: data.images && data.images.length > 0 ? data.images[0].url : null
-            };
+            if (deep) {
+                const trackSummary = await this.getTrackSummary(playlistId, firstTracksPage);
+                if (trackSummary) {
+                    Object.assign(playlistData, trackSummary);
+                }
+            }
             
+            playlistData = await this.verifyDomains(playlistData);
+            playlistSnapshots.record(playlistData);
             storageManager.playlistCache.set(playlistId, playlistData);
             return playlistData;
         } catch (error) {
-            const errorInfo = classifyError(error, `playlist ${playlistId}`);
+            const errorInfo = classifyError(error, `playlist ${playlistId}`, this.currentAbortController);
             if (errorInfo.type === 'user_abort') {
                 return null;
             } else if (errorInfo.type === 'other') {
                 console.error(`Error fetching playlist ${playlistId}:`, error);
             } else if (errorInfo.message) {
-                console.log(errorInfo.message);
+                console.warn(errorInfo.message);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Get the current version identifier of a playlist without fetching its details
+     * @param {string} playlistId - Spotify playlist ID
+     * Failures are thrown so callers can tell an unreadable playlist from one without a version.
+     * @returns {Promise<string|null>} snapshot_id, null if the playlist has none or the request was stopped
+     */
+    async getPlaylistSnapshotId(playlistId) {
+        try {
+            const data = await this.getJson(
+                `${this.apiUrl}/v1/playlists/${playlistId}?fields=snapshot_id`,
+                `version of playlist ${playlistId}`
+            );
+            return data.snapshot_id || null;
+        } catch (error) {
+            const errorInfo = classifyError(error, `playlist ${playlistId}`, this.currentAbortController);
+            if (errorInfo.type === 'user_abort') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch an authenticated JSON resource
+     * @param {string} url - Request URL
+     * @param {string} operation - Name of the operation
+     * @returns {Promise<Object>} Parsed JSON body
+     */
+    async getJson(url, operation) {
+        const response = await this.authorizedRequest(url, operation);
+        if (!response.ok) {
+            throw new Error(`${operation} failed: ${response.status} ${response.statusText}`);
+        }
+        return await response.json();
+    }
+
+    /**
+     * Page through all tracks of a playlist
+     * @param {string} playlistId - Spotify playlist ID
+     * @param {Object} firstPage - Tracks page already returned with the playlist (optional)
+     * @returns {Promise<Array>} Playlist track items
+     */
+    async getPlaylistTracks(playlistId, firstPage = null) {
+        const items = [];
+        let page = firstPage || await this.getJson(
+            `${this.apiUrl}/v1/playlists/${playlistId}/tracks?limit=100&fields=items(added_at,track(id,type,artists(id,name))),next,total`,
+            `tracks of playlist ${playlistId}`
+        );
+
+        while (page) {
+            items.push(...(page.items || []));
+            if (!page.next || this.currentAbortController?.signal.aborted) break;
+            page = await this.getJson(page.next, `tracks of playlist ${playlistId}`);
+        }
+
+        return items;
+    }
+
+    /**
+     * Get several artists at once
+     * @param {Array<string>} artistIds - Spotify artist IDs
+     * @returns {Promise<Array>} Artist objects
+     */
+    async getArtists(artistIds) {
+        const artists = [];
+        for (let i = 0; i < artistIds.length; i += 50) {
+            const batch = artistIds.slice(i, i + 50);
+            const data = await this.getJson(
+                `${this.apiUrl}/v1/artists?ids=${batch.join(',')}`,
+                'artists'
+            );
+            artists.push(...(data.artists || []).filter(artist => artist));
+        }
+        return artists;
+    }
+
+    /**
+     * Summarize a playlist track listing
+     * @param {string} playlistId - Spotify playlist ID
+     * @param {Object} firstPage - Tracks page already returned with the playlist (optional)
+     * @param {number} topArtistCount - Number of top artists to keep
+     * @returns {Promise<Object|null>} Track count, top artists, genres by artist and last added date, or null if failed
+     */
+    async getTrackSummary(playlistId, firstPage = null, topArtistCount = 10) {
+        try {
+            const items = await this.getPlaylistTracks(playlistId, firstPage);
+            const artistCounts = new Map();
+            let lastAddedAt = null;
+
+            for (const item of items) {
+                if (item.added_at && (!lastAddedAt || item.added_at > lastAddedAt)) {
+                    lastAddedAt = item.added_at;
+                }
+
+                // Local files and episodes have no (usable) artists
+                const artists = item.track?.artists || [];
+                for (const artist of artists) {
+                    if (!artist.id) continue;
+                    const entry = artistCounts.get(artist.id) || { id: artist.id, name: artist.name, trackCount: 0 };
+                    entry.trackCount++;
+                    artistCounts.set(artist.id, entry);
+                }
+            }
+
+            const topArtists = [...artistCounts.values()]
+                .sort((a, b) => b.trackCount - a.trackCount)
+                .slice(0, topArtistCount);
+
+            const genresByArtist = {};
+            const artists = await this.getArtists(topArtists.map(artist => artist.id));
+            for (const artist of artists) {
+                genresByArtist[artist.name] = artist.genres || [];
+            }
+
+            return {
+                trackCount: items.length,
+                topArtists,
+                genresByArtist,
+                lastAddedAt
+            };
+        } catch (error) {
+            const errorInfo = classifyError(error, `tracks of playlist ${playlistId}`, this.currentAbortController);
+            if (errorInfo.type !== 'user_abort') {
+                console.warn(`Could not fetch tracks for playlist ${playlistId}:`, error.message);
             }
             return null;
         }
@@ -3,13 +3,81 @@
  * Handles session storage, caching, and data persistence
  */
 
+import { idbStore } from './idb-store.js';
+import { exportFormats } from './export-formats.js';
+import { exportTemplates } from './export-templates.js';
+import { playlistCache } from './playlist-cache.js';
+import { emailExtractor } from './email-extractor.js';
+import { domainVerifier } from './domain-verifier.js';
+import { contactLedger } from './contact-ledger.js';
+import { suppressionList } from './suppression-list.js';
+import { playlistSnapshots } from './playlist-snapshots.js';
+import { coreEvents, CORE_EVENTS } from './core-events.js';
+
+/**
+ * In-memory stand-in for sessionStorage, for headless runs (the command line)
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    /**
+     * Get a stored value
+     * @param {string} key - Storage key
+     * @returns {string|null} Value or null
+     */
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    /**
+     * Store a value
+     * @param {string} key - Storage key
+     * @param {*} value - Value, stored as a string
+     */
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    /**
+     * Remove a stored value
+     * @param {string} key - Storage key
+     */
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
 class StorageManager {
     constructor() {
-        this.playlistCache = new Map();
+        this.playlistCache = playlistCache;
+        this.session = typeof sessionStorage !== 'undefined' ? sessionStorage : new MemoryStorage();
+        this.partialExportData = null;
         this.sessionStorageKeys = {
             CLIENT_ID: 'spotify_client_id',
             CLIENT_SECRET: 'spotify_client_secret',
-            LAST_SEARCH_QUERY: 'last_search_query'
+            LAST_SEARCH_QUERY: 'last_search_query',
+            BATCH_QUERIES: 'batch_queries',
+            SEARCH_MARKET: 'search_market',
+            CONCURRENCY: 'request_concurrency',
+            DEEP_MODE: 'deep_mode',
+            SHARD_QUERIES: 'shard_queries',
+            WATCHLIST_SCANS: 'watchlist_scans',
+            EXPORT_FORMAT: 'export_format',
+            EXPORT_ROW_MODE: 'export_row_mode',
+            EXPORT_TEMPLATE: 'export_template',
+            EXPORT_CONTACT_TYPES: 'export_contact_types',
+            MIN_EMAIL_SCORE: 'min_email_score',
+            DOMAIN_FILTER: 'domain_filter',
+            EXCLUDE_CONTACTS: 'exclude_contacts',
+            FILTER_RULES: 'filter_rules',
+            FILTER_MATCH: 'filter_match',
+            VERIFY_DOMAINS: 'verify_domains',
+            CACHE_TTL_HOURS: 'cache_ttl_hours'
+        };
+        this.indexedDbKeys = {
+            EXPORT_CHECKPOINT: 'current_export'
         };
     }
 
@@ -20,10 +88,10 @@ class StorageManager {
      */
     saveCredentials(clientId, clientSecret) {
         if (clientId) {
-            sessionStorage.setItem(this.sessionStorageKeys.CLIENT_ID, clientId);
+            this.session.setItem(this.sessionStorageKeys.CLIENT_ID, clientId);
         }
         if (clientSecret) {
-            sessionStorage.setItem(this.sessionStorageKeys.CLIENT_SECRET, clientSecret);
+            this.session.setItem(this.sessionStorageKeys.CLIENT_SECRET, clientSecret);
         }
     }
 
@@ -33,8 +101,8 @@ class StorageManager {
      */
     loadCredentials() {
         return {
-            clientId: sessionStorage.getItem(this.sessionStorageKeys.CLIENT_ID) || '',
-            clientSecret: sessionStorage.getItem(this.sessionStorageKeys.CLIENT_SECRET) || ''
+            clientId: this.session.getItem(this.sessionStorageKeys.CLIENT_ID) || '',
+            clientSecret: this.session.getItem(this.sessionStorageKeys.CLIENT_SECRET) || ''
         };
     }
 
@@ -42,8 +110,8 @@ class StorageManager {
      * Clear stored credentials
      */
     clearCredentials() {
-        sessionStorage.removeItem(this.sessionStorageKeys.CLIENT_ID);
-        sessionStorage.removeItem(this.sessionStorageKeys.CLIENT_SECRET);
+        this.session.removeItem(this.sessionStorageKeys.CLIENT_ID);
+        this.session.removeItem(this.sessionStorageKeys.CLIENT_SECRET);
     }
 
     /**
@@ -52,7 +120,7 @@ class StorageManager {
      */
     saveLastSearchQuery(query) {
         if (query) {
-            sessionStorage.setItem(this.sessionStorageKeys.LAST_SEARCH_QUERY, query);
+            this.session.setItem(this.sessionStorageKeys.LAST_SEARCH_QUERY, query);
         }
     }
 
@@ -61,14 +129,88 @@ class StorageManager {
      * @returns {string} Last search query or empty string
      */
     loadLastSearchQuery() {
-        return sessionStorage.getItem(this.sessionStorageKeys.LAST_SEARCH_QUERY) || '';
+        return this.session.getItem(this.sessionStorageKeys.LAST_SEARCH_QUERY) || '';
     }
 
     /**
      * Clear last search query
      */
     clearLastSearchQuery() {
-        sessionStorage.removeItem(this.sessionStorageKeys.LAST_SEARCH_QUERY);
+        this.session.removeItem(this.sessionStorageKeys.LAST_SEARCH_QUERY);
+    }
+
+    /**
+     * Save batch export queries
+     * @param {string} text - Queries, one per line
+     */
+    saveBatchQueries(text) {
+        this.session.setItem(this.sessionStorageKeys.BATCH_QUERIES, text || '');
+    }
+
+    /**
+     * Load batch export queries
+     * @returns {string} Queries, one per line, or empty string
+     */
+    loadBatchQueries() {
+        return this.session.getItem(this.sessionStorageKeys.BATCH_QUERIES) || '';
+    }
+
+    /**
+     * Clear batch export queries
+     */
+    clearBatchQueries() {
+        this.session.removeItem(this.sessionStorageKeys.BATCH_QUERIES);
+    }
+
+    /**
+     * Save number of parallel playlist requests
+     * @param {number} concurrency - Number of requests in flight
+     */
+    saveConcurrency(concurrency) {
+        if (concurrency) {
+            this.session.setItem(this.sessionStorageKeys.CONCURRENCY, String(concurrency));
+        }
+    }
+
+    /**
+     * Load number of parallel playlist requests
+     * @returns {number|null} Saved concurrency or null
+     */
+    loadConcurrency() {
+        const value = parseInt(this.session.getItem(this.sessionStorageKeys.CONCURRENCY), 10);
+        return Number.isNaN(value) ? null : value;
+    }
+
+    /**
+     * Save deep mode setting
+     * @param {boolean} enabled - Whether deep mode is enabled
+     */
+    saveDeepMode(enabled) {
+        this.session.setItem(this.sessionStorageKeys.DEEP_MODE, enabled ? 'true' : 'false');
+    }
+
+    /**
+     * Load deep mode setting
+     * @returns {boolean} True if deep mode is enabled
+     */
+    loadDeepMode() {
+        return this.session.getItem(this.sessionStorageKeys.DEEP_MODE) === 'true';
+    }
+
+    /**
+     * Save whether exports split queries past the search result ceiling
+     * @param {boolean} enabled - Whether sharding is enabled
+     */
+    saveShardQueries(enabled) {
+        this.session.setItem(this.sessionStorageKeys.SHARD_QUERIES, enabled ? 'true' : 'false');
+    }
+
+    /**
+     * Load whether exports split queries past the search result ceiling
+     * @returns {boolean} True if sharding is enabled (the default)
+     */
+    loadShardQueries() {
+        return this.session.getItem(this.sessionStorageKeys.SHARD_QUERIES) !== 'false';
     }
 
     /**
@@ -105,60 +247,377 @@ class StorageManager {
         this.playlistCache.clear();
     }
 
+    /**
+     * Load persisted playlist cache entries into memory
+     * @returns {Promise<number>} Number of cached playlists
+     */
+    async loadPlaylistCache() {
+        return await this.playlistCache.load();
+    }
+
+    /**
+     * Load persisted contact ledger entries into memory
+     * @returns {Promise<number>} Number of known emails
+     */
+    async loadContactLedger() {
+        return await contactLedger.load();
+    }
+
+    /**
+     * Load the imported suppression list into memory
+     * @returns {Promise<number>} Number of suppressed emails and domains
+     */
+    async loadSuppressionList() {
+        return await suppressionList.load();
+    }
+
+    /**
+     * Load persisted playlist snapshots and export runs into memory
+     * @returns {Promise<number>} Number of playlists with snapshots
+     */
+    async loadPlaylistSnapshots() {
+        return await playlistSnapshots.load();
+    }
+
+    /**
+     * Save cache time-to-live
+     * @param {number} hours - Hours after which cached playlists are refreshed
+     */
+    saveCacheTtlHours(hours) {
+        if (hours !== null && hours !== undefined) {
+            this.session.setItem(this.sessionStorageKeys.CACHE_TTL_HOURS, String(hours));
+        }
+    }
+
+    /**
+     * Load cache time-to-live
+     * @returns {number|null} Saved TTL in hours or null
+     */
+    loadCacheTtlHours() {
+        const value = parseFloat(this.session.getItem(this.sessionStorageKeys.CACHE_TTL_HOURS));
+        return Number.isNaN(value) ? null : value;
+    }
+
     /**
      * Get cache statistics
-     * @returns {Object} Cache statistics
+     * @returns {Promise<Object>} Cache statistics, including real storage use
      */
-    getCacheStats() {
+    async getCacheStats() {
+        const stats = await this.playlistCache.getStats();
         return {
-            playlistCount: this.playlistCache.size,
+            ...stats,
             memoryUsage: this.getApproximateMemoryUsage()
         };
     }
 
     /**
-     * Get approximate memory usage of cache
-     * @returns {number} Approximate memory usage in bytes
+     * Get approximate size of the cached playlists
+     * @returns {number} Approximate size in bytes (serialized JSON length)
      */
     getApproximateMemoryUsage() {
-        let totalSize = 0;
-        for (const [key, value] of this.playlistCache.entries()) {
-            totalSize += JSON.stringify(key).length;
-            totalSize += JSON.stringify(value).length;
+        return this.playlistCache.totalBytes;
+    }
+
+    /**
+     * Save export format options
+     * @param {Object} options - Export options
+     * @param {string} options.format - 'json', 'csv' or 'xlsx'
+     * @param {string} options.rowMode - 'playlist' or 'email'
+     * @param {string} options.template - Export template name, empty for none
+     * @param {number} options.minEmailScore - Minimum email score, 0 for none
+     * @param {string} options.domainFilter - 'all', 'hide_invalid' or 'valid_only'
+     * @param {string} options.excludeContacts - Contact ledger exclusion ('none', 'blocked', 'contacted' or 'known')
+     * @param {string} options.filterRules - Filtering rules, one per line, empty for none
+     * @param {string} options.filterMatch - How rule lines combine ('all' or 'any')
+     */
+    saveExportOptions({ format, rowMode, template, minEmailScore, domainFilter, excludeContacts, filterRules, filterMatch }) {
+        if (format) {
+            this.session.setItem(this.sessionStorageKeys.EXPORT_FORMAT, format);
+        }
+        if (rowMode) {
+            this.session.setItem(this.sessionStorageKeys.EXPORT_ROW_MODE, rowMode);
+        }
+        if (template !== undefined) {
+            this.session.setItem(this.sessionStorageKeys.EXPORT_TEMPLATE, template || '');
         }
-        return totalSize;
+        if (minEmailScore !== undefined) {
+            this.session.setItem(this.sessionStorageKeys.MIN_EMAIL_SCORE, String(minEmailScore));
+        }
+        if (domainFilter) {
+            this.session.setItem(this.sessionStorageKeys.DOMAIN_FILTER, domainFilter);
+        }
+        if (excludeContacts) {
+            this.session.setItem(this.sessionStorageKeys.EXCLUDE_CONTACTS, excludeContacts);
+        }
+        if (filterRules !== undefined) {
+            this.session.setItem(this.sessionStorageKeys.FILTER_RULES, filterRules || '');
+        }
+        if (filterMatch) {
+            this.session.setItem(this.sessionStorageKeys.FILTER_MATCH, filterMatch);
+        }
+    }
+
+    /**
+     * Load export format options
+     * @returns {Object} Object containing format, rowMode, template, minEmailScore, domainFilter, excludeContacts, filterRules and filterMatch
+     */
+    loadExportOptions() {
+        return {
+            format: this.session.getItem(this.sessionStorageKeys.EXPORT_FORMAT) || 'json',
+            rowMode: this.session.getItem(this.sessionStorageKeys.EXPORT_ROW_MODE) || 'playlist',
+            template: this.session.getItem(this.sessionStorageKeys.EXPORT_TEMPLATE) || null,
+            minEmailScore: parseInt(this.session.getItem(this.sessionStorageKeys.MIN_EMAIL_SCORE), 10) || 0,
+            domainFilter: this.session.getItem(this.sessionStorageKeys.DOMAIN_FILTER) || 'all',
+            excludeContacts: this.session.getItem(this.sessionStorageKeys.EXCLUDE_CONTACTS) || 'none',
+            filterRules: this.session.getItem(this.sessionStorageKeys.FILTER_RULES) || '',
+            filterMatch: this.session.getItem(this.sessionStorageKeys.FILTER_MATCH) || 'all'
+        };
+    }
+
+    /**
+     * Save whether email domains are verified after extraction
+     * @param {boolean} enabled - Whether verification is enabled
+     */
+    saveVerifyDomains(enabled) {
+        this.session.setItem(this.sessionStorageKeys.VERIFY_DOMAINS, enabled ? 'true' : 'false');
+    }
+
+    /**
+     * Load whether email domains are verified after extraction
+     * @returns {boolean} True if verification is enabled
+     */
+    loadVerifyDomains() {
+        return this.session.getItem(this.sessionStorageKeys.VERIFY_DOMAINS) === 'true';
     }
 
     /**
-     * Export data to JSON file
+     * Save contact types a playlist needs to be included in full exports
+     * @param {Array<string>} types - Contact types ('email', 'social', 'url', 'phone')
+     */
+    saveExportContactTypes(types) {
+        this.session.setItem(this.sessionStorageKeys.EXPORT_CONTACT_TYPES, JSON.stringify(types || []));
+    }
+
+    /**
+     * Load contact types a playlist needs to be included in full exports
+     * @returns {Array<string>} Contact types, emails only by default
+     */
+    loadExportContactTypes() {
+        try {
+            const types = JSON.parse(this.session.getItem(this.sessionStorageKeys.EXPORT_CONTACT_TYPES));
+            return Array.isArray(types) && types.length > 0 ? types : ['email'];
+        } catch (error) {
+            return ['email'];
+        }
+    }
+
+    /**
+     * Save a user export template to IndexedDB
+     * @param {Object} template - Export template
+     * @returns {Promise<boolean>} True if the template was saved
+     */
+    async saveExportTemplate(template) {
+        try {
+            await idbStore.put('exportTemplates', template);
+            return true;
+        } catch (error) {
+            console.error('Failed to save export template:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load user export templates from IndexedDB
+     * @returns {Promise<Array>} Saved templates
+     */
+    async loadExportTemplates() {
+        try {
+            return await idbStore.getAll('exportTemplates');
+        } catch (error) {
+            console.error('Failed to load export templates:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Delete a user export template from IndexedDB
+     * @param {string} name - Template name
+     * @returns {Promise<void>}
+     */
+    async deleteExportTemplate(name) {
+        try {
+            await idbStore.delete('exportTemplates', name);
+        } catch (error) {
+            console.error('Failed to delete export template:', error);
+        }
+    }
+
+    /**
+     * Save the market searches are restricted to
+     * @param {string} market - Country code, empty for any market
+     */
+    saveSearchMarket(market) {
+        this.session.setItem(this.sessionStorageKeys.SEARCH_MARKET, market || '');
+    }
+
+    /**
+     * Load the market searches are restricted to
+     * @returns {string} Country code, empty for any market
+     */
+    loadSearchMarket() {
+        return this.session.getItem(this.sessionStorageKeys.SEARCH_MARKET) || '';
+    }
+
+    /**
+     * Save a user search preset to IndexedDB
+     * @param {Object} preset - Search preset ({ name, query, market })
+     * @returns {Promise<boolean>} True if the preset was saved
+     */
+    async saveSearchPreset(preset) {
+        try {
+            await idbStore.put('searchPresets', preset);
+            return true;
+        } catch (error) {
+            console.error('Failed to save search preset:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load user search presets from IndexedDB
+     * @returns {Promise<Array>} Saved presets
+     */
+    async loadSearchPresets() {
+        try {
+            return await idbStore.getAll('searchPresets');
+        } catch (error) {
+            console.error('Failed to load search presets:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Delete a user search preset from IndexedDB
+     * @param {string} name - Preset name
+     * @returns {Promise<void>}
+     */
+    async deleteSearchPreset(name) {
+        try {
+            await idbStore.delete('searchPresets', name);
+        } catch (error) {
+            console.error('Failed to delete search preset:', error);
+        }
+    }
+
+    /**
+     * Save a watchlist to IndexedDB
+     * @param {Object} watchlist - Watchlist with its scan state
+     * @returns {Promise<void>}
+     */
+    async saveWatchlist(watchlist) {
+        try {
+            await idbStore.put('watchlists', watchlist);
+        } catch (error) {
+            console.error('Failed to save watchlist:', error);
+        }
+    }
+
+    /**
+     * Load watchlists from IndexedDB
+     * @returns {Promise<Array>} Saved watchlists
+     */
+    async loadWatchlists() {
+        try {
+            return await idbStore.getAll('watchlists');
+        } catch (error) {
+            console.error('Failed to load watchlists:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Delete a watchlist from IndexedDB
+     * @param {string} name - Watchlist name
+     * @returns {Promise<void>}
+     */
+    async deleteWatchlist(name) {
+        try {
+            await idbStore.delete('watchlists', name);
+        } catch (error) {
+            console.error('Failed to delete watchlist:', error);
+        }
+    }
+
+    /**
+     * Save whether watchlists are re-scanned while the tab is open
+     * @param {boolean} enabled - Whether scheduled scans are enabled
+     */
+    saveWatchlistScans(enabled) {
+        this.session.setItem(this.sessionStorageKeys.WATCHLIST_SCANS, enabled ? 'true' : 'false');
+    }
+
+    /**
+     * Load whether watchlists are re-scanned while the tab is open
+     * @returns {boolean} True if scheduled scans are enabled
+     */
+    loadWatchlistScans() {
+        return this.session.getItem(this.sessionStorageKeys.WATCHLIST_SCANS) === 'true';
+    }
+
+    /**
+     * Export data to a JSON, CSV or XLSX file
      * @param {Array} data - Data to export
-     * @param {string} filename - Filename for the export
+     * @param {string} filename - Filename for the export (its extension follows the format)
+     * @param {Object} options - Export options, defaults to the saved ones
+     * @param {string} options.format - 'json', 'csv' or 'xlsx'
+     * @param {string} options.rowMode - 'playlist' or 'email'
+     * @param {string} options.template - Export template name applied to playlist records (null for none)
+     * @param {string} options.query - Search query the data came from, used by templates
      */
-    exportData(data, filename = null) {
+    exportData(data, filename = null, options = null) {
+        const exportOptions = { ...this.loadExportOptions(), ...options };
+
+        // Opted-out emails are never exported
+        data = emailExtractor.dropSuppressed(data);
+
+        // Emails below the quality threshold are left out
+        data = emailExtractor.applyScoreThreshold(data, exportOptions.minEmailScore);
+        // ...and so are emails whose domain fails the verification filter
+        data = domainVerifier.applyStatusFilter(data, exportOptions.domainFilter);
+        // ...and emails the contact ledger says to skip
+        data = contactLedger.excludeContacts(data, exportOptions.excludeContacts);
+
+        // Templates already produce one row per output line
+        const template = exportOptions.template ? exportTemplates.getTemplate(exportOptions.template) : null;
+        if (template) {
+            data = exportTemplates.apply(template, data, {
+                query: exportOptions.query ?? this.loadLastSearchQuery()
+            });
+            exportOptions.rowMode = 'playlist';
+        }
+
+        const { content, contentType, extension } = exportFormats.serialize(data, exportOptions);
+
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const defaultFilename = `spotify-playlist-export-${timestamp}.json`;
-        const finalFilename = filename || defaultFilename;
+        const defaultFilename = `spotify-playlist-export-${timestamp}.${extension}`;
+        const finalFilename = filename
+            ? filename.replace(/\.(json|csv|xlsx)$/, '') + `.${extension}`
+            : defaultFilename;
         
-        const jsonData = JSON.stringify(data, null, 2);
-        this.downloadFile(jsonData, finalFilename, 'application/json');
+        this.downloadFile(content, finalFilename, contentType);
     }
 
     /**
-     * Download file to browser
+     * Hand an exported file to whoever saves it: the page downloads it, the command line writes it to disk
      * @param {string} content - File content
      * @param {string} filename - Filename
      * @param {string} contentType - MIME type
      */
     downloadFile(content, filename, contentType = 'text/plain') {
-        const blob = new Blob([content], { type: contentType });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = filename;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
+        if (!coreEvents.hasListeners(CORE_EVENTS.FILE)) {
+            console.warn(`Nothing saves exported files, ${filename} was dropped`);
+        }
+        coreEvents.emit(CORE_EVENTS.FILE, { content, filename, contentType });
     }
 
     /**
@@ -166,7 +625,7 @@ class StorageManager {
      * @param {Array} data - Partial export data
      */
     storePartialExportData(data) {
-        window.partialExportData = data;
+        this.partialExportData = data;
     }
 
     /**
@@ -174,14 +633,66 @@ class StorageManager {
      * @returns {Array|null} Partial export data or null
      */
     getPartialExportData() {
-        return window.partialExportData || null;
+        return this.partialExportData || null;
     }
 
     /**
      * Clear partial export data
      */
     clearPartialExportData() {
-        delete window.partialExportData;
+        this.partialExportData = null;
+    }
+
+    /**
+     * Save export checkpoint to IndexedDB
+     * @param {Object} checkpoint - Export checkpoint (query, offset, processed IDs, results)
+     * @returns {Promise<boolean>} True if the checkpoint was saved
+     */
+    async saveExportCheckpoint(checkpoint) {
+        // Headless runs have no IndexedDB to checkpoint to
+        if (!idbStore.isAvailable()) return false;
+
+        try {
+            await idbStore.put('exportCheckpoints', {
+                ...checkpoint,
+                id: this.indexedDbKeys.EXPORT_CHECKPOINT,
+                updatedAt: new Date().toISOString()
+            });
+            return true;
+        } catch (error) {
+            console.error('Failed to save export checkpoint:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load export checkpoint from IndexedDB
+     * @returns {Promise<Object|null>} Saved checkpoint or null
+     */
+    async loadExportCheckpoint() {
+        if (!idbStore.isAvailable()) return null;
+
+        try {
+            const checkpoint = await idbStore.get('exportCheckpoints', this.indexedDbKeys.EXPORT_CHECKPOINT);
+            return checkpoint || null;
+        } catch (error) {
+            console.error('Failed to load export checkpoint:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Clear export checkpoint from IndexedDB
+     * @returns {Promise<void>}
+     */
+    async clearExportCheckpoint() {
+        if (!idbStore.isAvailable()) return;
+
+        try {
+            await idbStore.delete('exportCheckpoints', this.indexedDbKeys.EXPORT_CHECKPOINT);
+        } catch (error) {
+            console.error('Failed to clear export checkpoint:', error);
+        }
     }
 
     /**
@@ -191,7 +702,7 @@ class StorageManager {
     getAllSessionData() {
         const data = {};
         for (const key of Object.values(this.sessionStorageKeys)) {
-            const value = sessionStorage.getItem(key);
+            const value = this.session.getItem(key);
             if (value) {
                 data[key] = value;
             }
@@ -205,37 +716,10 @@ class StorageManager {
     clearAllData() {
         this.clearCredentials();
         this.clearLastSearchQuery();
+        this.clearBatchQueries();
         this.clearPlaylistCache();
         this.clearPartialExportData();
-    }
-
-    /**
-     * Initialize storage manager and load saved data
-     */
-    initialize() {
-        // Load saved credentials if available
-        const credentials = this.loadCredentials();
-        if (credentials.clientId) {
-            const clientIdInput = document.getElementById('clientId');
-            if (clientIdInput) {
-                clientIdInput.value = credentials.clientId;
-            }
-        }
-        if (credentials.clientSecret) {
-            const clientSecretInput = document.getElementById('clientSecret');
-            if (clientSecretInput) {
-                clientSecretInput.value = credentials.clientSecret;
-            }
-        }
-
-        // Load last search query
-        const lastQuery = this.loadLastSearchQuery();
-        if (lastQuery) {
-            const searchInput = document.getElementById('searchQuery');
-            if (searchInput) {
-                searchInput.value = lastQuery;
-            }
-        }
+        this.clearExportCheckpoint();
     }
 }
 
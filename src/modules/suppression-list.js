@@ -0,0 +1,257 @@
+/**
+ * Suppression list module
+ * Opt-out emails and domains, imported from CSV/TXT files and kept in IndexedDB
+ */
+
+import { idbStore } from './idb-store.js';
+
+const STORE_NAME = 'suppressionList';
+
+const EMAIL_ENTRY_REGEX = /^[^\s@]+@[a-z0-9.-]+\.[a-z]{2,}$/;
+const DOMAIN_ENTRY_REGEX = /^@?((?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63})$/;
+
+class SuppressionList {
+    constructor() {
+        this.emails = new Set();
+        this.domains = new Set();
+        this.loaded = false;
+    }
+
+    /**
+     * Check if entries can be persisted
+     * @returns {boolean} True if IndexedDB is available
+     */
+    isPersistent() {
+        return idbStore.isAvailable();
+    }
+
+    /**
+     * Load persisted entries into memory
+     * @returns {Promise<number>} Number of entries loaded
+     */
+    async load() {
+        if (this.loaded || !this.isPersistent()) {
+            this.loaded = true;
+            return this.size;
+        }
+
+        try {
+            const stored = await idbStore.getAll(STORE_NAME);
+            stored.forEach(entry => {
+                (entry.type === 'domain' ? this.domains : this.emails).add(entry.value);
+            });
+        } catch (error) {
+            console.error('Failed to load suppression list:', error);
+        }
+
+        this.loaded = true;
+        return this.size;
+    }
+
+    /**
+     * Parse a suppression file
+     * Entries can be separated by new lines, commas, semicolons or tabs. With a header row, only
+     * the email (or domain) column is read. Without one, "@domain.com" suppresses a whole domain,
+     * and so does "domain.com" in a one-column file: other columns (a website, a name) are ignored.
+     * @param {string} text - CSV or TXT content
+     * @returns {Object} Parsed entries ({ emails, domains, skipped })
+     */
+    parse(text) {
+        const emails = new Set();
+        const domains = new Set();
+        let skipped = 0;
+
+        const rows = this.splitRows(String(text || ''))
+            .map(cells => cells.map(cell => this.cleanCell(cell)))
+            .filter(cells => cells.some(cell => cell));
+
+        const column = rows.length > 0 ? this.findEntryColumn(rows[0]) : -1;
+        if (column >= 0) rows.shift();
+        const oneColumn = rows.every(cells => cells.filter(cell => cell).length <= 1);
+
+        rows.forEach(cells => {
+            const values = column >= 0 ? [cells[column] || ''] : cells.filter(cell => cell);
+            let found = false;
+
+            values.forEach(value => {
+                const domain = value.match(DOMAIN_ENTRY_REGEX);
+                if (EMAIL_ENTRY_REGEX.test(value)) {
+                    emails.add(value);
+                    found = true;
+                } else if (domain && (column >= 0 || oneColumn || value.startsWith('@'))) {
+                    domains.add(domain[1]);
+                    found = true;
+                }
+            });
+
+            if (!found) skipped++;
+        });
+
+        return { emails: [...emails], domains: [...domains], skipped };
+    }
+
+    /**
+     * Split CSV text into rows of raw cells
+     * Commas, semicolons and tabs separate cells; double-quoted cells may contain
+     * separators, line breaks and doubled quotes ("Doe, Jane").
+     * @param {string} text - File content
+     * @returns {Array<Array<string>>} Rows of cells
+     * @private
+     */
+    splitRows(text) {
+        const rows = [];
+        let cells = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && !cell.trim()) {
+                quoted = true;
+                cell = '';
+            } else if (char === ',' || char === ';' || char === '\t') {
+                cells.push(cell);
+                cell = '';
+            } else if (char === '\r' || char === '\n') {
+                cells.push(cell);
+                rows.push(cells);
+                cells = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        cells.push(cell);
+        rows.push(cells);
+        return rows;
+    }
+
+    /**
+     * Normalize a CSV cell: quotes, case and mailto: links
+     * @param {string} cell - Raw cell
+     * @returns {string} Cleaned value
+     * @private
+     */
+    cleanCell(cell) {
+        return cell.trim().replace(/^["']|["']$/g, '').trim().toLowerCase().replace(/^mailto:/, '');
+    }
+
+    /**
+     * Find the email or domain column of a header row
+     * @param {Array<string>} cells - Cleaned cells of the first row
+     * @returns {number} Column index, -1 if the row is not a header naming such a column
+     * @private
+     */
+    findEntryColumn(cells) {
+        if (cells.some(cell => EMAIL_ENTRY_REGEX.test(cell) || DOMAIN_ENTRY_REGEX.test(cell))) {
+            return -1;
+        }
+
+        const emailColumn = cells.findIndex(cell => /e-?mail/.test(cell));
+        return emailColumn >= 0 ? emailColumn : cells.findIndex(cell => /domain/.test(cell));
+    }
+
+    /**
+     * Import a suppression file, adding to the current list
+     * @param {string} text - CSV or TXT content
+     * @param {string} source - Name of the imported file
+     * @returns {Promise<Object>} Counts ({ emails, domains, duplicates, skipped })
+     */
+    async import(text, source = '') {
+        const parsed = this.parse(text);
+        const addedAt = Date.now();
+        const entries = [];
+
+        parsed.emails.forEach(value => {
+            if (!this.emails.has(value)) {
+                this.emails.add(value);
+                entries.push({ value, type: 'email', source, addedAt });
+            }
+        });
+        parsed.domains.forEach(value => {
+            if (!this.domains.has(value)) {
+                this.domains.add(value);
+                entries.push({ value, type: 'domain', source, addedAt });
+            }
+        });
+
+        if (this.isPersistent() && entries.length > 0) {
+            try {
+                await idbStore.putAll(STORE_NAME, entries);
+            } catch (error) {
+                console.error('Failed to persist suppression list:', error);
+            }
+        }
+
+        return {
+            emails: entries.filter(entry => entry.type === 'email').length,
+            domains: entries.filter(entry => entry.type === 'domain').length,
+            duplicates: parsed.emails.length + parsed.domains.length - entries.length,
+            skipped: parsed.skipped
+        };
+    }
+
+    /**
+     * Check if an email is suppressed, by address or by domain (subdomains included)
+     * @param {string} email - Email address
+     * @returns {boolean} True if the email must not be contacted
+     */
+    isSuppressed(email) {
+        if (this.size === 0 || !email) return false;
+
+        const value = String(email).trim().toLowerCase();
+        if (this.emails.has(value)) return true;
+
+        const labels = value.slice(value.lastIndexOf('@') + 1).split('.');
+        for (let i = 0; i < labels.length - 1; i++) {
+            if (this.domains.has(labels.slice(i).join('.'))) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Get the number of suppressed emails and domains
+     * @returns {Object} Counts ({ emails, domains })
+     */
+    getCounts() {
+        return { emails: this.emails.size, domains: this.domains.size };
+    }
+
+    /**
+     * Number of entries in the list
+     * @returns {number} Entry count
+     */
+    get size() {
+        return this.emails.size + this.domains.size;
+    }
+
+    /**
+     * Remove every entry, in memory and on disk
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.emails.clear();
+        this.domains.clear();
+
+        if (this.isPersistent()) {
+            try {
+                await idbStore.clear(STORE_NAME);
+            } catch (error) {
+                console.error('Failed to clear suppression list:', error);
+            }
+        }
+    }
+}
+
+export const suppressionList = new SuppressionList();
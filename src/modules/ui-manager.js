@@ -1,8 +1,20 @@
 /**
  * UI management module
  * Handles all DOM manipulation and UI state management
+ * Subscribes to core events for errors, loading state and exported files.
  */
 
+import { contactLedger } from './contact-ledger.js';
+import { suppressionList } from './suppression-list.js';
+import { coreEvents, CORE_EVENTS } from './core-events.js';
+
+const CONTACT_STATUS_LABELS = {
+    contacted: 'Contacted',
+    replied: 'Replied',
+    bounced: 'Bounced',
+    do_not_contact: 'Do not contact'
+};
+
 class UIManager {
     constructor() {
         this.displayedPlaylistCount = 0;
@@ -32,43 +44,19 @@ class UIManager {
 
     /**
      * Setup UI for loading state
-     * @param {string} text - Loading text to display
+     * The progress bar and results table reset themselves on the same event.
      */
-    setupForLoading(text) {
+    setupForLoading() {
         this.disableButtons(true);
         this.clearError();
-        
-        const statusSection = document.getElementById('statusSection');
-        if (statusSection) {
-            statusSection.style.display = 'block';
-        }
-        
-        const pagination = document.getElementById('pagination');
-        if (pagination) {
-            pagination.style.display = 'none';
-        }
-        
-        this.setupResultsTable();
-        this.updateProgressText(text);
-        this.updateProgress(0, 1, 0); // Reset progress bar
         this.totalEmailsFound = 0;
     }
 
     /**
      * Cleanup UI after loading
-     * @param {string} text - Completion text to display
-     * @param {boolean} keepProgressText - Whether to keep the progress text
      */
-    cleanupAfterLoading(text, keepProgressText = false) {
-        if (!keepProgressText) {
-            this.updateProgressText(text);
-        }
+    cleanupAfterLoading() {
         this.disableButtons(false);
-        
-        const statusSection = document.getElementById('statusSection');
-        if (statusSection) {
-            statusSection.style.display = 'none';
-        }
     }
 
     /**
@@ -78,212 +66,177 @@ class UIManager {
     disableButtons(disabled) {
         const searchBtn = document.getElementById('searchBtn');
         const exportAllBtn = document.getElementById('exportAllBtn');
+        const exportBatchBtn = document.getElementById('exportBatchBtn');
         const stopBtn = document.getElementById('stopBtn');
         
         if (searchBtn) searchBtn.disabled = disabled;
         if (exportAllBtn) exportAllBtn.disabled = disabled;
+        if (exportBatchBtn) exportBatchBtn.disabled = disabled;
         if (stopBtn) {
             stopBtn.style.display = disabled ? 'inline-block' : 'none';
         }
     }
 
     /**
-     * Update progress bar and text
-     * @param {number} processed - Number of items processed
-     * @param {number} total - Total number of items
-     * @param {number} emailsFound - Number of emails found
+     * Hide pagination controls
      */
-    updateProgress(processed, total, emailsFound) {
-        const percentage = total > 0 ? (processed / total) * 100 : 0;
-        
-        const progressBar = document.getElementById('progressBar');
-        if (progressBar) {
-            progressBar.style.width = `${percentage}%`;
-        }
-        
-        this.updateProgressText(`Processed: ${processed.toLocaleString()} / ${total.toLocaleString()}`);
-        
-        const progressStats = document.getElementById('progressStats');
-        if (progressStats) {
-            progressStats.textContent = `${emailsFound.toLocaleString()} emails found`;
+    hidePagination() {
+        const pagination = document.getElementById('pagination');
+        if (pagination) {
+            pagination.style.display = 'none';
         }
     }
 
     /**
-     * Update progress text
-     * @param {string} message - Progress message
+     * Show pagination controls
      */
-    updateProgressText(message) {
-        const progressText = document.getElementById('progressText');
-        if (progressText) {
-            progressText.textContent = message;
+    showPagination() {
+        const pagination = document.getElementById('pagination');
+        if (pagination) {
+            pagination.style.display = 'flex';
         }
     }
 
     /**
-     * Setup results table structure
-     * @returns {HTMLElement} Table body element
+     * Clear all results
      */
-    setupResultsTable() {
+    clearResults() {
         const container = document.getElementById('resultsContainer');
-        if (!container) return null;
+        if (container) {
+            container.innerHTML = '<p class="placeholder-text">Enter your API credentials and perform a search to see results.</p>';
+        }
+        
+        const resultsCount = document.getElementById('resultsCount');
+        if (resultsCount) {
+            resultsCount.textContent = 'No results yet';
+        }
         
-        container.innerHTML = ''; // Clear previous content or placeholder
-        const table = document.createElement('table');
-        table.className = 'results-table';
-        table.innerHTML = `
-            <thead>
-                <tr>
-                    <th>Cover</th>
-                    <th>Playlist Name</th>
-                    <th>Owner</th>
-                    <th>Emails</th>
-                    <th>Followers</th>
-                    <th>Description</th>
-                </tr>
-            </thead>
-            <tbody></tbody>`;
-        container.appendChild(table);
+        this.hidePagination();
         this.displayedPlaylistCount = 0;
-        return table.querySelector('tbody');
+        this.totalEmailsFound = 0;
     }
 
     /**
-     * Append playlist to results table
-     * @param {Object} playlist - Playlist data object
+     * Format emails for a table cell, marking de-obfuscated, suppressed and already known ones and showing quality scores
+     * @param {Array<string>} emails - Email addresses
+     * @param {Array<Object>} contacts - Contacts extracted with the emails (optional)
+     * @returns {string} HTML for the cell
      */
-    appendPlaylistToTable(playlist) {
-        const showAll = document.getElementById('showWithoutEmails')?.checked;
-        if (!showAll && playlist.emails.length === 0) {
-            return; // Skip if it has no email and we are not showing all
+    formatEmails(emails, contacts = null) {
+        if (!emails || emails.length === 0) {
+            return '-';
         }
 
-        const tbody = document.querySelector('.results-table tbody');
-        if (!tbody) return;
+        return emails.map(email => {
+            const detail = (contacts || []).find(contact => contact.type === 'email' && contact.value === email);
+            let address = detail?.obfuscated
+                ? `<span class="email-obfuscated" title="${this.escapeAttribute(`Found as "${detail.snippet}"`)}">${this.escapeHtml(email)}</span>`
+                : this.escapeHtml(email);
 
-        const row = tbody.insertRow();
-        row.innerHTML = `
-            <td>
-                ${playlist.image ? 
-                    `<img src="${playlist.image}" alt="Cover" class="playlist-cover">` : 
-                    '<div class="playlist-cover" style="background: #404040;"></div>'
-                }
-            </td>
-            <td class="playlist-name">
-                <a href="${playlist.url}" target="_blank">${this.escapeHtml(playlist.name)}</a>
-            </td>
-            <td>${this.escapeHtml(playlist.owner)}</td>
-            <td class="emails">${playlist.emails.join(', ') || '-'}</td>
-            <td>${playlist.followers.toLocaleString()}</td>
-            <td class="description-preview" title="${this.escapeHtml(playlist.description)}">
-                ${this.escapeHtml(playlist.description)}
-            </td>
-        `;
-        this.displayedPlaylistCount++;
-        this.updateResultsCount();
+            if (suppressionList.isSuppressed(email)) {
+                address = `<span class="email-suppressed" title="On the suppression list: left out of exports">${address}</span>`;
+            } else if (contactLedger.isKnown(email)) {
+                address = `<span class="email-known" title="${this.escapeAttribute(this.describeLedgerEntry(contactLedger.get(email)))}">${address}</span>`;
+            }
+
+            const badges = (detail?.quality ? this.formatEmailScore(detail.quality) : '') +
+                (detail?.verification ? this.formatDomainStatus(detail.verification) : '');
+            return address + badges + this.formatContactStatus(email);
+        }).join(', ');
     }
 
     /**
-     * Filter displayed results based on email presence
-     * @param {boolean} showWithoutEmails - Whether to show playlists without emails
+     * Format the outreach status picker of an email
+     * @param {string} email - Email address
+     * @returns {string} HTML for the select
      */
-    filterDisplayedResults(showWithoutEmails) {
-        // This method needs access to the playlist data
-        // In the modular architecture, this will be handled differently
-        // For now, we'll emit an event that can be handled by the main application
-        const event = new CustomEvent('filterResults', { 
-            detail: { showWithoutEmails } 
-        });
-        document.dispatchEvent(event);
+    formatContactStatus(email) {
+        const status = contactLedger.get(email)?.status || '';
+        const options = Object.entries(CONTACT_STATUS_LABELS).map(([value, label]) =>
+            `<option value="${value}"${value === status ? ' selected' : ''}>${label}</option>`
+        );
+        return ` <select class="contact-status${status ? ` status-${status}` : ''}" data-email="${this.escapeAttribute(email)}" title="Outreach status">` +
+            `<option value="">-</option>${options.join('')}</select>`;
     }
 
     /**
-     * Update results count display
-     * @param {number} totalShown - Total playlists shown (optional)
-     * @param {number} emailsFound - Total emails found (optional)
+     * Describe where a known email was seen before
+     * @param {Object} entry - Contact ledger entry
+     * @returns {string} Tooltip text
      */
-    updateResultsCount(totalShown = null, emailsFound = null) {
-        const resultsCount = document.getElementById('resultsCount');
-        if (!resultsCount) return;
-
-        let totalRows, emailsInView;
-        
-        if (totalShown !== null && emailsFound !== null) {
-            totalRows = totalShown;
-            emailsInView = emailsFound;
-        } else {
-            totalRows = document.querySelectorAll('.results-table tbody tr').length;
-            const emailCells = document.querySelectorAll('.results-table .emails');
-            emailsInView = Array.from(emailCells).filter(cell => 
-                cell.textContent.trim() !== '-'
-            ).length;
+    describeLedgerEntry(entry) {
+        const lines = [
+            `First seen ${new Date(entry.firstSeenAt).toLocaleDateString()}, last seen ${new Date(entry.lastSeenAt).toLocaleDateString()}`,
+            `Playlists: ${entry.playlists.map(playlist => playlist.name).join(', ') || '-'}`,
+            `Queries: ${entry.queries.join(', ') || '-'}`
+        ];
+        if (entry.status) {
+            lines.unshift(CONTACT_STATUS_LABELS[entry.status]);
         }
-        
-        resultsCount.textContent = `Showing ${totalRows} playlists (${emailsInView} with emails)`;
+        return lines.join('\n');
     }
 
     /**
-     * Update pagination controls
-     * @param {number} currentPage - Current page number (1-indexed)
-     * @param {number} totalPages - Total number of pages
-     * @param {boolean} hasPrevious - Whether previous page exists
-     * @param {boolean} hasNext - Whether next page exists
+     * Format a domain verification marker
+     * Domains the resolver could not decide on get no marker.
+     * @param {Object} verification - Verification ({ status, reason, resolver })
+     * @returns {string} HTML for the marker
      */
-    updatePaginationControls(currentPage, totalPages, hasPrevious, hasNext) {
-        const pageInfo = document.getElementById('pageInfo');
-        if (pageInfo) {
-            pageInfo.textContent = `Page ${currentPage} of ${totalPages}`;
+    formatDomainStatus(verification) {
+        if (verification.status === 'unknown') {
+            return '';
         }
-        
-        const paginationDiv = document.getElementById('pagination');
-        if (paginationDiv) {
-            paginationDiv.style.display = totalPages > 1 ? 'flex' : 'none';
-        }
-        
-        const prevBtn = document.getElementById('prevBtn');
-        const nextBtn = document.getElementById('nextBtn');
-        
-        if (prevBtn) prevBtn.disabled = !hasPrevious;
-        if (nextBtn) nextBtn.disabled = !hasNext;
+        const label = verification.status === 'valid' ? '&#10003;' : 'bad domain';
+        const title = this.escapeAttribute(`${verification.reason} (${verification.resolver})`);
+        return ` <span class="domain-status domain-${verification.status}" title="${title}">${label}</span>`;
     }
 
     /**
-     * Hide pagination controls
+     * Format an email quality score badge
+     * @param {Object} quality - Quality ({ score, reasons, suggestion })
+     * @returns {string} HTML for the badge
      */
-    hidePagination() {
-        const pagination = document.getElementById('pagination');
-        if (pagination) {
-            pagination.style.display = 'none';
+    formatEmailScore(quality) {
+        const level = quality.score >= 80 ? 'high' : quality.score >= 50 ? 'medium' : 'low';
+        const details = [...quality.reasons];
+        if (quality.suggestion) {
+            details.push(`Did you mean ${quality.suggestion}?`);
         }
+        return ` <span class="email-score score-${level}" title="${this.escapeAttribute(details.join('\n'))}">${quality.score}</span>`;
     }
 
     /**
-     * Show pagination controls
+     * Escape text for use inside a double-quoted HTML attribute
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
      */
-    showPagination() {
-        const pagination = document.getElementById('pagination');
-        if (pagination) {
-            pagination.style.display = 'flex';
-        }
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
     }
 
     /**
-     * Clear all results
+     * Format contacts of one type for a table cell
+     * @param {Array<Object>} contacts - Contacts ({ type, platform, value, snippet })
+     * @param {string} type - Contact type to show ('social', 'url' or 'phone')
+     * @returns {string} HTML for the cell
      */
-    clearResults() {
-        const container = document.getElementById('resultsContainer');
-        if (container) {
-            container.innerHTML = '<p class="placeholder-text">Enter your API credentials and perform a search to see results.</p>';
+    formatContacts(contacts, type) {
+        const ofType = (contacts || []).filter(contact => contact.type === type);
+        if (ofType.length === 0) {
+            return '-';
         }
-        
-        const resultsCount = document.getElementById('resultsCount');
-        if (resultsCount) {
-            resultsCount.textContent = 'No results yet';
-        }
-        
-        this.hidePagination();
-        this.displayedPlaylistCount = 0;
-        this.totalEmailsFound = 0;
+
+        return ofType.map(contact => {
+            if (type === 'url') {
+                const label = contact.platform === 'website' ? new URL(contact.value).hostname : contact.platform;
+                const href = this.escapeAttribute(contact.value);
+                return `<a href="${href}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(label)}</a>`;
+            }
+            if (type === 'social') {
+                return this.escapeHtml(`${contact.platform}: @${contact.value}`);
+            }
+            return this.escapeHtml(contact.platform === 'whatsapp' ? `${contact.value} (WhatsApp)` : contact.value);
+        }).join(', ');
     }
 
     /**
@@ -404,6 +357,21 @@ class UIManager {
         this.clearResults();
         this.clearError();
         this.setStatusSectionVisibility(false);
+        this.setupCoreListeners();
+    }
+
+    /**
+     * Subscribe to the events of the core modules
+     * @private
+     */
+    setupCoreListeners() {
+        coreEvents.on(CORE_EVENTS.ERROR, ({ message }) => this.showError(message));
+        coreEvents.on(CORE_EVENTS.LOADING, () => this.setupForLoading());
+        coreEvents.on(CORE_EVENTS.DONE, () => this.cleanupAfterLoading());
+        coreEvents.on(CORE_EVENTS.EXPORT_STOPPED, () => this.disableButtons(false));
+        coreEvents.on(CORE_EVENTS.FILE, ({ content, filename, contentType }) => {
+            this.downloadFile(content, filename, contentType);
+        });
     }
 
     /**
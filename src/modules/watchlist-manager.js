@@ -0,0 +1,288 @@
+/**
+ * Watchlist manager module
+ * Saved sets of queries and playlists that are re-scanned on an interval,
+ * fetching details only for playlists whose snapshot_id changed
+ */
+
+import { spotifyAPI } from './spotify-api.js';
+import { searchManager } from './search-manager.js';
+import { storageManager } from './storage-manager.js';
+import { workerPool } from './worker-pool.js';
+import { contactLedger } from './contact-ledger.js';
+import { suppressionList } from './suppression-list.js';
+import { playlistSnapshots } from './playlist-snapshots.js';
+import { queryBuilder } from './query-builder.js';
+
+const MIN_INTERVAL_MINUTES = 5;
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+// Playlist IDs, bare or inside open.spotify.com links and spotify: URIs
+const PLAYLIST_ID_REGEX = /(?:playlist[/:])?([A-Za-z0-9]{22})(?![A-Za-z0-9])/;
+
+class WatchlistManager {
+    constructor() {
+        this.watchlists = new Map(); // name -> watchlist
+    }
+
+    /**
+     * Get all watchlists, by name
+     * @returns {Array<Object>} Watchlists
+     */
+    getWatchlists() {
+        return [...this.watchlists.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get a watchlist by name
+     * @param {string} name - Watchlist name
+     * @returns {Object|null} Watchlist or null
+     */
+    getWatchlist(name) {
+        return this.watchlists.get(name) || null;
+    }
+
+    /**
+     * Register watchlists loaded from storage
+     * @param {Array<Object>} watchlists - Saved watchlists
+     */
+    setWatchlists(watchlists) {
+        this.watchlists = new Map((watchlists || []).map(watchlist => [watchlist.name, watchlist]));
+    }
+
+    /**
+     * Validate and register a watchlist, keeping the scan state of the one it replaces
+     * @param {Object} input - Watchlist fields
+     * @param {string} input.name - Watchlist name
+     * @param {Array<string>} input.queries - Search queries to re-run
+     * @param {Array<string>} input.playlistIds - Playlist IDs or links to watch
+     * @param {number} input.intervalMinutes - Minutes between scans
+     * @param {string} input.market - Market searches run in, empty for any
+     * @returns {Object} Normalized watchlist
+     */
+    addWatchlist({ name, queries = [], playlistIds = [], intervalMinutes = DEFAULT_INTERVAL_MINUTES, market = '' }) {
+        const trimmedName = String(name || '').trim();
+        if (!trimmedName) {
+            throw new Error('Please give the watchlist a name');
+        }
+
+        const cleanQueries = [...new Set(queries.map(query => String(query).trim()).filter(query => query))];
+        cleanQueries.forEach(query => {
+            const problem = queryBuilder.validate(query);
+            if (problem) {
+                throw new Error(`Query "${query}": ${problem}`);
+            }
+        });
+
+        const cleanIds = this.parsePlaylistIds(playlistIds.join('\n'));
+        if (cleanQueries.length === 0 && cleanIds.length === 0) {
+            throw new Error('A watchlist needs at least one query or playlist');
+        }
+
+        const interval = parseInt(intervalMinutes, 10);
+        if (!Number.isFinite(interval) || interval < MIN_INTERVAL_MINUTES) {
+            throw new Error(`Scan interval must be at least ${MIN_INTERVAL_MINUTES} minutes`);
+        }
+
+        const previous = this.watchlists.get(trimmedName);
+        const watchlist = {
+            name: trimmedName,
+            queries: cleanQueries,
+            playlistIds: cleanIds,
+            intervalMinutes: interval,
+            market: queryBuilder.normalizeMarket(market),
+            createdAt: previous?.createdAt || Date.now(),
+            lastScanAt: previous?.lastScanAt || null,
+            lastResult: previous?.lastResult || null,
+            seen: previous?.seen || {} // playlistId -> { snapshotId, emails } as of the last scan
+        };
+        this.watchlists.set(trimmedName, watchlist);
+        return watchlist;
+    }
+
+    /**
+     * Remove a watchlist
+     * @param {string} name - Watchlist name
+     * @returns {boolean} True if the watchlist was removed
+     */
+    removeWatchlist(name) {
+        return this.watchlists.delete(name);
+    }
+
+    /**
+     * Extract playlist IDs from text
+     * @param {string} text - IDs, open.spotify.com links or spotify: URIs, one per line or comma-separated
+     * @returns {Array<string>} Unique playlist IDs
+     */
+    parsePlaylistIds(text) {
+        const ids = String(text || '')
+            .split(/[\s,]+/)
+            .map(part => part.match(PLAYLIST_ID_REGEX)?.[1])
+            .filter(id => id);
+        return [...new Set(ids)];
+    }
+
+    /**
+     * Check if a watchlist is due for a scan
+     * @param {Object} watchlist - Watchlist
+     * @param {number} now - Current timestamp
+     * @returns {boolean} True if it was never scanned or its interval has passed
+     */
+    isDue(watchlist, now = Date.now()) {
+        return !watchlist.lastScanAt || now - watchlist.lastScanAt >= watchlist.intervalMinutes * 60000;
+    }
+
+    /**
+     * Get the watchlists due for a scan
+     * @param {number} now - Current timestamp
+     * @returns {Array<Object>} Due watchlists
+     */
+    getDueWatchlists(now = Date.now()) {
+        return this.getWatchlists().filter(watchlist => this.isDue(watchlist, now));
+    }
+
+    /**
+     * Re-scan a watchlist
+     * Queries are searched again and watched playlists have their snapshot_id read; only
+     * playlists whose snapshot_id differs from the last scan (or from the cached copy) are
+     * fetched in full. The first scan of a watchlist sets the baseline and reports no new emails.
+     * What earlier scans knew of playlists that could not be read, or that a query did not return
+     * this time, is kept so they are not reported as new when they come back.
+     * @param {Object} watchlist - Watchlist, updated in place with the scan state
+     * @param {Object} options - Scan options
+     * @param {AbortSignal} options.signal - Stops the scan when aborted
+     * @param {Function} options.onProgress - Called with (message) as the scan advances
+     * @returns {Promise<Object>} Result ({ name, startedAt, finishedAt, checked, changed, fetched, failed, failedQueries, failedPlaylists, newEmails, baseline })
+     */
+    async scan(watchlist, { signal = null, onProgress = null } = {}) {
+        const startedAt = Date.now();
+        const baseline = !watchlist.lastScanAt;
+        const current = new Map(); // playlistId -> snapshot_id
+        const failedQueries = [];
+        const failedPlaylists = [];
+
+        for (const query of watchlist.queries) {
+            onProgress?.(`Searching "${query}"...`);
+            try {
+                const items = await searchManager.searchAll(query, { market: watchlist.market, signal });
+                items.forEach(item => current.set(item.id, item.snapshot_id || null));
+                if (signal?.aborted) break;
+                await playlistSnapshots.recordRun(query, items.map(item => item.id), {
+                    startedAt,
+                    finishedAt: Date.now(),
+                    market: watchlist.market
+                });
+            } catch (error) {
+                if (signal?.aborted) break;
+                console.error(`Watchlist "${watchlist.name}" could not search "${query}":`, error);
+                failedQueries.push(query);
+            }
+        }
+
+        for (const playlistId of watchlist.playlistIds) {
+            if (signal?.aborted) break;
+            try {
+                const snapshotId = await spotifyAPI.getPlaylistSnapshotId(playlistId);
+                if (snapshotId) current.set(playlistId, snapshotId);
+            } catch (error) {
+                if (signal?.aborted) break;
+                console.error(`Watchlist "${watchlist.name}" could not read playlist ${playlistId}: ${error.message}`);
+                failedPlaylists.push(playlistId);
+            }
+        }
+
+        // Only playlists with a new version are fetched again
+        const previous = new Map([...current.keys()].map(id => [id, this.getLastKnown(watchlist, id)]));
+        const changedIds = [...current.keys()].filter(id => {
+            const known = previous.get(id);
+            return !known || !current.get(id) || known.snapshotId !== current.get(id);
+        });
+        const changedSet = new Set(changedIds);
+
+        // Playlists missing from this scan may still be there: keep what we knew of them
+        const seen = { ...watchlist.seen };
+        current.forEach((snapshotId, id) => {
+            if (!changedSet.has(id) && previous.get(id)) seen[id] = previous.get(id);
+        });
+        // A playlist unreadable during the first scan gets its baseline (emails: null) once it is read
+        if (baseline) {
+            failedPlaylists.forEach(id => {
+                if (!seen[id]) seen[id] = { snapshotId: null, emails: null };
+            });
+        }
+
+        const newEmails = [];
+        let fetched = 0;
+        onProgress?.(`${changedIds.length} of ${current.size} playlists changed, fetching them...`);
+        await workerPool.run(changedIds, async (playlistId) => {
+            return await spotifyAPI.fetchPlaylist(playlistId, { deep: spotifyAPI.deepMode });
+        }, {
+            signal,
+            onResult: (playlistData, i, playlistId) => {
+                if (!playlistData) {
+                    // Keep what we knew so the playlist is retried on the next scan
+                    if (previous.get(playlistId)) seen[playlistId] = { ...previous.get(playlistId), snapshotId: null };
+                    return;
+                }
+
+                fetched++;
+                const known = previous.get(playlistId);
+                const before = known?.emails || [];
+                if (!baseline && known?.emails !== null) {
+                    // New means absent from the previous version and never seen by the contact ledger
+                    playlistData.emails
+                        .filter(email => !before.includes(email) && !contactLedger.get(email) && !suppressionList.isSuppressed(email))
+                        .forEach(email => newEmails.push({
+                            email,
+                            watchlist: watchlist.name,
+                            playlistId,
+                            name: playlistData.name,
+                            url: playlistData.url,
+                            owner: playlistData.owner,
+                            followers: playlistData.followers
+                        }));
+                }
+                contactLedger.record(playlistData, `watchlist:${watchlist.name}`);
+                seen[playlistId] = { snapshotId: playlistData.snapshotId || current.get(playlistId), emails: playlistData.emails };
+            }
+        });
+
+        const result = {
+            name: watchlist.name,
+            startedAt,
+            finishedAt: Date.now(),
+            checked: current.size,
+            changed: changedIds.length,
+            fetched,
+            failed: changedIds.length - fetched + failedPlaylists.length,
+            failedQueries,
+            failedPlaylists,
+            newEmails,
+            baseline
+        };
+
+        if (!signal?.aborted) {
+            watchlist.seen = seen;
+            watchlist.lastScanAt = startedAt;
+            watchlist.lastResult = { ...result, newEmails: newEmails.length };
+        }
+        return result;
+    }
+
+    /**
+     * Get what the last scan, or else the playlist cache, knows about a playlist
+     * @param {Object} watchlist - Watchlist
+     * @param {string} playlistId - Playlist ID
+     * @returns {Object|null} { snapshotId, emails }, or null if the playlist was never fetched
+     * @private
+     */
+    getLastKnown(watchlist, playlistId) {
+        if (watchlist.seen?.[playlistId]) {
+            return watchlist.seen[playlistId];
+        }
+
+        const cached = storageManager.playlistCache.has(playlistId) ? storageManager.playlistCache.get(playlistId) : null;
+        return cached ? { snapshotId: cached.snapshotId || null, emails: cached.emails || [] } : null;
+    }
+}
+
+export const watchlistManager = new WatchlistManager();
@@ -0,0 +1,98 @@
+/**
+ * Worker pool module
+ * Runs async tasks with bounded concurrency while preserving result order
+ */
+
+const MIN_CONCURRENCY = 1;
+const MAX_CONCURRENCY = 8;
+
+class WorkerPool {
+    constructor() {
+        this.concurrency = 4;
+    }
+
+    /**
+     * Set the number of tasks allowed in flight at once
+     * @param {number} concurrency - Desired concurrency (clamped to 1-8)
+     * @returns {number} Applied concurrency
+     */
+    setConcurrency(concurrency) {
+        const value = parseInt(concurrency, 10);
+        if (!Number.isNaN(value)) {
+            this.concurrency = Math.min(Math.max(value, MIN_CONCURRENCY), MAX_CONCURRENCY);
+        }
+        return this.concurrency;
+    }
+
+    /**
+     * Get the concurrency bounds accepted by the pool
+     * @returns {Object} Object with min and max properties
+     */
+    getConcurrencyBounds() {
+        return { min: MIN_CONCURRENCY, max: MAX_CONCURRENCY };
+    }
+
+    /**
+     * Run a worker over every item with bounded concurrency
+     * Results are handed to onResult strictly in input order, one at a time,
+     * as soon as every item before them has completed.
+     * @param {Array} items - Items to process
+     * @param {Function} worker - Async function receiving (item, index)
+     * @param {Object} options - Run options
+     * @param {AbortSignal} options.signal - Stops scheduling and emitting when aborted
+     * @param {Function} options.onResult - Called with (result, index, item) in input order
+     * @param {number} options.concurrency - Overrides the pool concurrency for this run
+     * @returns {Promise<Array>} Results in input order (missing entries were never run)
+     * @throws {Error} The first error thrown by the worker or onResult
+     */
+    async run(items, worker, { signal = null, onResult = null, concurrency = this.concurrency } = {}) {
+        const results = new Array(items.length);
+        const completed = new Array(items.length).fill(false);
+        let nextIndex = 0;
+        let nextToEmit = 0;
+        let emission = Promise.resolve();
+        let failure = null;
+
+        const flush = () => {
+            while (nextToEmit < items.length && completed[nextToEmit] && !signal?.aborted) {
+                const index = nextToEmit++;
+                if (onResult) {
+                    // A throwing onResult stops the run like a failed worker, the chain itself never rejects
+                    emission = emission.then(() => {
+                        if (!signal?.aborted && !failure) {
+                            return onResult(results[index], index, items[index]);
+                        }
+                    }).catch(error => {
+                        failure = failure || error;
+                    });
+                }
+            }
+        };
+
+        const runWorker = async () => {
+            while (nextIndex < items.length && !signal?.aborted && !failure) {
+                const index = nextIndex++;
+                try {
+                    results[index] = await worker(items[index], index);
+                } catch (error) {
+                    failure = failure || error;
+                    return;
+                }
+                completed[index] = true;
+                flush();
+            }
+        };
+
+        const workerCount = Math.min(Math.max(concurrency, MIN_CONCURRENCY), items.length);
+        await Promise.all(Array.from({ length: workerCount }, runWorker));
+        await emission;
+
+        if (failure) {
+            throw failure;
+        }
+
+        return results;
+    }
+}
+
+export const workerPool = new WorkerPool();
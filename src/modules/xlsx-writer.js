@@ -0,0 +1,213 @@
+/**
+ * XLSX writer module
+ * Builds minimal single-sheet Excel workbooks without external libraries
+ */
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+class XlsxWriter {
+    /**
+     * Create a workbook containing a single sheet
+     * @param {Array<Array>} rows - Rows of cell values, the first row being the header
+     * @param {string} sheetName - Worksheet name
+     * @returns {Uint8Array} XLSX file content
+     */
+    createWorkbook(rows, sheetName = 'Export') {
+        const safeSheetName = this.escapeXml(sheetName.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31) || 'Sheet1');
+
+        const files = [
+            {
+                name: '[Content_Types].xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+                    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                    `<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets>` +
+                    '</workbook>'
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/worksheets/sheet1.xml',
+                content: this.createSheetXml(rows)
+            }
+        ];
+
+        return this.createZip(files);
+    }
+
+    /**
+     * Build worksheet XML using inline strings
+     * @param {Array<Array>} rows - Rows of cell values
+     * @returns {string} Worksheet XML
+     */
+    createSheetXml(rows) {
+        const rowsXml = rows.map((row, rowIndex) => {
+            const cells = row.map((value, columnIndex) => {
+                const ref = `${this.columnName(columnIndex)}${rowIndex + 1}`;
+                if (value === null || value === undefined || value === '') {
+                    return '';
+                }
+                if (typeof value === 'number' && Number.isFinite(value)) {
+                    return `<c r="${ref}"><v>${value}</v></c>`;
+                }
+                if (typeof value === 'boolean') {
+                    return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+                }
+                return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${this.escapeXml(String(value))}</t></is></c>`;
+            }).join('');
+            return `<row r="${rowIndex + 1}">${cells}</row>`;
+        }).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            `<sheetData>${rowsXml}</sheetData>` +
+            '</worksheet>';
+    }
+
+    /**
+     * Convert a zero-based column index to a column name (0 -> A, 26 -> AA)
+     * @param {number} index - Column index
+     * @returns {string} Column name
+     */
+    columnName(index) {
+        let name = '';
+        let n = index + 1;
+        while (n > 0) {
+            const remainder = (n - 1) % 26;
+            name = String.fromCharCode(65 + remainder) + name;
+            n = Math.floor((n - 1) / 26);
+        }
+        return name;
+    }
+
+    /**
+     * Escape text for XML, dropping characters XML cannot represent
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeXml(text) {
+        return text
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Compute the CRC-32 of some bytes
+     * @param {Uint8Array} bytes - Input bytes
+     * @returns {number} CRC-32 checksum
+     */
+    crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Create an uncompressed (stored) ZIP archive
+     * @param {Array<Object>} files - Array of { name, content } with string content
+     * @returns {Uint8Array} ZIP archive
+     */
+    createZip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const nameBytes = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = this.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);   // local file header signature
+            local.setUint16(4, 20, true);           // version needed
+            local.setUint16(6, 0x0800, true);       // UTF-8 file names
+            local.setUint16(8, 0, true);            // stored
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            local.setUint16(28, 0, true);
+            localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true); // central directory signature
+            central.setUint16(4, 20, true);         // version made by
+            central.setUint16(6, 20, true);         // version needed
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint32(42, offset, true);    // local header offset
+            centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+            offset += 30 + nameBytes.length + data.length;
+        }
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);         // end of central directory signature
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        for (const part of parts) {
+            zip.set(part, position);
+            position += part.length;
+        }
+        return zip;
+    }
+}
+
+export const xlsxWriter = new XlsxWriter();
@@ -0,0 +1,29 @@
+/**
+ * Email matching in playlist descriptions
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { emailExtractor } from '../src/modules/email-extractor.js';
+
+const emailsIn = text => emailExtractor.findEmails(text).map(match => match.email);
+
+test('social handles after a spaced "@" are not read as emails', () => {
+    assert.deepEqual(emailsIn('Follow @user.name on IG'), []);
+    assert.deepEqual(emailsIn('IG @artist.official for submissions'), []);
+    assert.deepEqual(emailsIn('Follow @user.name or mail jane@label.com'), ['jane@label.com']);
+});
+
+test('handles are still reported as social contacts', () => {
+    const { emails, contacts } = emailExtractor.extract('IG @artist.official for submissions');
+    assert.deepEqual(emails, []);
+    assert.deepEqual(contacts.map(contact => [contact.platform, contact.value]), [['instagram', 'artist.official']]);
+});
+
+test('spaced addresses are kept with a known TLD or spelled-out dots', () => {
+    assert.deepEqual(emailsIn('send demos to jane @ gmail.com'), ['jane@gmail.com']);
+    assert.deepEqual(emailsIn('demo @ label.music'), ['demo@label.music']);
+    assert.deepEqual(emailsIn('jane @ user dot name'), ['jane@user.name']);
+    assert.deepEqual(emailsIn('jane [at] user.name'), ['jane@user.name']);
+    assert.deepEqual(emailsIn('jane@user.name'), ['jane@user.name']);
+});
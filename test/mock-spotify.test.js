@@ -0,0 +1,115 @@
+/**
+ * API client against the mock Spotify server
+ * Every failure mode the mock simulates must be survived, or reported, by the client.
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockSpotifyServer, DEFAULT_FIXTURES_FILE } from '../src/cli/mock-spotify.js';
+import { spotifyAPI } from '../src/modules/spotify-api.js';
+import { searchManager } from '../src/modules/search-manager.js';
+import { exportManager } from '../src/modules/export-manager.js';
+import { storageManager } from '../src/modules/storage-manager.js';
+import { coreEvents, CORE_EVENTS } from '../src/modules/core-events.js';
+
+let server = null;
+
+/**
+ * Start a mock server with failure options and point the client at it
+ * @param {Object} options - Mock server options
+ * @returns {Promise<MockSpotifyServer>} Listening server
+ */
+async function startMock(options = {}) {
+    server = await MockSpotifyServer.fromFile(DEFAULT_FIXTURES_FILE, options);
+    spotifyAPI.setBaseUrl(await server.listen(0));
+    assert.ok(await spotifyAPI.ensureValidToken('client-id', 'client-secret'));
+    return server;
+}
+
+beforeEach(() => {
+    // Keep fallback backoffs short, Retry-After still decides when it is sent
+    spotifyAPI.rateLimitConfig.baseBackoffMs = 20;
+    spotifyAPI.rateLimitConfig.maxBackoffMs = 100;
+});
+
+afterEach(async () => {
+    await server?.close();
+    server = null;
+    spotifyAPI.setBaseUrl(null);
+});
+
+test('expired tokens are refreshed and the request retried', async () => {
+    await startMock({ tokenRequests: 2 });
+
+    for (const id of ['mockPlaylist0000000001', 'mockPlaylist0000000002', 'mockPlaylist0000000003', 'mockPlaylist0000000005']) {
+        const playlist = await spotifyAPI.fetchPlaylist(id);
+        assert.equal(playlist?.id, id);
+    }
+    assert.ok(server.stats.expired >= 1);
+    assert.ok(server.stats.tokens >= 2);
+});
+
+test('429 responses are retried after Retry-After', async () => {
+    await startMock({ rateLimitEvery: 2, retryAfter: 0 });
+
+    const first = await spotifyAPI.searchPlaylists('indie', 10, 0);
+    const second = await spotifyAPI.searchPlaylists('indie', 10, 0);
+    assert.equal(first.playlists.total, second.playlists.total);
+    assert.equal(server.stats.rateLimited, 1);
+});
+
+test('429 responses without Retry-After fall back to exponential backoff', async () => {
+    await startMock({ rateLimitEvery: 2, retryAfter: null });
+
+    const startedAt = Date.now();
+    await spotifyAPI.searchPlaylists('indie', 10, 0);
+    await spotifyAPI.searchPlaylists('indie', 10, 0);
+    assert.equal(server.stats.rateLimited, 1);
+    // Retry-After adds a second, the fallback stays under maxBackoffMs
+    assert.ok(Date.now() - startedAt < 1000);
+});
+
+test('server errors skip playlists and fail searches and version lookups', async () => {
+    await startMock({ serverErrorEvery: 1 });
+
+    assert.equal(await spotifyAPI.fetchPlaylist('mockPlaylist0000000001'), null);
+    await assert.rejects(spotifyAPI.searchPlaylists('indie', 10, 0), /Spotify servers are experiencing issues/);
+    await assert.rejects(spotifyAPI.getPlaylistSnapshotId('mockPlaylist0000000001'), /503/);
+    assert.equal(server.stats.serverErrors, 3);
+});
+
+test('exports report the playlists a server error skipped', async (t) => {
+    storageManager.playlistCache.clear();
+    // The two searches go through, one of the four playlist lookups fails
+    await startMock({ serverErrorEvery: 5 });
+    t.mock.method(console, 'warn', () => {});
+
+    const done = [];
+    const listener = detail => done.push(detail);
+    coreEvents.on(CORE_EVENTS.DONE, listener);
+    t.after(() => coreEvents.off(CORE_EVENTS.DONE, listener));
+
+    await exportManager.exportAll('indie', 'client-id', 'client-secret');
+    assert.equal(server.stats.serverErrors, 1);
+    assert.equal(exportManager.queryStats[0].failedPlaylists, 1);
+    assert.match(done.at(-1).summary, /1 playlists could not be read and were skipped/);
+});
+
+test('null search items are left out of collected results', async () => {
+    await startMock({ nullItemsEvery: 2 });
+
+    const page = await spotifyAPI.searchPlaylists('indie', 10, 0);
+    assert.ok(page.playlists.items.includes(null));
+
+    const items = await searchManager.searchAll('indie');
+    assert.ok(items.length > 0);
+    assert.ok(items.every(item => item && item.id));
+});
+
+test('requests left unanswered time out without failing the caller', async (t) => {
+    await startMock({ timeoutEvery: 1 });
+    t.mock.method(spotifyAPI, 'createTimeoutSignal', () => AbortSignal.timeout(200));
+
+    assert.equal(await spotifyAPI.fetchPlaylist('mockPlaylist0000000001'), null);
+    assert.equal(server.stats.timeouts, 1);
+});
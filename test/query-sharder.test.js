@@ -0,0 +1,30 @@
+/**
+ * Splitting queries past the search ceiling
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { querySharder } from '../src/modules/query-sharder.js';
+
+test('strategies are applied one level at a time', () => {
+    const genres = querySharder.split(querySharder.createShard('booking'));
+    assert.ok(genres.length > 0);
+    assert.ok(genres.every(shard => shard.depth === 1 && shard.query.startsWith('booking ')));
+
+    const years = querySharder.split(genres[0]);
+    assert.ok(years.every(shard => /^booking \S+.* \d{4}$/.test(shard.query) && shard.depth === 2));
+});
+
+test('terms already in the query are not added again', () => {
+    const shards = querySharder.split(querySharder.createShard('indie booking'));
+    assert.ok(!shards.some(shard => shard.query === 'indie booking indie'));
+});
+
+test('market shards are skipped for market-restricted searches, then splitting stops', () => {
+    const byMarket = querySharder.split(querySharder.createShard('booking', '', 3));
+    assert.ok(byMarket.length > 0);
+    assert.ok(byMarket.every(shard => shard.market && shard.query === 'booking'));
+
+    assert.deepEqual(querySharder.split(querySharder.createShard('booking', 'FR', 3)), []);
+    assert.deepEqual(querySharder.split(byMarket[0]), []);
+});
@@ -0,0 +1,47 @@
+/**
+ * Filter rule parsing and matching
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ruleEngine } from '../src/modules/rule-engine.js';
+
+const playlist = {
+    id: 'rules',
+    name: 'Indie Booking Picks',
+    owner: 'Indie Picks',
+    description: 'Fresh indie every Friday. Submissions: booking@indiepicks.com',
+    emails: ['booking@indiepicks.com'],
+    followers: 12400,
+    trackCount: 80
+};
+
+test('every line must match in "all" mode', () => {
+    const rules = ruleEngine.parse('followers between 1k and 50k\ndescription contains submissions');
+    assert.equal(ruleEngine.countConditions(rules), 2);
+    assert.equal(ruleEngine.matches(playlist, rules), true);
+    assert.equal(ruleEngine.matches({ ...playlist, followers: 500 }, rules), false);
+});
+
+test('one line is enough in "any" mode, and OR joins conditions on a line', () => {
+    const any = ruleEngine.parse('followers > 100k\nname contains booking', 'any');
+    assert.equal(ruleEngine.matches(playlist, any), true);
+
+    const either = ruleEngine.parse('followers > 100k OR owner is indie picks');
+    assert.equal(ruleEngine.countConditions(either), 2);
+    assert.equal(ruleEngine.matches(playlist, either), true);
+});
+
+test('email domains and regular expressions can be tested', () => {
+    assert.equal(ruleEngine.matches(playlist, ruleEngine.parse('domain is indiepicks.com')), true);
+    assert.equal(ruleEngine.matches(playlist, ruleEngine.parse('domain is not indiepicks.com')), false);
+    assert.equal(ruleEngine.matches(playlist, ruleEngine.parse('description matches /every (monday|friday)/i')), true);
+    // Written as a literal without flags, a pattern is case-sensitive
+    assert.equal(ruleEngine.matches(playlist, ruleEngine.parse('description matches /every friday/')), false);
+});
+
+test('comments and blank lines are ignored, mistakes name their line', () => {
+    assert.equal(ruleEngine.parse('# nothing yet\n\n'), null);
+    assert.match(ruleEngine.validate('followers > 10\nfollowers around 10'), /^Rule line 2:/);
+    assert.throws(() => ruleEngine.parse('followers > 10', 'some'), /Unknown match mode/);
+});
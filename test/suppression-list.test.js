@@ -0,0 +1,42 @@
+/**
+ * Suppression file parsing
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { suppressionList } from '../src/modules/suppression-list.js';
+
+test('one-column files suppress emails and whole domains', () => {
+    const parsed = suppressionList.parse('Someone@Label.com\n@other.com\nthird.org\nnot an entry\n');
+    assert.deepEqual(parsed.emails, ['someone@label.com']);
+    assert.deepEqual(parsed.domains, ['other.com', 'third.org']);
+    assert.equal(parsed.skipped, 1);
+});
+
+test('only the email column of a CSV with a header is read', () => {
+    const parsed = suppressionList.parse('Email Address,First Name,Website\noptout@label.com,Jane,gmail.com\n');
+    assert.deepEqual(parsed.emails, ['optout@label.com']);
+    assert.deepEqual(parsed.domains, []);
+});
+
+test('a domain column is read when the header has no email column', () => {
+    const parsed = suppressionList.parse('Label;Domain\nSome Label;label.com\n');
+    assert.deepEqual(parsed.domains, ['label.com']);
+});
+
+test('without a header, bare domains in other columns are ignored', () => {
+    const parsed = suppressionList.parse('"optout@label.com","Jane","gmail.com"\n"@blocked.com","Bob","yahoo.com"\n');
+    assert.deepEqual(parsed.emails, ['optout@label.com']);
+    assert.deepEqual(parsed.domains, ['blocked.com']);
+});
+
+test('mailto links and quotes are cleaned up', () => {
+    const parsed = suppressionList.parse('"mailto:Jane@X.com"\n');
+    assert.deepEqual(parsed.emails, ['jane@x.com']);
+});
+
+test('quoted cells keep their separators and the email column stays aligned', () => {
+    const parsed = suppressionList.parse('Name,Email\n"Doe, Jane",jane@x.com\r\n"Smith; ""Bob""\tJr",bob@y.com\n');
+    assert.deepEqual(parsed.emails, ['jane@x.com', 'bob@y.com']);
+    assert.equal(parsed.skipped, 0);
+});
@@ -0,0 +1,83 @@
+/**
+ * Watchlist scans against the mock Spotify server
+ * Each scan starts with an empty contact ledger and playlist cache, as a scan from cron does.
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockSpotifyServer, DEFAULT_FIXTURES_FILE } from '../src/cli/mock-spotify.js';
+import { spotifyAPI } from '../src/modules/spotify-api.js';
+import { storageManager } from '../src/modules/storage-manager.js';
+import { contactLedger } from '../src/modules/contact-ledger.js';
+import { watchlistManager } from '../src/modules/watchlist-manager.js';
+
+let server = null;
+
+/**
+ * Scan a watchlist against a fresh mock server, forgetting everything but the watchlist state
+ * @param {Object} watchlist - Watchlist
+ * @param {Object} options - Mock server options
+ * @returns {Promise<Object>} Scan result
+ */
+async function scanWith(watchlist, options = {}) {
+    server = await MockSpotifyServer.fromFile(DEFAULT_FIXTURES_FILE, options);
+    spotifyAPI.setBaseUrl(await server.listen(0));
+    await spotifyAPI.ensureValidToken('client-id', 'client-secret');
+    contactLedger.clear();
+    storageManager.clearPlaylistCache();
+
+    const result = await watchlistManager.scan(watchlist);
+    await server.close();
+    server = null;
+    return result;
+}
+
+afterEach(async () => {
+    await server?.close();
+    server = null;
+});
+
+test('a failed scan keeps the baseline and is reported as failed', async () => {
+    watchlistManager.addWatchlist({ name: 'failed lookups', playlistIds: ['mockPlaylist0000000001', 'mockPlaylist0000000008'] });
+    const watchlist = watchlistManager.getWatchlist('failed lookups');
+
+    const baseline = await scanWith(watchlist);
+    assert.equal(baseline.baseline, true);
+    assert.equal(baseline.failed, 0);
+
+    const failing = await scanWith(watchlist, { serverErrorEvery: 1 });
+    assert.equal(failing.failed, 2);
+    assert.deepEqual(failing.failedPlaylists, ['mockPlaylist0000000001', 'mockPlaylist0000000008']);
+
+    const healthy = await scanWith(watchlist);
+    assert.equal(healthy.failed, 0);
+    assert.deepEqual(healthy.newEmails, []);
+});
+
+test('a playlist unreadable during the first scan gets its baseline once it is read', async () => {
+    watchlistManager.addWatchlist({ name: 'failed baseline', playlistIds: ['mockPlaylist0000000001'] });
+    const watchlist = watchlistManager.getWatchlist('failed baseline');
+
+    const failing = await scanWith(watchlist, { serverErrorEvery: 1 });
+    assert.equal(failing.baseline, true);
+    assert.equal(failing.failed, 1);
+
+    const healthy = await scanWith(watchlist);
+    assert.equal(healthy.fetched, 1);
+    assert.deepEqual(healthy.newEmails, []);
+});
+
+test('playlists a query did not return keep what the last scan knew of them', async () => {
+    watchlistManager.addWatchlist({ name: 'null items', queries: ['indie booking'] });
+    const watchlist = watchlistManager.getWatchlist('null items');
+
+    await scanWith(watchlist);
+    const knownIds = Object.keys(watchlist.seen);
+    assert.ok(knownIds.length > 1);
+
+    await scanWith(watchlist, { nullItemsEvery: 2 });
+    assert.deepEqual(Object.keys(watchlist.seen).sort(), [...knownIds].sort());
+
+    const healthy = await scanWith(watchlist);
+    assert.deepEqual(healthy.newEmails, []);
+});
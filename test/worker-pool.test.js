@@ -0,0 +1,36 @@
+/**
+ * Ordered, bounded-concurrency task runs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { workerPool } from '../src/modules/worker-pool.js';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('results are emitted in input order', async () => {
+    const emitted = [];
+    const results = await workerPool.run([30, 10, 20], async (ms, index) => {
+        await delay(ms);
+        return index;
+    }, { concurrency: 3, onResult: result => emitted.push(result) });
+
+    assert.deepEqual(results, [0, 1, 2]);
+    assert.deepEqual(emitted, [0, 1, 2]);
+});
+
+test('a throwing onResult rejects the run and stops scheduling', async () => {
+    const started = [];
+    await assert.rejects(workerPool.run([1, 2, 3, 4, 5, 6], async item => {
+        started.push(item);
+        await delay(5);
+        return item;
+    }, {
+        concurrency: 1,
+        onResult: result => {
+            if (result === 2) throw new Error('display failed');
+        }
+    }), /display failed/);
+
+    assert.ok(started.length < 6);
+});
@@ -0,0 +1,60 @@
+/**
+ * XLSX workbooks and the ZIP archives holding them
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { xlsxWriter } from '../src/modules/xlsx-writer.js';
+
+/**
+ * Read the entries of a stored (uncompressed) ZIP archive through its central directory
+ * @param {Uint8Array} zip - ZIP archive
+ * @returns {Map<string, Object>} name -> { crc, text }
+ */
+function readZip(zip) {
+    const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+    const decoder = new TextDecoder();
+    const endOffset = zip.length - 22;
+    assert.equal(view.getUint32(endOffset, true), 0x06054B50);
+
+    const entries = new Map();
+    let position = view.getUint32(endOffset + 16, true);
+    for (let i = 0; i < view.getUint16(endOffset + 10, true); i++) {
+        assert.equal(view.getUint32(position, true), 0x02014B50);
+        const crc = view.getUint32(position + 16, true);
+        const size = view.getUint32(position + 20, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const localOffset = view.getUint32(position + 42, true);
+        const name = decoder.decode(zip.subarray(position + 46, position + 46 + nameLength));
+
+        assert.equal(view.getUint32(localOffset, true), 0x04034B50);
+        const dataOffset = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = zip.subarray(dataOffset, dataOffset + size);
+        entries.set(name, { crc, data, text: decoder.decode(data) });
+        position += 46 + nameLength;
+    }
+    return entries;
+}
+
+test('CRC-32 matches the standard check value', () => {
+    assert.equal(xlsxWriter.crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+});
+
+test('workbooks hold the sheet and its package parts, with valid checksums', () => {
+    const entries = readZip(xlsxWriter.createWorkbook([['name', 'followers'], ['Folk & Friends <3', 4720]]));
+
+    assert.ok(entries.has('[Content_Types].xml'));
+    assert.ok(entries.has('xl/workbook.xml'));
+    const sheet = [...entries.entries()].find(([name]) => name.startsWith('xl/worksheets/'));
+    assert.ok(sheet);
+    assert.match(sheet[1].text, /Folk &amp; Friends &lt;3/);
+    assert.match(sheet[1].text, /4720/);
+
+    entries.forEach(entry => assert.equal(xlsxWriter.crc32(entry.data), entry.crc));
+});
+
+test('column names go past Z', () => {
+    assert.equal(xlsxWriter.columnName(0), 'A');
+    assert.equal(xlsxWriter.columnName(25), 'Z');
+    assert.equal(xlsxWriter.columnName(26), 'AA');
+});